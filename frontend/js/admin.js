@@ -7,12 +7,28 @@
 // Production: replace YOUR_SUBDOMAIN with your Cloudflare subdomain (e.g. goncaloaraujo)
 const API_BASE = 'https://babyshower-worker.goncalo-araujo.workers.dev';
 
-// Admin password stored in memory only — cleared on page reload / logout
-let _adminPassword = null;
+// Which event this panel manages: admin.html?event=<slug>. Without it,
+// the original event is used.
+const EVENT_SLUG = new URLSearchParams(window.location.search).get('event');
+const EVENT_API = EVENT_SLUG
+  ? `${API_BASE}/api/events/${encodeURIComponent(EVENT_SLUG)}`
+  : `${API_BASE}/api`;
+const REFRESH_TOKEN_KEY = EVENT_SLUG ? `adminRefreshToken:${EVENT_SLUG}` : 'adminRefreshToken';
+
+// Short-lived access token kept in memory only; the refresh token is kept
+// in localStorage so a reload can resume the session without the password
+let _adminToken = null;
+let _refreshTimer = null;
 
 // Cache of fetched items for the edit modal
 let _cachedItems = [];
 
+// Cache of fetched contributions, filtered client-side by the search box
+let _cachedContributions = [];
+
+// Live-update WebSocket (see LIVE UPDATES below)
+let _liveSocket = null;
+
 // =============================================================
 // UTILITIES
 // =============================================================
@@ -26,6 +42,13 @@ function escHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+/**
+ * Show/hide form feedback message. Unlike the guest page's, it is set
+ * as text: labels, names and slugs go in as they are, without escHtml.
+ * @param {HTMLElement} el - The feedback element
+ * @param {'success'|'error'|null} type - null to hide
+ * @param {string} [msg]
+ */
 function setFeedback(el, type, msg) {
   if (!el) return;
   el.className = 'form__feedback';
@@ -37,10 +60,35 @@ function setFeedback(el, type, msg) {
   }
 }
 
+/**
+ * Show the per-field problems of a 400 response ({ fields }) under the
+ * inputs with the same name, focusing the first one.
+ */
+function showFieldErrors(form, fields) {
+  clearFieldErrors(form);
+  let first = null;
+  for (const [name, message] of Object.entries(fields || {})) {
+    const input = form.elements.namedItem(name);
+    if (!input || !input.classList) continue;
+    input.setAttribute('aria-invalid', 'true');
+    const error = document.createElement('p');
+    error.className = 'form__field-error';
+    error.textContent = message;
+    (input.closest('.form__group') || input.parentElement).appendChild(error);
+    first ??= input;
+  }
+  first?.focus();
+}
+
+function clearFieldErrors(form) {
+  form.querySelectorAll('.form__field-error').forEach((el) => el.remove());
+  form.querySelectorAll('[aria-invalid="true"]').forEach((el) => el.removeAttribute('aria-invalid'));
+}
+
 function adminHeaders() {
   return {
     'Content-Type': 'application/json',
-    'X-Admin-Password': _adminPassword,
+    'Authorization': `Bearer ${_adminToken}`,
   };
 }
 
@@ -59,7 +107,7 @@ document.getElementById('login-form').addEventListener('submit', async (e) => {
   loginBtn.textContent = 'A verificar…';
 
   try {
-    const res = await fetch(`${API_BASE}/api/admin/auth`, {
+    const res = await fetch(`${EVENT_API}/admin/auth`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ password }),
@@ -70,10 +118,9 @@ document.getElementById('login-form').addEventListener('submit', async (e) => {
       throw new Error(json.error || 'Palavra-passe incorreta');
     }
 
-    _adminPassword = password;
-    document.getElementById('login-screen').hidden = true;
-    document.getElementById('admin-dashboard').hidden = false;
-    loadItems();
+    startAdminSession(await res.json());
+    document.getElementById('password-input').value = '';
+    showDashboard();
 
   } catch (err) {
     setFeedback(feedback, 'error', err.message || 'Falha ao entrar. Por favor tenta novamente.');
@@ -83,13 +130,88 @@ document.getElementById('login-form').addEventListener('submit', async (e) => {
   }
 });
 
-document.getElementById('logout-btn').addEventListener('click', () => {
-  _adminPassword = null;
+document.getElementById('logout-btn').addEventListener('click', async () => {
+  try {
+    await fetch(`${EVENT_API}/auth/logout`, {
+      method: 'POST',
+      headers: adminHeaders(),
+      body: JSON.stringify({ refresh_token: localStorage.getItem(REFRESH_TOKEN_KEY) }),
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+  }
+  endAdminSession();
+});
+
+/** Keep a token pair from /api/admin/auth or /api/admin/refresh and schedule the next refresh. */
+function startAdminSession(json) {
+  _adminToken = json.token;
+  localStorage.setItem(REFRESH_TOKEN_KEY, json.refresh_token);
+  // Only the deployment owner (ADMIN_PASSWORD) can create and manage events
+  document.querySelector('.admin-tab[data-tab="events"]').hidden = !json.owner;
+  clearTimeout(_refreshTimer);
+  // Refresh one minute before the access token expires
+  const delay = Math.max(10000, json.expires_at * 1000 - Date.now() - 60000);
+  _refreshTimer = setTimeout(refreshAdminSession, delay);
+}
+
+/** Exchange the stored refresh token for a new token pair. */
+async function refreshAdminSession() {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return false;
+  try {
+    const res = await fetch(`${EVENT_API}/admin/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    startAdminSession(await res.json());
+    return true;
+  } catch (err) {
+    console.error('Session refresh failed:', err);
+    endAdminSession();
+    return false;
+  }
+}
+
+function showDashboard() {
+  document.getElementById('login-screen').hidden = true;
+  document.getElementById('admin-dashboard').hidden = false;
+  loadItems();
+  loadEventName();
+  connectLive();
+}
+
+/** Show which event is being managed in the header. */
+async function loadEventName() {
+  try {
+    const res = await fetch(`${EVENT_API}/event`);
+    if (!res.ok) return;
+    const event = await res.json();
+    document.getElementById('admin-event-name').textContent =
+      [event.name, event.baby_name].filter(Boolean).join(' — ');
+  } catch {
+    // header keeps its default title
+  }
+}
+
+function endAdminSession() {
+  disconnectLive();
+  _adminToken = null;
   _cachedItems = [];
+  _cachedContributions = [];
+  clearTimeout(_refreshTimer);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
   document.getElementById('admin-dashboard').hidden = true;
   document.getElementById('login-screen').hidden = false;
   document.getElementById('password-input').value = '';
   document.getElementById('password-input').focus();
+}
+
+// Resume a previous session after a reload
+refreshAdminSession().then((resumed) => {
+  if (resumed) showDashboard();
 });
 
 // =============================================================
@@ -113,6 +235,18 @@ document.querySelectorAll('.admin-tab').forEach((tab) => {
 
     // Load data for the panel
     if (tab.dataset.tab === 'contributions') loadContributions();
+    if (tab.dataset.tab === 'invites') loadInvites();
+    if (tab.dataset.tab === 'rsvps') loadRsvps();
+    if (tab.dataset.tab === 'thanks') loadThankYous();
+    if (tab.dataset.tab === 'chats') {
+      loadChatSessions();
+      loadSettingsForm(document.getElementById('limits-form'));
+    }
+    if (tab.dataset.tab === 'event') loadSettingsForm(document.getElementById('event-form'));
+    if (tab.dataset.tab === 'payment') loadSettingsForm(document.getElementById('payment-form'));
+    if (tab.dataset.tab === 'audit') loadAudit();
+    if (tab.dataset.tab === 'trash') loadTrash();
+    if (tab.dataset.tab === 'events') loadEvents();
   });
 });
 
@@ -120,12 +254,13 @@ document.querySelectorAll('.admin-tab').forEach((tab) => {
 // GIFT ITEMS — Load and render table
 // =============================================================
 
-async function loadItems() {
+/** Fetch and render the items; `quiet` keeps the current table up until the new one is ready. */
+async function loadItems(quiet = false) {
   const wrap = document.getElementById('items-table-wrap');
-  wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+  if (!quiet) wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
 
   try {
-    const res = await fetch(`${API_BASE}/api/items`);
+    const res = await fetch(`${EVENT_API}/items`);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const items = await res.json();
     _cachedItems = items;
@@ -236,10 +371,40 @@ function openAddModal() {
   document.getElementById('item-form').reset();
   document.getElementById('item-id').value = '';
   setFeedback(document.getElementById('modal-feedback'), null);
+  clearFieldErrors(document.getElementById('item-form'));
   document.getElementById('item-modal').hidden = false;
   document.getElementById('item-title').focus();
 }
 
+// =============================================================
+// GIFT ITEMS — Recompute totals from contributions
+// =============================================================
+
+document.getElementById('recompute-totals-btn').addEventListener('click', async () => {
+  const btn = document.getElementById('recompute-totals-btn');
+  if (!confirm('Recalcular o valor angariado de todos os presentes a partir das contribuições registadas?')) return;
+  btn.disabled = true;
+  btn.textContent = 'A recalcular…';
+  try {
+    const res = await fetch(`${EVENT_API}/admin/recompute-totals`, {
+      method: 'POST',
+      headers: adminHeaders(),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `Server error (${res.status})`);
+    alert(json.repaired.length === 0
+      ? 'Todos os totais estavam corretos.'
+      : `Corrigidos ${json.repaired.length} presente(s):\n\n` +
+        json.repaired.map((r) => `• ${r.title}: €${Number(r.price_raised_before).toFixed(2)} → €${Number(r.price_raised_after).toFixed(2)}`).join('\n'));
+    await loadItems();
+  } catch (err) {
+    alert(`Erro ao recalcular: ${err.message}`);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Recalcular totais';
+  }
+});
+
 // =============================================================
 // GIFT ITEMS — Drag & drop reorder
 // =============================================================
@@ -291,7 +456,7 @@ async function saveItemOrder(tbody) {
     sort_order: i,
   }));
   try {
-    const res = await fetch(`${API_BASE}/api/items/reorder`, {
+    const res = await fetch(`${EVENT_API}/items/reorder`, {
       method: 'PATCH',
       headers: adminHeaders(),
       body: JSON.stringify({ order }),
@@ -337,6 +502,7 @@ document.getElementById('item-form').addEventListener('submit', async (e) => {
   const feedback = document.getElementById('modal-feedback');
   const saveBtn = document.getElementById('modal-save');
   setFeedback(feedback, null);
+  clearFieldErrors(e.target);
 
   const id = document.getElementById('item-id').value;
   const body = {
@@ -364,7 +530,7 @@ document.getElementById('item-form').addEventListener('submit', async (e) => {
 
   try {
     const method = id ? 'PUT' : 'POST';
-    const url = id ? `${API_BASE}/api/items/${id}` : `${API_BASE}/api/items`;
+    const url = id ? `${EVENT_API}/items/${id}` : `${EVENT_API}/items`;
 
     const res = await fetch(url, {
       method,
@@ -374,6 +540,7 @@ document.getElementById('item-form').addEventListener('submit', async (e) => {
 
     if (!res.ok) {
       const json = await res.json().catch(() => ({}));
+      if (res.status === 400) showFieldErrors(e.target, json.fields);
       throw new Error(json.error || `Server error (${res.status})`);
     }
 
@@ -389,18 +556,226 @@ document.getElementById('item-form').addEventListener('submit', async (e) => {
   }
 });
 
+// Upload an image to the Worker's own storage, so the item no longer
+// depends on the retailer keeping its image URL alive.
+document.getElementById('item-upload-btn').addEventListener('click', () => {
+  document.getElementById('item-upload-file').click();
+});
+
+document.getElementById('item-upload-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  const feedback = document.getElementById('modal-feedback');
+  const btn = document.getElementById('item-upload-btn');
+  e.target.value = '';
+  if (!file) return;
+  setFeedback(feedback, null);
+
+  if (file.size > 5 * 1024 * 1024) {
+    setFeedback(feedback, 'error', 'A imagem é demasiado grande (máximo 5 MB).');
+    return;
+  }
+
+  btn.disabled = true;
+  btn.textContent = 'A carregar…';
+  try {
+    const res = await fetch(`${EVENT_API}/admin/images`, {
+      method: 'POST',
+      headers: { ...adminHeaders(), 'Content-Type': file.type },
+      body: file,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `Server error (${res.status})`);
+    document.getElementById('item-image').value = json.url;
+    setFeedback(feedback, 'success', 'Imagem carregada.');
+  } catch (err) {
+    setFeedback(feedback, 'error', err.message || 'Erro ao carregar a imagem.');
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Carregar';
+  }
+});
+
+// Fill the modal from the product page (Open Graph / JSON-LD metadata).
+// Only empty fields are filled, so nothing the admin typed is lost.
+document.getElementById('item-autofill-btn').addEventListener('click', async () => {
+  const feedback = document.getElementById('modal-feedback');
+  const btn = document.getElementById('item-autofill-btn');
+  const linkInput = document.getElementById('item-link');
+  const url = linkInput.value.trim();
+  setFeedback(feedback, null);
+
+  if (!/^https?:\/\//i.test(url)) {
+    setFeedback(feedback, 'error', 'Cola primeiro o link do produto (http:// ou https://).');
+    linkInput.focus();
+    return;
+  }
+
+  btn.disabled = true;
+  btn.textContent = 'A ler…';
+  try {
+    const res = await fetch(`${EVENT_API}/admin/product-metadata`, {
+      method: 'POST',
+      headers: adminHeaders(),
+      body: JSON.stringify({ url }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `Server error (${res.status})`);
+
+    const { draft, currency } = json;
+    const fill = (id, value) => {
+      const input = document.getElementById(id);
+      if (value !== null && value !== undefined && value !== '' && !input.value.trim()) input.value = value;
+    };
+    fill('item-title', draft.title);
+    fill('item-description', draft.description);
+    fill('item-image', draft.image_url);
+    if (!currency || currency === 'EUR') fill('item-price', draft.price_total);
+    linkInput.value = draft.product_url || url;
+
+    const found = [draft.title, draft.image_url, draft.price_total].filter((v) => v !== null && v !== '').length;
+    if (found === 0) {
+      setFeedback(feedback, 'error', 'A página não tem informação do produto — preenche os campos à mão.');
+    } else if (currency && currency !== 'EUR') {
+      setFeedback(feedback, 'success', `Dados preenchidos. O preço está em ${currency}; indica-o em euros.`);
+    } else {
+      setFeedback(feedback, 'success', 'Dados preenchidos a partir do link — revê antes de guardar.');
+    }
+  } catch (err) {
+    setFeedback(feedback, 'error', err.message || 'Não foi possível ler o link.');
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Preencher';
+  }
+});
+
+// =============================================================
+// GIFT ITEMS — Bulk import (CSV / JSON)
+// The file is sent twice: first as a dry run to preview what would
+// happen, then for real once the admin confirms.
+// =============================================================
+
+let _importFile = null;  // { text, type } of the file being previewed
+
+const IMPORT_STATUS_LABELS = {
+  created: 'Criado',
+  skipped: 'Ignorado',
+  invalid: 'Inválido',
+};
+
+document.getElementById('import-items-btn').addEventListener('click', () => {
+  _importFile = null;
+  document.getElementById('import-file').value = '';
+  document.getElementById('import-preview').innerHTML = '';
+  document.getElementById('import-confirm').disabled = true;
+  setFeedback(document.getElementById('import-feedback'), null);
+  document.getElementById('import-modal').hidden = false;
+  document.getElementById('import-file').focus();
+});
+
+document.getElementById('import-cancel').addEventListener('click', closeImportModal);
+document.getElementById('import-modal-overlay').addEventListener('click', closeImportModal);
+document.getElementById('import-modal').addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeImportModal();
+});
+
+function closeImportModal() {
+  document.getElementById('import-modal').hidden = true;
+}
+
+/** POST the selected file to the import endpoint and return its report. */
+async function sendImport(dryRun) {
+  const res = await fetch(`${EVENT_API}/items/import${dryRun ? '?dry_run=1' : ''}`, {
+    method: 'POST',
+    headers: { ...adminHeaders(), 'Content-Type': _importFile.type },
+    body: _importFile.text,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Server error (${res.status})`);
+  return json;
+}
+
+function renderImportPreview(report) {
+  const label = (status) => (report.dry_run && status === 'created' ? 'A criar' : IMPORT_STATUS_LABELS[status]);
+  const rows = report.rows.map((r) => `
+    <tr>
+      <td>${r.row}</td>
+      <td>${escHtml(r.title || '—')}</td>
+      <td class="import-preview__status--${r.status}">
+        ${label(r.status)}${r.error ? ` — ${escHtml(r.error)}` : ''}
+      </td>
+    </tr>
+  `).join('');
+
+  document.getElementById('import-preview').innerHTML = `
+    <p class="import-summary">
+      <strong>${report.created}</strong> ${report.dry_run ? 'a criar' : 'criados'} &middot;
+      <strong>${report.skipped}</strong> ignorados &middot;
+      <strong>${report.invalid}</strong> inválidos
+    </p>
+    <div class="admin-table-wrap">
+      <table class="admin-table">
+        <thead><tr><th>Linha</th><th>Nome</th><th>Resultado</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+document.getElementById('import-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  const feedback = document.getElementById('import-feedback');
+  const confirmBtn = document.getElementById('import-confirm');
+  setFeedback(feedback, null);
+  document.getElementById('import-preview').innerHTML = '';
+  confirmBtn.disabled = true;
+  _importFile = null;
+  if (!file) return;
+
+  try {
+    const isJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    _importFile = {
+      text: await file.text(),
+      type: isJson ? 'application/json' : 'text/csv; charset=utf-8',
+    };
+    const report = await sendImport(true);
+    renderImportPreview(report);
+    confirmBtn.disabled = report.created === 0;
+    confirmBtn.textContent = `Importar ${report.created} presente${report.created === 1 ? '' : 's'}`;
+  } catch (err) {
+    setFeedback(feedback, 'error', err.message || 'Erro ao ler o ficheiro.');
+  }
+});
+
+document.getElementById('import-confirm').addEventListener('click', async () => {
+  const feedback = document.getElementById('import-feedback');
+  const confirmBtn = document.getElementById('import-confirm');
+  if (!_importFile) return;
+
+  confirmBtn.disabled = true;
+  try {
+    const report = await sendImport(false);
+    renderImportPreview(report);
+    setFeedback(feedback, 'success', `${report.created} presente(s) importado(s).`);
+    _importFile = null;
+    await loadItems();
+  } catch (err) {
+    setFeedback(feedback, 'error', err.message || 'Erro ao importar.');
+    confirmBtn.disabled = false;
+  }
+});
+
 // =============================================================
 // GIFT ITEMS — Delete
 // =============================================================
 
 function confirmDeleteItem(id, title) {
-  if (!confirm(`Eliminar "${title}"?\n\nIsto irá eliminar também todas as contribuições para este presente. Esta ação não pode ser desfeita.`)) return;
+  if (!confirm(`Eliminar "${title}"?\n\nO presente e as suas contribuições vão para o Lixo, de onde podem ser restaurados.`)) return;
   deleteItem(id);
 }
 
 async function deleteItem(id) {
   try {
-    const res = await fetch(`${API_BASE}/api/items/${id}`, {
+    const res = await fetch(`${EVENT_API}/items/${id}`, {
       method: 'DELETE',
       headers: adminHeaders(),
     });
@@ -423,57 +798,236 @@ document.getElementById('refresh-contributions-btn').addEventListener('click', (
   loadContributions(); // refresh
 });
 
-async function loadContributions() {
+document.getElementById('contributions-search').addEventListener('input', () => {
+  renderContributionsTable(_cachedContributions);
+});
+
+/** Upper-case and drop spaces/dashes so "k7qx-3m" still matches "K7QX3M". */
+function normaliseReference(value) {
+  return String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/** Contributions matching the search box, by reference or contributor name. */
+function filterContributions(contributions) {
+  const query = document.getElementById('contributions-search').value.trim();
+  if (!query) return contributions;
+  const ref = normaliseReference(query);
+  const name = query.toLowerCase();
+  return contributions.filter((c) =>
+    (ref && normaliseReference(c.reference).includes(ref)) ||
+    c.contributor_name.toLowerCase().includes(name)
+  );
+}
+
+/** Fetch and render the contributions; `quiet` keeps the current table up until the new one is ready. */
+async function loadContributions(quiet = false) {
+  fillExportItems();
   const wrap = document.getElementById('contributions-table-wrap');
-  wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+  if (!quiet) wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
 
   try {
-    const res = await fetch(`${API_BASE}/api/contributions`, {
+    const res = await fetch(`${EVENT_API}/contributions`, {
       headers: adminHeaders(),
     });
     if (!res.ok) {
       if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
       throw new Error(`HTTP ${res.status}`);
     }
-    const contributions = await res.json();
-    renderContributionsTable(contributions);
+    _cachedContributions = await res.json();
+    renderContributionsTable(_cachedContributions);
   } catch (err) {
     wrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar contribuições: ${escHtml(err.message)}</div>`;
     console.error('Load contributions error:', err);
   }
 }
 
-function renderContributionsTable(contributions) {
+// =============================================================
+// LIVE UPDATES — the Worker pushes changes over a WebSocket
+// (GET /api/live?token=…): new contributions are added to the top of
+// the table as they come in, other changes refresh the open table.
+// =============================================================
+
+const LIVE_RETRY_MIN_MS = 1000;
+const LIVE_RETRY_MAX_MS = 30000;
+const LIVE_PING_MS = 30000;
+
+function connectLive(retryMs = LIVE_RETRY_MIN_MS) {
+  disconnectLive();
+  if (!_adminToken) return;
+  const socket = new WebSocket(
+    `${EVENT_API.replace(/^http/, 'ws')}/live?token=${encodeURIComponent(_adminToken)}`
+  );
+  let ping = null;
+  _liveSocket = socket;
+
+  socket.addEventListener('open', () => {
+    retryMs = LIVE_RETRY_MIN_MS;
+    ping = setInterval(() => socket.send('ping'), LIVE_PING_MS);
+  });
+  socket.addEventListener('message', (e) => {
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch {
+      return; // 'pong'
+    }
+    handleLiveMessage(message);
+  });
+  socket.addEventListener('close', () => {
+    clearInterval(ping);
+    if (_liveSocket !== socket) return; // replaced or logged out
+    _liveSocket = null;
+    // Reconnect with the current access token (it is refreshed every 15 minutes)
+    setTimeout(() => {
+      if (!_liveSocket) connectLive(Math.min(retryMs * 2, LIVE_RETRY_MAX_MS));
+    }, retryMs);
+  });
+}
+
+function disconnectLive() {
+  const socket = _liveSocket;
+  _liveSocket = null;
+  if (socket) socket.close();
+}
+
+function isPanelOpen(name) {
+  return !document.getElementById(`tab-${name}`).hidden;
+}
+
+function handleLiveMessage(message) {
+  if (message.type === 'contribution') {
+    const c = message.contribution;
+    if (_cachedContributions.some((existing) => existing.id === c.id)) return;
+    const row = { ...c, live: true };
+    _cachedContributions.unshift(row);
+    if (isPanelOpen('contributions')) renderContributionsTable(_cachedContributions);
+    row.live = false; // highlight once, not on every re-render
+  } else if (message.type === 'contributions') {
+    if (isPanelOpen('contributions')) loadContributions(true);
+  } else if (message.type === 'rsvps') {
+    if (isPanelOpen('rsvps')) loadRsvps(true);
+  } else if (message.type === 'item' || message.type === 'items') {
+    // Progress bars in the items table; not while a row is being dragged
+    if (isPanelOpen('items') && !document.querySelector('#items-table-wrap tr.dragging')) loadItems(true);
+  }
+}
+
+// =============================================================
+// EXPORT — CSV / JSON downloads of contributions and items
+// =============================================================
+
+/** Offer the loaded items in the export filter, keeping the current choice. */
+function fillExportItems() {
+  const select = document.getElementById('export-item');
+  const current = select.value;
+  select.innerHTML = '<option value="">Todos</option>' + _cachedItems
+    .map((item) => `<option value="${item.id}">${escHtml(item.title)}</option>`)
+    .join('');
+  select.value = _cachedItems.some((item) => String(item.id) === current) ? current : '';
+}
+
+/** Fetch an export with the admin token and hand it to the browser as a download. */
+async function downloadExport(type, format, btn) {
+  const params = new URLSearchParams({ type, format });
+  const item = document.getElementById('export-item').value;
+  const from = document.getElementById('export-from').value;
+  const to = document.getElementById('export-to').value;
+  if (item) params.set('item_id', item);
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+
+  btn.disabled = true;
+  try {
+    const res = await fetch(`${EVENT_API}/admin/export?${params}`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${type}.${format}`;
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    alert('Erro ao exportar: ' + err.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+document.querySelectorAll('[data-export-type]').forEach((btn) => {
+  btn.addEventListener('click', () => {
+    downloadExport(btn.dataset.exportType, btn.dataset.exportFormat, btn);
+  });
+});
+
+function renderContributionsTable(allContributions) {
   const wrap = document.getElementById('contributions-table-wrap');
 
-  if (contributions.length === 0) {
+  if (allContributions.length === 0) {
     wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">Ainda não há contribuições.</div>';
     return;
   }
 
-  const total = contributions.reduce((sum, c) => sum + Number(c.amount), 0);
+  const contributions = filterContributions(allContributions);
+  if (contributions.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">Nenhuma contribuição corresponde à pesquisa.</div>';
+    return;
+  }
+
+  const active = contributions.filter((c) => c.status !== 'cancelled');
+  const total = active.reduce((sum, c) => sum + Number(c.amount), 0);
+  const confirmed = active
+    .filter((c) => c.status === 'paid')
+    .reduce((sum, c) => sum + Number(c.amount), 0);
 
   const rows = contributions.map((c) => {
     const date = new Date(c.created_at).toLocaleDateString('en-GB', {
       day: '2-digit', month: 'short', year: 'numeric'
     });
+    const isCancelled = c.status === 'cancelled';
+    const isPaid = c.status === 'paid';
+    const statusCell = isCancelled
+      ? '<span style="color:var(--color-text-muted);font-size:var(--text-xs)">Cancelada</span>'
+      : isPaid
+        ? '<span style="color:var(--color-funded);font-size:var(--text-xs);font-weight:600">✓ Pago</span>'
+        : '<span style="color:var(--color-text-muted);font-size:var(--text-xs)">Prometido</span>';
     return `
-      <tr data-id="${c.id}">
+      <tr data-id="${c.id}" ${c.live ? 'class="live-new"' : ''} ${isCancelled ? 'style="opacity:0.5"' : ''}>
         <td style="color:var(--color-text-muted);font-size:var(--text-xs)">#${c.id}</td>
+        <td>${c.reference ? `<span class="payment-ref">${escHtml(c.reference)}</span>` : '—'}</td>
         <td>${escHtml(c.item_title ?? '—')}</td>
-        <td><strong>${escHtml(c.contributor_name)}</strong></td>
+        <td>
+          <strong>${escHtml(c.contributor_name)}</strong>
+          ${c.invite_label ? `<br><span style="font-size:var(--text-xs);color:var(--color-text-muted)">via convite: ${escHtml(c.invite_label)}</span>` : ''}
+        </td>
         <td><strong>€${Number(c.amount).toFixed(2)}</strong></td>
         <td style="color:var(--color-text-muted);font-size:var(--text-sm);max-width:240px">
           ${c.message ? escHtml(c.message) : '<em style="opacity:0.5">Sem mensagem</em>'}
         </td>
         <td style="white-space:nowrap;font-size:var(--text-sm);color:var(--color-text-muted)">${date}</td>
+        <td>${statusCell}</td>
         <td>
+          <div class="admin-table__actions">
+          ${isCancelled ? '' : `<button class="btn btn--outline btn--sm contribution-status-btn"
+            data-id="${c.id}"
+            data-status="${isPaid ? 'pledged' : 'paid'}">
+            ${isPaid ? 'Marcar por pagar' : 'Marcar pago'}
+          </button>`}
           <button class="btn btn--outline btn--sm delete-contribution-btn"
             data-id="${c.id}"
             style="color:var(--color-error);border-color:var(--color-error)"
             title="Apagar contribuição">
             🗑
           </button>
+          </div>
         </td>
       </tr>
     `;
@@ -481,19 +1035,23 @@ function renderContributionsTable(contributions) {
 
   wrap.innerHTML = `
     <div style="padding:var(--space-4) var(--space-4) var(--space-2);color:var(--color-text-muted);font-size:var(--text-sm)">
-      <strong style="color:var(--color-text)">${contributions.length}</strong> contribuição${contributions.length !== 1 ? 'ões' : ''}
+      <strong style="color:var(--color-text)">${active.length}</strong> contribuição${active.length !== 1 ? 'ões' : ''}
+      &nbsp;·&nbsp;
+      Total prometido: <strong style="color:var(--color-text)">€${total.toFixed(2)}</strong>
       &nbsp;·&nbsp;
-      Total angariado: <strong style="color:var(--color-funded)">€${total.toFixed(2)}</strong>
+      Confirmado: <strong style="color:var(--color-funded)">€${confirmed.toFixed(2)}</strong>
     </div>
     <table class="admin-table">
       <thead>
         <tr>
           <th>ID</th>
+          <th>Referência</th>
           <th>Presente</th>
           <th>Contribuinte</th>
           <th>Valor</th>
           <th>Mensagem</th>
           <th>Data</th>
+          <th>Estado</th>
           <th></th>
         </tr>
       </thead>
@@ -501,14 +1059,32 @@ function renderContributionsTable(contributions) {
     </table>
   `;
 
+  wrap.querySelectorAll('.contribution-status-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try {
+        const res = await fetch(`${EVENT_API}/contributions/${btn.dataset.id}/status`, {
+          method: 'PATCH',
+          headers: adminHeaders(),
+          body: JSON.stringify({ status: btn.dataset.status }),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        await loadContributions();
+      } catch (err) {
+        alert('Erro ao atualizar o estado: ' + err.message);
+        btn.disabled = false;
+      }
+    });
+  });
+
   wrap.querySelectorAll('.delete-contribution-btn').forEach(btn => {
     btn.addEventListener('click', async () => {
       const id = btn.dataset.id;
-      if (!confirm('Apagar esta contribuição? O valor será subtraído do progresso do presente.')) return;
+      if (!confirm('Apagar esta contribuição? O valor será subtraído do progresso do presente. Pode ser restaurada a partir do Lixo.')) return;
       btn.disabled = true;
       btn.textContent = '…';
       try {
-        const res = await fetch(`${API_BASE}/api/contributions/${id}`, {
+        const res = await fetch(`${EVENT_API}/contributions/${id}`, {
           method: 'DELETE',
           headers: adminHeaders(),
         });
@@ -526,6 +1102,1145 @@ function renderContributionsTable(contributions) {
   });
 }
 
+// =============================================================
+// INVITES — Personal invite links
+// =============================================================
+
+/** Guest-facing link for an invite token. */
+function inviteLink(token) {
+  const base = new URL('index.html', window.location.href);
+  if (EVENT_SLUG) base.searchParams.set('event', EVENT_SLUG);
+  base.searchParams.set('invite', token);
+  return base.toString();
+}
+
+async function loadInvites() {
+  const wrap = document.getElementById('invites-table-wrap');
+  wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+
+  try {
+    const res = await fetch(`${EVENT_API}/admin/invites`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    renderInvitesTable(await res.json());
+  } catch (err) {
+    wrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar convites: ${escHtml(err.message)}</div>`;
+    console.error('Load invites error:', err);
+  }
+}
+
+function renderInvitesTable(invites) {
+  const wrap = document.getElementById('invites-table-wrap');
+
+  if (invites.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">Ainda não há convites. Cria um acima para cada convidado.</div>';
+    return;
+  }
+
+  const formatDate = (value) => value
+    ? new Date(value.replace(' ', 'T') + 'Z').toLocaleString('pt-PT', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })
+    : '<em style="opacity:0.5">Nunca</em>';
+
+  const rows = invites.map((inv) => {
+    const revoked = Boolean(inv.revoked_at);
+    return `
+      <tr data-id="${inv.id}" ${revoked ? 'style="opacity:0.5"' : ''}>
+        <td><strong>${escHtml(inv.label)}</strong></td>
+        <td style="font-size:var(--text-sm);color:var(--color-text-muted)">${formatDate(inv.last_seen_at)}</td>
+        <td>${inv.chat_count}</td>
+        <td>${inv.contribution_count} · €${Number(inv.contribution_total).toFixed(2)}</td>
+        <td>
+          ${revoked
+            ? '<span style="color:var(--color-error);font-size:var(--text-xs)">Revogado</span>'
+            : '<span style="color:var(--color-funded);font-size:var(--text-xs);font-weight:600">Ativo</span>'
+          }
+        </td>
+        <td>
+          ${revoked ? '' : `<div class="admin-table__actions">
+            <button class="btn btn--outline btn--sm copy-invite-btn" data-token="${escHtml(inv.token)}">Copiar link</button>
+            <button class="btn btn--outline btn--sm revoke-invite-btn"
+              data-id="${inv.id}"
+              data-label="${escHtml(inv.label)}"
+              style="color:var(--color-error);border-color:var(--color-error)">
+              Revogar
+            </button>
+          </div>`}
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Convidado</th>
+          <th>Última visita</th>
+          <th>Mensagens no chat</th>
+          <th>Contribuições</th>
+          <th>Estado</th>
+          <th>Ações</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  wrap.querySelectorAll('.copy-invite-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const link = inviteLink(btn.dataset.token);
+      try {
+        await navigator.clipboard.writeText(link);
+        btn.textContent = 'Copiado ✓';
+        setTimeout(() => { btn.textContent = 'Copiar link'; }, 2000);
+      } catch {
+        prompt('Copia este link:', link);
+      }
+    });
+  });
+
+  wrap.querySelectorAll('.revoke-invite-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm(`Revogar o convite de "${btn.dataset.label}"? O link deixa de funcionar.`)) return;
+      btn.disabled = true;
+      try {
+        const res = await fetch(`${EVENT_API}/admin/invites/${btn.dataset.id}`, {
+          method: 'DELETE',
+          headers: adminHeaders(),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        await loadInvites();
+      } catch (err) {
+        alert('Erro ao revogar: ' + err.message);
+        btn.disabled = false;
+      }
+    });
+  });
+}
+
+document.getElementById('invite-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const feedback = document.getElementById('invite-feedback');
+  const input = document.getElementById('invite-label');
+  const btn = document.getElementById('invite-create-btn');
+  const label = input.value.trim();
+  setFeedback(feedback, null);
+
+  if (!label) {
+    setFeedback(feedback, 'error', 'Indica o nome do convidado.');
+    input.focus();
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    const res = await fetch(`${EVENT_API}/admin/invites`, {
+      method: 'POST',
+      headers: adminHeaders(),
+      body: JSON.stringify({ label }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `Server error (${res.status})`);
+    input.value = '';
+    setFeedback(feedback, 'success', `Convite criado para ${json.label}: ${inviteLink(json.token)}`);
+    await loadInvites();
+  } catch (err) {
+    setFeedback(feedback, 'error', err.message || 'Erro ao criar o convite.');
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// =============================================================
+// RSVPS — who is coming, the headcount, and questions about it
+// for the chat assistant (which sees the list for admins only)
+// =============================================================
+
+document.getElementById('refresh-rsvps-btn').addEventListener('click', () => loadRsvps());
+
+/** Fetch and render the answers; `quiet` keeps the current table up until the new one is ready. */
+async function loadRsvps(quiet = false) {
+  const wrap = document.getElementById('rsvps-table-wrap');
+  if (!quiet) wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+
+  try {
+    const res = await fetch(`${EVENT_API}/admin/rsvps`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    const { rsvps, totals } = await res.json();
+    renderRsvpTotals(totals);
+    renderRsvpsTable(rsvps);
+  } catch (err) {
+    wrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar presenças: ${escHtml(err.message)}</div>`;
+    console.error('Load RSVPs error:', err);
+  }
+}
+
+function renderRsvpTotals(totals) {
+  const stat = (value, label) => `<span><strong style="color:var(--color-text)">${value}</strong> ${label}</span>`;
+  document.getElementById('rsvp-totals').innerHTML = [
+    stat(totals.people, `pessoa${totals.people !== 1 ? 's' : ''} confirmada${totals.people !== 1 ? 's' : ''}`),
+    stat(totals.adults, `adulto${totals.adults !== 1 ? 's' : ''}`),
+    stat(totals.children, `criança${totals.children !== 1 ? 's' : ''}`),
+    stat(totals.dietary, `com restrições alimentares`),
+    stat(totals.not_attending, `não ${totals.not_attending !== 1 ? 'podem' : 'pode'} vir`),
+    stat(totals.invites_pending, `convite${totals.invites_pending !== 1 ? 's' : ''} sem resposta`),
+  ].join(' &nbsp;·&nbsp; ');
+}
+
+function renderRsvpsTable(rsvps) {
+  const wrap = document.getElementById('rsvps-table-wrap');
+
+  if (rsvps.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">Ainda ninguém respondeu.</div>';
+    return;
+  }
+
+  const formatDate = (value) => new Date(value.replace(' ', 'T') + 'Z')
+    .toLocaleString('pt-PT', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+  const rows = rsvps.map((r) => `
+    <tr data-id="${r.id}" ${r.attending ? '' : 'style="opacity:0.5"'}>
+      <td>
+        <strong>${escHtml(r.name)}</strong>
+        ${r.invite_label ? `<br><span style="font-size:var(--text-xs);color:var(--color-text-muted)">via convite: ${escHtml(r.invite_label)}</span>` : ''}
+      </td>
+      <td>
+        ${r.attending
+          ? '<span style="color:var(--color-funded);font-size:var(--text-xs);font-weight:600">✓ Vem</span>'
+          : '<span style="color:var(--color-text-muted);font-size:var(--text-xs)">Não vem</span>'}
+      </td>
+      <td>${r.attending ? r.party_size : '—'}</td>
+      <td>${r.attending ? r.children : '—'}</td>
+      <td style="color:var(--color-text-muted);font-size:var(--text-sm);max-width:240px">
+        ${r.dietary ? escHtml(r.dietary) : '<em style="opacity:0.5">—</em>'}
+      </td>
+      <td style="white-space:nowrap;font-size:var(--text-sm);color:var(--color-text-muted)">${formatDate(r.updated_at)}</td>
+    </tr>
+  `).join('');
+
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Convidado</th>
+          <th>Resposta</th>
+          <th>Pessoas</th>
+          <th>Crianças</th>
+          <th>Restrições alimentares</th>
+          <th>Atualizado</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// "Quem vem?" — one-off questions to the chat assistant, which is
+// given the full RSVP list when the caller is an admin
+document.getElementById('rsvp-ask-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = document.getElementById('rsvp-ask-input');
+  const btn = document.getElementById('rsvp-ask-btn');
+  const answer = document.getElementById('rsvp-ask-answer');
+  const question = input.value.trim();
+  if (!question) {
+    input.focus();
+    return;
+  }
+
+  btn.disabled = true;
+  answer.hidden = false;
+  answer.textContent = 'A pensar…';
+  try {
+    const res = await fetch(`${EVENT_API}/chat`, {
+      method: 'POST',
+      headers: adminHeaders(),
+      body: JSON.stringify({ message: question }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+    answer.textContent = json.reply;
+  } catch (err) {
+    answer.textContent = 'Erro ao perguntar ao assistente: ' + err.message;
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// =============================================================
+// THANK-YOU NOTES — one row per contributor with a draft note
+// (template, edited or drafted by the AI) and whether they've been
+// thanked; "Imprimir" opens the same list as a printable page
+// =============================================================
+
+document.getElementById('refresh-thanks-btn').addEventListener('click', () => loadThankYous());
+
+async function loadThankYous() {
+  const wrap = document.getElementById('thanks-table-wrap');
+  wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+
+  try {
+    const res = await fetch(`${EVENT_API}/admin/thanks`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    renderThankYous(await res.json());
+  } catch (err) {
+    wrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar agradecimentos: ${escHtml(err.message)}</div>`;
+    console.error('Load thank-yous error:', err);
+  }
+}
+
+/** "3 de 10 pessoas já agradecidas", counted from the rows on screen. */
+function renderThankYouTotals() {
+  const total = document.querySelectorAll('#thanks-table-wrap tr[data-key]').length;
+  const done = document.querySelectorAll('#thanks-table-wrap .thanks-done-toggle:checked').length;
+  document.getElementById('thanks-totals').innerHTML = total
+    ? `<span><strong style="color:var(--color-text)">${done}</strong> de ${total} pessoa${total !== 1 ? 's' : ''} já agradecida${done !== 1 ? 's' : ''}</span>`
+    : '';
+}
+
+function thankYouRow(person) {
+  const gifts = person.contributions.map((c) => `
+    <li>
+      ${escHtml(c.item_title)} — €${Number(c.amount).toFixed(2)}
+      ${c.message ? `<br><em style="color:var(--color-text-muted)">“${escHtml(c.message)}”</em>` : ''}
+    </li>
+  `).join('');
+  const thankedOn = person.thanked_at
+    ? new Date(person.thanked_at.replace(' ', 'T') + 'Z').toLocaleDateString('pt-PT')
+    : '';
+
+  return `
+    <tr data-key="${escHtml(person.key)}" ${person.thanked_at ? 'style="opacity:0.6"' : ''}>
+      <td style="max-width:260px">
+        <strong>${escHtml(person.name)}</strong>
+        <br><span style="font-size:var(--text-xs);color:var(--color-text-muted)">Total: €${Number(person.total).toFixed(2)}</span>
+        <ul class="thanks-gifts">${gifts}</ul>
+      </td>
+      <td style="min-width:320px">
+        <textarea class="form__input form__textarea thanks-note" rows="7" maxlength="2000" aria-label="Nota para ${escHtml(person.name)}">${escHtml(person.note)}</textarea>
+        <span style="font-size:var(--text-xs);color:var(--color-text-muted)">
+          ${person.note_source === 'saved' ? 'Nota guardada' : 'Modelo'}
+        </span>
+      </td>
+      <td style="white-space:nowrap">
+        <label style="display:flex;align-items:center;gap:var(--space-2);font-size:var(--text-sm)">
+          <input type="checkbox" class="thanks-done-toggle" ${person.thanked_at ? 'checked' : ''}>
+          Agradecido
+        </label>
+        ${thankedOn ? `<span style="font-size:var(--text-xs);color:var(--color-text-muted)">${thankedOn}</span>` : ''}
+      </td>
+      <td>
+        <div style="display:flex;flex-direction:column;gap:var(--space-2)">
+          <button class="btn btn--outline btn--sm thanks-save-btn">Guardar</button>
+          <button class="btn btn--outline btn--sm thanks-draft-btn">Rascunho IA</button>
+          ${person.note_source === 'saved' ? '<button class="btn btn--ghost btn--sm thanks-reset-btn">Repor modelo</button>' : ''}
+        </div>
+      </td>
+    </tr>
+  `;
+}
+
+function renderThankYous(people) {
+  const wrap = document.getElementById('thanks-table-wrap');
+
+  if (people.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">Ainda não há contribuições.</div>';
+    renderThankYouTotals();
+    return;
+  }
+
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Contribuidor</th>
+          <th>Nota</th>
+          <th>Estado</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${people.map(thankYouRow).join('')}</tbody>
+    </table>
+  `;
+  renderThankYouTotals();
+}
+
+/** Send one contributor's change and swap in their updated row. */
+async function updateThankYou(row, path, method, body) {
+  const controls = row.querySelectorAll('button, input, textarea');
+  controls.forEach((el) => { el.disabled = true; });
+  try {
+    const res = await fetch(`${EVENT_API}/admin/thanks/${encodeURIComponent(row.dataset.key)}${path}`, {
+      method,
+      headers: adminHeaders(),
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+    row.outerHTML = thankYouRow(json);
+    renderThankYouTotals();
+  } catch (err) {
+    alert('Erro ao atualizar o agradecimento: ' + err.message);
+    controls.forEach((el) => { el.disabled = false; });
+  }
+}
+
+// One listener for the whole table, so a swapped-in row needs no rewiring
+// (and unsaved notes in the other rows are left alone)
+document.getElementById('thanks-table-wrap').addEventListener('click', (e) => {
+  const row = e.target.closest('tr[data-key]');
+  if (!row) return;
+  if (e.target.closest('.thanks-save-btn')) {
+    updateThankYou(row, '', 'PUT', { note: row.querySelector('.thanks-note').value });
+  } else if (e.target.closest('.thanks-draft-btn')) {
+    if (row.querySelector('.thanks-reset-btn') && !confirm('Substituir a nota guardada por um rascunho novo do assistente?')) return;
+    e.target.closest('.thanks-draft-btn').textContent = 'A escrever…';
+    updateThankYou(row, '/draft', 'POST');
+  } else if (e.target.closest('.thanks-reset-btn')) {
+    if (!confirm('Apagar a nota guardada e voltar ao modelo?')) return;
+    updateThankYou(row, '', 'PUT', { note: '' });
+  }
+});
+
+document.getElementById('thanks-table-wrap').addEventListener('change', (e) => {
+  if (!e.target.classList.contains('thanks-done-toggle')) return;
+  updateThankYou(e.target.closest('tr[data-key]'), '', 'PUT', { thanked: e.target.checked });
+});
+
+document.getElementById('print-thanks-btn').addEventListener('click', async () => {
+  // Opened before the request so pop-up blockers still see it as part of the click
+  const win = window.open('', '_blank');
+  try {
+    const res = await fetch(`${EVENT_API}/admin/thanks?format=html`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const url = URL.createObjectURL(await res.blob());
+    if (win) win.location.href = url;
+    else window.location.href = url;
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    win?.close();
+    alert('Erro ao preparar a página para imprimir: ' + err.message);
+  }
+});
+
+// =============================================================
+// CHAT SESSIONS — guests' conversations with the chat assistant,
+// most recent first; "Ver" opens the transcript under the row,
+// with the confirmation cards the assistant offered, and "Repor
+// limite" gives that guest a fresh rate-limit quota
+// =============================================================
+
+document.getElementById('refresh-chats-btn').addEventListener('click', () => loadChatSessions());
+
+function formatChatTime(value) {
+  return new Date(value.replace(' ', 'T') + 'Z')
+    .toLocaleString('pt-PT', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+async function loadChatSessions() {
+  const wrap = document.getElementById('chats-table-wrap');
+  wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+
+  try {
+    const res = await fetch(`${EVENT_API}/admin/chats`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    renderChatSessions(await res.json());
+  } catch (err) {
+    wrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar as conversas: ${escHtml(err.message)}</div>`;
+    console.error('Load chat sessions error:', err);
+  }
+}
+
+function renderChatSessions(sessions) {
+  const wrap = document.getElementById('chats-table-wrap');
+
+  if (sessions.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">Ainda não há conversas.</div>';
+    return;
+  }
+
+  const rows = sessions.map((s) => {
+    const guest = s.invite_label || s.rsvp_name || 'Convidado';
+    const preview = (s.first_message || '').length > 80 ? `${s.first_message.slice(0, 80)}…` : (s.first_message || '');
+    return `
+      <tr data-id="${escHtml(s.id)}">
+        <td><strong>${escHtml(guest)}</strong></td>
+        <td style="max-width:360px;color:var(--color-text-muted)">${escHtml(preview)}</td>
+        <td>${s.message_count}</td>
+        <td style="white-space:nowrap">${formatChatTime(s.updated_at)}</td>
+        <td style="white-space:nowrap">
+          <button class="btn btn--outline btn--sm chat-view-btn">Ver</button>
+          <button class="btn btn--ghost btn--sm chat-reset-limit-btn" data-guest-key="${escHtml(s.guest_key)}">Repor limite</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Convidado</th>
+          <th>Primeira mensagem</th>
+          <th>Mensagens</th>
+          <th>Última atividade</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/** What a confirmation card offered, in one line. */
+function chatActionSummary(actions) {
+  const lines = [];
+  if (actions.contribution_pending) {
+    const c = actions.contribution_pending;
+    lines.push(`Contribuição proposta: €${Number(c.amount).toFixed(2)} para «${c.item_title}» em nome de ${c.name}`);
+  }
+  if (actions.cancellation_pending) {
+    const c = actions.cancellation_pending;
+    lines.push(`Cancelamento proposto: €${Number(c.amount).toFixed(2)} para «${c.item_title}»`);
+  }
+  if (actions.rsvp_pending) {
+    const r = actions.rsvp_pending;
+    lines.push(r.attending
+      ? `Presença proposta: ${r.name}, ${r.party_size} pessoa${r.party_size !== 1 ? 's' : ''}`
+      : `Presença proposta: ${r.name} não vem`);
+  }
+  return lines;
+}
+
+function chatTranscriptHtml(messages) {
+  return messages.map((m) => `
+    <div class="chat-transcript__message chat-transcript__message--${m.role}">
+      <span class="chat-transcript__meta">${m.role === 'user' ? 'Convidado' : 'Assistente'} · ${formatChatTime(m.created_at)}</span>
+      ${escHtml(m.content)}
+      ${m.actions ? chatActionSummary(m.actions).map((line) => `<span class="chat-transcript__action">${escHtml(line)}</span>`).join('') : ''}
+    </div>
+  `).join('');
+}
+
+/** Clear the rate-limit counts of one guest, or (no key) of everyone. */
+async function resetRateLimits(btn, guestKey) {
+  btn.disabled = true;
+  try {
+    const res = await fetch(`${EVENT_API}/admin/rate-limits/reset`, {
+      method: 'POST',
+      headers: adminHeaders(),
+      body: JSON.stringify(guestKey ? { guest_key: guestKey } : {}),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+    btn.textContent = 'Reposto ✓';
+  } catch (err) {
+    alert('Erro ao repor os limites: ' + err.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+document.getElementById('reset-all-limits-btn').addEventListener('click', (e) => {
+  if (!confirm('Repor os limites de todos os convidados (e as tentativas de palavra-passe)?')) return;
+  resetRateLimits(e.currentTarget, null);
+});
+
+document.getElementById('chats-table-wrap').addEventListener('click', async (e) => {
+  const resetBtn = e.target.closest('.chat-reset-limit-btn');
+  if (resetBtn) {
+    resetRateLimits(resetBtn, resetBtn.dataset.guestKey);
+    return;
+  }
+  const btn = e.target.closest('.chat-view-btn');
+  if (!btn) return;
+  const row = btn.closest('tr[data-id]');
+
+  // "Ver" again hides the transcript
+  const open = row.nextElementSibling?.classList.contains('chat-transcript-row') ? row.nextElementSibling : null;
+  if (open) {
+    open.remove();
+    btn.textContent = 'Ver';
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    const res = await fetch(`${EVENT_API}/admin/chats/${encodeURIComponent(row.dataset.id)}`, {
+      headers: adminHeaders(),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+    row.insertAdjacentHTML('afterend', `
+      <tr class="chat-transcript-row">
+        <td colspan="5"><div class="chat-transcript">${chatTranscriptHtml(json.messages)}</div></td>
+      </tr>
+    `);
+    btn.textContent = 'Fechar';
+  } catch (err) {
+    alert('Erro ao carregar a conversa: ' + err.message);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// =============================================================
+// HISTORY — audit log of changes to items and contributions
+// =============================================================
+
+const AUDIT_ACTION_LABELS = {
+  'item.create':         'Presente criado',
+  'item.update':         'Presente alterado',
+  'item.delete':         'Presente eliminado',
+  'item.restore':        'Presente restaurado',
+  'item.purge':          'Presente eliminado definitivamente',
+  'item.reorder':        'Presentes reordenados',
+  'item.import':         'Presentes importados',
+  'contribution.create': 'Contribuição registada',
+  'contribution.status': 'Estado alterado',
+  'contribution.cancel': 'Contribuição cancelada',
+  'contribution.claim':  'Contribuição recuperada',
+  'contribution.delete': 'Contribuição eliminada',
+  'contribution.restore': 'Contribuição restaurada',
+  'contribution.purge':  'Contribuição eliminada definitivamente',
+};
+
+const AUDIT_ACTOR_LABELS = { owner: 'Proprietário', admin: 'Administrador', guest: 'Convidado' };
+const AUDIT_STATUS_LABELS = { pledged: 'Prometido', paid: 'Pago', cancelled: 'Cancelada' };
+
+const AUDIT_ITEM_FIELDS = {
+  title:       'nome',
+  description: 'descrição',
+  image_url:   'imagem',
+  product_url: 'link',
+  price_total: 'preço',
+  is_funded:   'financiado',
+};
+
+let _auditEntries = [];
+let _auditNextBeforeId = null;
+
+/** Load the first page for the current filters, or (more) the next older page. */
+async function loadAudit(more = false) {
+  const wrap = document.getElementById('audit-table-wrap');
+  const moreBtn = document.getElementById('audit-more-btn');
+  if (!more) {
+    wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+  }
+  moreBtn.disabled = true;
+
+  const params = new URLSearchParams();
+  for (const field of document.getElementById('audit-filters').elements) {
+    if (field.name && field.value) params.set(field.name, field.value);
+  }
+  if (more && _auditNextBeforeId) params.set('before_id', _auditNextBeforeId);
+
+  try {
+    const res = await fetch(`${EVENT_API}/admin/audit?${params}`, {
+      headers: adminHeaders(),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    _auditEntries = more ? _auditEntries.concat(json.entries) : json.entries;
+    _auditNextBeforeId = json.next_before_id;
+    renderAuditTable();
+  } catch (err) {
+    wrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar o histórico: ${escHtml(err.message)}</div>`;
+    console.error('Load audit error:', err);
+  } finally {
+    moreBtn.disabled = false;
+  }
+}
+
+/** One line describing what an entry changed. */
+function auditSummary(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const row = entry.after || entry.before || {};
+  const money = (value) => `€${Number(value).toFixed(2)}`;
+
+  switch (entry.action) {
+    case 'item.update': {
+      const changes = Object.entries(AUDIT_ITEM_FIELDS)
+        .filter(([key]) => before[key] !== after[key])
+        .map(([key, label]) => key === 'price_total'
+          ? `${label}: ${money(before[key])} → ${money(after[key])}`
+          : label);
+      return `<strong>${escHtml(after.title ?? before.title)}</strong>` +
+        (changes.length ? ` — ${escHtml(changes.join(', '))}` : ' — sem alterações');
+    }
+    case 'item.create':
+    case 'item.restore':
+      return `<strong>${escHtml(row.title)}</strong> · ${money(row.price_total)}`;
+    case 'item.delete':
+    case 'item.purge': {
+      const count = (before.contributions || []).length;
+      return `<strong>${escHtml(before.title)}</strong>` +
+        (count ? ` — com ${count} contribuição(ões) eliminada(s)` : '');
+    }
+    case 'item.reorder':
+      return `${(entry.after || []).length} presente(s) reordenado(s)`;
+    case 'item.import':
+      return escHtml((after.items || []).map((item) => item.title).join(', '));
+    case 'contribution.status':
+      return `<strong>${escHtml(row.contributor_name)}</strong> · ${money(row.amount)} · ` +
+        `${AUDIT_STATUS_LABELS[before.status] ?? escHtml(before.status)} → ${AUDIT_STATUS_LABELS[after.status] ?? escHtml(after.status)}`;
+    default:
+      return `<strong>${escHtml(row.contributor_name)}</strong> · ${money(row.amount)} · ` +
+        `${escHtml(row.item_title ?? '')}${row.reference ? ` <span class="payment-ref">${escHtml(row.reference)}</span>` : ''}`;
+  }
+}
+
+function renderAuditTable() {
+  const wrap = document.getElementById('audit-table-wrap');
+  document.getElementById('audit-more-btn').hidden = !_auditNextBeforeId;
+
+  if (_auditEntries.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">Sem alterações registadas para estes filtros.</div>';
+    return;
+  }
+
+  const formatDate = (value) => new Date(value.replace(' ', 'T') + 'Z')
+    .toLocaleString('pt-PT', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  const rows = _auditEntries.map((entry) => `
+    <tr>
+      <td style="white-space:nowrap;font-size:var(--text-sm);color:var(--color-text-muted)">${formatDate(entry.created_at)}</td>
+      <td>
+        ${escHtml(AUDIT_ACTOR_LABELS[entry.actor_type] ?? entry.actor_type)}
+        <div style="font-size:var(--text-xs);color:var(--color-text-muted)">
+          ${escHtml(entry.actor_key ?? '')} ${escHtml(entry.ip ?? '')}
+        </div>
+      </td>
+      <td style="white-space:nowrap">${escHtml(AUDIT_ACTION_LABELS[entry.action] ?? entry.action)}</td>
+      <td>
+        ${auditSummary(entry)}
+        <details class="audit-data">
+          <summary>Ver dados</summary>
+          <pre>${escHtml(JSON.stringify({ antes: entry.before, depois: entry.after }, null, 2))}</pre>
+        </details>
+      </td>
+    </tr>
+  `).join('');
+
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Data</th>
+          <th>Quem</th>
+          <th>Ação</th>
+          <th>Detalhe</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+document.getElementById('audit-filters').addEventListener('change', () => loadAudit());
+document.getElementById('audit-filters').addEventListener('submit', (e) => e.preventDefault());
+document.getElementById('refresh-audit-btn').addEventListener('click', () => loadAudit());
+document.getElementById('audit-more-btn').addEventListener('click', () => loadAudit(true));
+
+// =============================================================
+// TRASH — soft-deleted items and contributions ("Lixo")
+// =============================================================
+
+async function loadTrash() {
+  const itemsWrap = document.getElementById('trash-items-wrap');
+  const contributionsWrap = document.getElementById('trash-contributions-wrap');
+  const loading = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+  itemsWrap.innerHTML = loading;
+  contributionsWrap.innerHTML = loading;
+
+  try {
+    const res = await fetch(`${EVENT_API}/admin/trash`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    const trash = await res.json();
+    renderTrashItems(trash.items);
+    renderTrashContributions(trash.contributions);
+  } catch (err) {
+    itemsWrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar o lixo: ${escHtml(err.message)}</div>`;
+    contributionsWrap.innerHTML = '';
+    console.error('Load trash error:', err);
+  }
+}
+
+function formatDeletedAt(value) {
+  return new Date(value.replace(' ', 'T') + 'Z')
+    .toLocaleString('pt-PT', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function trashActions(type, id, label) {
+  return `
+    <div class="admin-table__actions">
+      <button class="btn btn--outline btn--sm restore-btn" data-type="${type}" data-id="${id}">Restaurar</button>
+      <button class="btn btn--outline btn--sm purge-btn"
+        data-type="${type}"
+        data-id="${id}"
+        data-label="${escHtml(label)}"
+        style="color:var(--color-error);border-color:var(--color-error)">
+        Eliminar definitivamente
+      </button>
+    </div>
+  `;
+}
+
+function renderTrashItems(items) {
+  const wrap = document.getElementById('trash-items-wrap');
+  if (items.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-6);text-align:center;color:var(--color-text-muted)">Nenhum presente no lixo.</div>';
+    return;
+  }
+  const rows = items.map((item) => `
+    <tr>
+      <td><strong>${escHtml(item.title)}</strong></td>
+      <td>€${Number(item.price_total).toFixed(2)}</td>
+      <td>${item.contribution_count} · €${Number(item.contribution_total).toFixed(2)}</td>
+      <td style="white-space:nowrap;font-size:var(--text-sm);color:var(--color-text-muted)">${formatDeletedAt(item.deleted_at)}</td>
+      <td>${trashActions('items', item.id, item.title)}</td>
+    </tr>
+  `).join('');
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Presente</th>
+          <th>Objetivo</th>
+          <th>Contribuições</th>
+          <th>Eliminado</th>
+          <th>Ações</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  bindTrashActions(wrap);
+}
+
+function renderTrashContributions(contributions) {
+  const wrap = document.getElementById('trash-contributions-wrap');
+  if (contributions.length === 0) {
+    wrap.innerHTML = '<div style="padding:var(--space-6);text-align:center;color:var(--color-text-muted)">Nenhuma contribuição no lixo.</div>';
+    return;
+  }
+  const rows = contributions.map((c) => `
+    <tr>
+      <td>${c.reference ? `<span class="payment-ref">${escHtml(c.reference)}</span>` : '—'}</td>
+      <td>${escHtml(c.item_title ?? '—')}</td>
+      <td><strong>${escHtml(c.contributor_name)}</strong></td>
+      <td><strong>€${Number(c.amount).toFixed(2)}</strong>${c.status === 'cancelled' ? ' <span style="color:var(--color-text-muted);font-size:var(--text-xs)">Cancelada</span>' : ''}</td>
+      <td style="white-space:nowrap;font-size:var(--text-sm);color:var(--color-text-muted)">${formatDeletedAt(c.deleted_at)}</td>
+      <td>${trashActions('contributions', c.id, `${c.contributor_name} (€${Number(c.amount).toFixed(2)})`)}</td>
+    </tr>
+  `).join('');
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Ref.</th>
+          <th>Presente</th>
+          <th>Nome</th>
+          <th>Valor</th>
+          <th>Eliminada</th>
+          <th>Ações</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  bindTrashActions(wrap);
+}
+
+function bindTrashActions(wrap) {
+  const feedback = document.getElementById('trash-feedback');
+
+  wrap.querySelectorAll('.restore-btn').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      setFeedback(feedback, null);
+      btn.disabled = true;
+      try {
+        const res = await fetch(`${EVENT_API}/admin/trash/${btn.dataset.type}/${btn.dataset.id}/restore`, {
+          method: 'POST',
+          headers: adminHeaders(),
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          if (res.status === 409) throw new Error('O presente desta contribuição está no lixo. Restaura primeiro o presente.');
+          throw new Error(json.error || `Server error (${res.status})`);
+        }
+        const item = json.item;
+        const overfunded = item && item.price_total > 0 && item.price_raised > item.price_total + 0.005;
+        setFeedback(feedback, overfunded ? 'error' : 'success', overfunded
+          ? `Restaurado, mas "${item.title}" tem agora €${Number(item.price_raised).toFixed(2)} angariados para um objetivo de €${Number(item.price_total).toFixed(2)}.`
+          : 'Restaurado.');
+        await Promise.all([loadTrash(), loadItems()]);
+      } catch (err) {
+        setFeedback(feedback, 'error', err.message || 'Erro ao restaurar.');
+        btn.disabled = false;
+      }
+    });
+  });
+
+  wrap.querySelectorAll('.purge-btn').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const what = btn.dataset.type === 'items'
+        ? `o presente "${btn.dataset.label}" e todas as suas contribuições`
+        : `a contribuição de ${btn.dataset.label}`;
+      if (!confirm(`Eliminar definitivamente ${what}?\n\nEsta ação não pode ser desfeita.`)) return;
+      setFeedback(feedback, null);
+      btn.disabled = true;
+      try {
+        const res = await fetch(`${EVENT_API}/admin/trash/${btn.dataset.type}/${btn.dataset.id}`, {
+          method: 'DELETE',
+          headers: adminHeaders(),
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(json.error || `Server error (${res.status})`);
+        await loadTrash();
+      } catch (err) {
+        setFeedback(feedback, 'error', err.message || 'Erro ao eliminar.');
+        btn.disabled = false;
+      }
+    });
+  });
+}
+
+document.getElementById('refresh-trash-btn').addEventListener('click', () => loadTrash());
+
+// =============================================================
+// SETTINGS — "Evento" and "Pagamento" tabs. Each named field in
+// these forms is a setting key for /api/admin/settings.
+// =============================================================
+
+async function loadSettingsForm(form) {
+  const feedback = form.querySelector('.form__feedback');
+  setFeedback(feedback, null);
+  try {
+    const res = await fetch(`${EVENT_API}/admin/settings`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Não autorizado — por favor recarrega a página e entra novamente.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    fillSettingsForm(form, await res.json());
+  } catch (err) {
+    setFeedback(feedback, 'error', `Erro ao carregar as definições: ${err.message}`);
+    console.error('Load settings error:', err);
+  }
+}
+
+function fillSettingsForm(form, settings) {
+  for (const field of form.elements) {
+    if (field.name && field.name in settings) field.value = settings[field.name] ?? '';
+  }
+}
+
+document.querySelectorAll('.admin-settings-form').forEach((form) => {
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const feedback = form.querySelector('.form__feedback');
+    const btn = form.querySelector('button[type="submit"]');
+    setFeedback(feedback, null);
+    clearFieldErrors(form);
+
+    const values = {};
+    for (const field of form.elements) {
+      if (field.name) values[field.name] = field.value.trim();
+    }
+
+    btn.disabled = true;
+    btn.textContent = 'A guardar…';
+    try {
+      const res = await fetch(`${EVENT_API}/admin/settings`, {
+        method: 'PUT',
+        headers: adminHeaders(),
+        body: JSON.stringify(values),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        if (res.status === 400) showFieldErrors(form, json.fields);
+        throw new Error(json.error || `Server error (${res.status})`);
+      }
+      // Show the values as stored (e.g. the IBAN grouped in fours)
+      fillSettingsForm(form, json);
+      setFeedback(feedback, 'success', 'Definições guardadas.');
+    } catch (err) {
+      setFeedback(feedback, 'error', err.message || 'Erro ao guardar.');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Guardar';
+    }
+  });
+});
+
+// =============================================================
+// EVENTS — other registries on the same deployment (owner only)
+// =============================================================
+
+/** Link to a page of another event. */
+function eventPageLink(page, slug) {
+  const url = new URL(page, window.location.href);
+  url.search = '';
+  if (slug !== 'default') url.searchParams.set('event', slug);
+  return url.toString();
+}
+
+async function loadEvents() {
+  const wrap = document.getElementById('events-table-wrap');
+  wrap.innerHTML = '<div style="padding:var(--space-8);text-align:center;color:var(--color-text-muted)">A carregar&hellip;</div>';
+
+  try {
+    const res = await fetch(`${API_BASE}/api/admin/events`, {
+      headers: adminHeaders(),
+    });
+    if (!res.ok) {
+      if (res.status === 401) throw new Error('Apenas o administrador principal pode gerir eventos.');
+      throw new Error(`HTTP ${res.status}`);
+    }
+    renderEventsTable(await res.json());
+  } catch (err) {
+    wrap.innerHTML = `<div style="padding:var(--space-8);color:var(--color-error)">Erro ao carregar eventos: ${escHtml(err.message)}</div>`;
+    console.error('Load events error:', err);
+  }
+}
+
+function renderEventsTable(events) {
+  const wrap = document.getElementById('events-table-wrap');
+
+  const rows = events.map((ev) => `
+    <tr data-slug="${escHtml(ev.slug)}">
+      <td><strong>${escHtml(ev.name)}</strong><br><span style="font-size:var(--text-xs);color:var(--color-text-muted)">${escHtml(ev.slug)}</span></td>
+      <td style="font-size:var(--text-sm)">
+        <a href="${escHtml(eventPageLink('index.html', ev.slug))}" target="_blank" rel="noopener">Página</a>
+        &nbsp;·&nbsp;
+        <a href="${escHtml(eventPageLink('admin.html', ev.slug))}">Administração</a>
+      </td>
+      <td style="font-size:var(--text-sm);color:var(--color-text-muted)">
+        Admin: ${ev.has_admin_password ? 'própria' : '—'}<br>
+        Convidados: ${ev.has_guest_password ? 'própria' : (ev.id === 1 ? 'GUEST_PASSWORD' : 'só convites')}
+      </td>
+      <td>
+        <div class="admin-table__actions">
+          <button class="btn btn--outline btn--sm set-event-password-btn" data-slug="${escHtml(ev.slug)}" data-field="admin_password">Palavra-passe admin</button>
+          <button class="btn btn--outline btn--sm set-event-password-btn" data-slug="${escHtml(ev.slug)}" data-field="guest_password">Palavra-passe convidados</button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+
+  wrap.innerHTML = `
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th>Evento</th>
+          <th>Links</th>
+          <th>Palavras-passe</th>
+          <th>Ações</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  wrap.querySelectorAll('.set-event-password-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const who = btn.dataset.field === 'admin_password' ? 'de administração' : 'dos convidados';
+      const password = prompt(`Nova palavra-passe ${who} para "${btn.dataset.slug}" (mínimo 8 caracteres; vazio para remover):`);
+      if (password === null) return;
+      btn.disabled = true;
+      try {
+        const res = await fetch(`${API_BASE}/api/admin/events/${encodeURIComponent(btn.dataset.slug)}`, {
+          method: 'PUT',
+          headers: adminHeaders(),
+          body: JSON.stringify({ [btn.dataset.field]: password }),
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+        await loadEvents();
+      } catch (err) {
+        alert('Erro ao alterar a palavra-passe: ' + err.message);
+        btn.disabled = false;
+      }
+    });
+  });
+}
+
+document.getElementById('event-create-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const form = e.target;
+  const feedback = document.getElementById('event-create-feedback');
+  const btn = document.getElementById('event-create-btn');
+  setFeedback(feedback, null);
+  clearFieldErrors(form);
+
+  const body = {
+    slug: document.getElementById('event-create-slug').value.trim().toLowerCase(),
+    name: document.getElementById('event-create-name').value.trim(),
+  };
+  const adminPassword = document.getElementById('event-create-admin-password').value;
+  const guestPassword = document.getElementById('event-create-guest-password').value;
+  if (adminPassword) body.admin_password = adminPassword;
+  if (guestPassword) body.guest_password = guestPassword;
+
+  if (!body.slug || !body.name) {
+    setFeedback(feedback, 'error', 'Indica o identificador e o nome do evento.');
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    const res = await fetch(`${API_BASE}/api/admin/events`, {
+      method: 'POST',
+      headers: adminHeaders(),
+      body: JSON.stringify(body),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      if (res.status === 400) showFieldErrors(form, json.fields);
+      throw new Error(json.error || `Server error (${res.status})`);
+    }
+    form.reset();
+    setFeedback(feedback, 'success', `Evento criado: ${eventPageLink('admin.html', json.slug)}`);
+    await loadEvents();
+  } catch (err) {
+    setFeedback(feedback, 'error', err.message || 'Erro ao criar o evento.');
+  } finally {
+    btn.disabled = false;
+  }
+});
+
 // =============================================================
 // EXPOSE GLOBALS — needed because table uses inline onclick
 // =============================================================
@@ -9,29 +9,109 @@
 // Production: replace YOUR_SUBDOMAIN with your Cloudflare subdomain (e.g. goncaloaraujo)
 const API_BASE = 'https://babyshower-worker.goncalo-araujo.workers.dev';
 
+// Which event this page is for: index.html?event=<slug> (e.g. a baptism
+// hosted on the same Worker). Without it, the original event is used.
+const EVENT_SLUG = new URLSearchParams(window.location.search).get('event');
+const EVENT_API = EVENT_SLUG
+  ? `${API_BASE}/api/events/${encodeURIComponent(EVENT_SLUG)}`
+  : `${API_BASE}/api`;
+
+/** Storage key scoped to the current event, so sessions don't leak between events. */
+function eventStorageKey(name) {
+  return EVENT_SLUG ? `${name}:${EVENT_SLUG}` : name;
+}
+
 // Cache of loaded gift items (used to look up remaining amounts for the form hint)
 let giftItems = [];
 
 // =============================================================
-// GUEST AUTH — password stored in sessionStorage for the tab lifetime
+// GUEST AUTH — the personal invite token (from an index.html?invite=...
+// link) or the shared password is exchanged once for a short-lived
+// signed session token, kept in sessionStorage for the tab lifetime
 // =============================================================
 
-let _guestPassword = sessionStorage.getItem('guestPassword') ?? null;
+let _guestToken = sessionStorage.getItem(eventStorageKey('guestToken')) ?? null;
+let _guestTokenExpiry = Number(sessionStorage.getItem(eventStorageKey('guestTokenExpiry')) ?? 0);
 
 function guestHeaders() {
   return {
     'Content-Type': 'application/json',
-    'X-Guest-Password': _guestPassword ?? '',
+    'Authorization': `Bearer ${_guestToken ?? ''}`,
   };
 }
 
+function hasGuestSession() {
+  return Boolean(_guestToken) && _guestTokenExpiry * 1000 > Date.now();
+}
+
+/**
+ * Remember the session returned by /api/guest/auth. Shared-password guests
+ * also get a device key, kept in localStorage so their contributions stay
+ * theirs across tabs, reloads and network changes.
+ */
+function storeGuestSession(json) {
+  if (json.guest_key) localStorage.setItem('guestKey', json.guest_key);
+  _guestToken = json.token;
+  _guestTokenExpiry = json.expires_at;
+  sessionStorage.setItem(eventStorageKey('guestToken'), json.token);
+  sessionStorage.setItem(eventStorageKey('guestTokenExpiry'), String(json.expires_at));
+}
+
+function clearGuestSession() {
+  _guestToken = null;
+  _guestTokenExpiry = 0;
+  sessionStorage.removeItem(eventStorageKey('guestToken'));
+  sessionStorage.removeItem(eventStorageKey('guestTokenExpiry'));
+}
+
+async function guestLogout() {
+  try {
+    await fetch(`${EVENT_API}/auth/logout`, { method: 'POST', headers: guestHeaders() });
+  } catch {
+    // the token expires on its own anyway
+  }
+  clearGuestSession();
+  window.location.reload();
+}
+
+/**
+ * Redeem an invite token from the URL, if there is one.
+ * @returns {Promise<boolean|null>} null when the URL has no invite
+ */
+async function redeemInviteFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('invite');
+  if (!token) return null;
+
+  // Drop the token from the address bar so it isn't shared by accident
+  params.delete('invite');
+  const query = params.toString();
+  history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+
+  try {
+    const res = await fetch(`${EVENT_API}/guest/auth`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ invite: token }),
+    });
+    if (!res.ok) return false;
+    storeGuestSession(await res.json());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 async function initGuestGate() {
-  // Already authenticated this session — just show main content and return
-  if (_guestPassword) {
+  const inviteRedeemed = await redeemInviteFromUrl();
+
+  // Valid invite link, or already authenticated this session — just show main content
+  if (inviteRedeemed || (inviteRedeemed === null && hasGuestSession())) {
     const main = document.getElementById('main-content');
     if (main) main.hidden = false;
     return true;
   }
+  clearGuestSession();
 
   const screen = document.getElementById('guest-gate');
   const main = document.getElementById('main-content');
@@ -45,6 +125,10 @@ async function initGuestGate() {
   screen.hidden = false;
   main.hidden = true;
 
+  if (inviteRedeemed === false) {
+    setFeedback(feedback, 'error', 'Este convite já não é válido. Introduz a palavra-passe para entrar.');
+  }
+
   return new Promise((resolve) => {
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
@@ -52,24 +136,26 @@ async function initGuestGate() {
       setFeedback(feedback, null);
       btn.disabled = true;
       btn.textContent = 'A verificar…';
+      let problem = 'Palavra-passe incorreta. Tenta novamente.';
 
       try {
-        const res = await fetch(`${API_BASE}/api/guest/auth`, {
+        const res = await fetch(`${EVENT_API}/guest/auth`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ password }),
+          body: JSON.stringify({ password, guest_key: localStorage.getItem('guestKey') }),
         });
 
+        // Too many wrong attempts: the worker says how long to wait
+        if (res.status === 429) problem = (await res.json().catch(() => ({}))).error || problem;
         if (!res.ok) throw new Error('wrong');
 
-        _guestPassword = password;
-        sessionStorage.setItem('guestPassword', password);
+        storeGuestSession(await res.json());
         screen.hidden = true;
         main.hidden = false;
         resolve(true);
 
       } catch {
-        setFeedback(feedback, 'error', 'Palavra-passe incorreta. Tenta novamente.');
+        setFeedback(feedback, 'error', problem);
         input.value = '';
         input.focus();
       } finally {
@@ -110,6 +196,25 @@ function escHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+/**
+ * How to pay one pledge, built from the `payment` object the API returns
+ * with a new contribution and with each unpaid one in /api/my-contributions.
+ * @param {{reference: string, amount: number, mbway_phone: ?string, iban: ?string, holder: ?string}} payment
+ */
+function paymentInstructionsHtml(payment) {
+  const methods = [];
+  if (payment.mbway_phone) {
+    methods.push(`por <strong>MB Way</strong> para <strong>${escHtml(payment.mbway_phone)}</strong>`);
+  }
+  if (payment.iban) {
+    const holder = payment.holder ? ` (${escHtml(payment.holder)})` : '';
+    methods.push(`por transferência para o IBAN <strong>${escHtml(payment.iban)}</strong>${holder}`);
+  }
+  const how = methods.length > 0 ? methods.join(' ou ') : 'via <strong>MB Way</strong> ou fala connosco para mais detalhes';
+  return `Para completar, envia <strong>€${Number(payment.amount).toFixed(2)}</strong> ${how}, ` +
+    `indicando a referência <span class="payment-ref">${escHtml(payment.reference)}</span>.`;
+}
+
 /** Fallback when a gift card image fails to load. */
 function handleImageError(img) {
   img.parentElement.innerHTML = '<div class="gift-card__image--placeholder" aria-hidden="true">🎁</div>';
@@ -131,6 +236,95 @@ function setFeedback(el, type, msg) {
   }
 }
 
+/**
+ * Show the per-field problems of a 400 response ({ fields }) under the
+ * inputs with the same name, focusing the first one.
+ */
+function showFieldErrors(form, fields) {
+  clearFieldErrors(form);
+  let first = null;
+  for (const [name, message] of Object.entries(fields || {})) {
+    const input = form.elements.namedItem(name);
+    if (!input || !input.classList) continue;
+    input.setAttribute('aria-invalid', 'true');
+    const error = document.createElement('p');
+    error.className = 'form__field-error';
+    error.textContent = message;
+    (input.closest('.form__group') || input.parentElement).appendChild(error);
+    first ??= input;
+  }
+  first?.focus();
+}
+
+function clearFieldErrors(form) {
+  form.querySelectorAll('.form__field-error').forEach((el) => el.remove());
+  form.querySelectorAll('[aria-invalid="true"]').forEach((el) => el.removeAttribute('aria-invalid'));
+}
+
+// =============================================================
+// EVENT — hero, venue and names rendered from GET /api/event,
+// edited in the admin "Evento" tab. The static HTML stays as the
+// fallback if the request fails.
+// =============================================================
+
+async function loadEvent() {
+  try {
+    const res = await fetch(`${EVENT_API}/event`);
+    if (!res.ok) return;
+    renderEvent(await res.json());
+  } catch (err) {
+    console.error('Failed to load event details:', err);
+  }
+}
+
+/** Display text for one event field, or '' to keep the fallback. */
+function formatEventField(key, event) {
+  const value = event[key] ?? '';
+  if (!value) return '';
+  if (key === 'event_date') {
+    const text = new Date(`${value}T00:00:00`).toLocaleDateString('pt-PT', {
+      weekday: 'long', day: 'numeric', month: 'long', year: 'numeric',
+    });
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+  if (key === 'event_time') return value.replace(':', 'h');
+  return value;
+}
+
+function renderEvent(event) {
+  document.querySelectorAll('[data-event]').forEach((el) => {
+    const text = formatEventField(el.dataset.event, event);
+    if (!text) return;
+    // Multi-line settings (address, subtitle) keep their line breaks
+    el.innerHTML = text.split('\n').map(escHtml).join('<br>');
+  });
+
+  if (event.venue_name) {
+    const query = encodeURIComponent(event.venue_name);
+    const address = encodeURIComponent((event.venue_address ?? '').replace(/\n/g, ', '));
+    const google = document.getElementById('venue-google-link');
+    const waze = document.getElementById('venue-waze-link');
+    const apple = document.getElementById('venue-apple-link');
+    const photo = document.getElementById('venue-photo');
+    if (google) google.href = event.venue_maps_url || `https://maps.google.com/?q=${query}`;
+    if (waze) waze.href = `https://waze.com/ul?q=${query}&navigate=yes`;
+    if (apple) apple.href = `https://maps.apple.com/?q=${query}${address ? `&address=${address}` : ''}`;
+    if (photo) photo.alt = event.venue_name;
+  }
+  renderCalendarLinks(event);
+  if (event.name && event.baby_name) document.title = `${event.name} — ${event.baby_name}`;
+}
+
+/** "Adicionar ao calendário": the .ics download and the Google Calendar link, once there is a date. */
+function renderCalendarLinks(event) {
+  const wrap = document.getElementById('hero-calendar');
+  if (!wrap) return;
+  wrap.hidden = !event.google_calendar_url;
+  if (wrap.hidden) return;
+  document.getElementById('calendar-ics-link').href = `${EVENT_API}/event.ics`;
+  document.getElementById('calendar-google-link').href = event.google_calendar_url;
+}
+
 // =============================================================
 // GIFT REGISTRY — Fetch and render gift cards
 // =============================================================
@@ -141,12 +335,13 @@ async function loadGifts() {
   if (!grid || !select) return;
 
   grid.innerHTML = '<div class="gifts__loading" role="status" aria-live="polite">A carregar presentes&hellip;</div>';
-  // Reset select to first placeholder option
+  // Reset select to first placeholder option (a live reload keeps the guest's choice)
+  const selected = select.value;
   while (select.options.length > 1) select.remove(1);
 
   let items = [];
   try {
-    const res = await fetch(`${API_BASE}/api/items`);
+    const res = await fetch(`${EVENT_API}/items`);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     items = await res.json();
   } catch (err) {
@@ -185,14 +380,20 @@ async function loadGifts() {
     // Populate contribution form select
     const option = document.createElement('option');
     option.value = item.id;
-    const isFunded = item.is_funded === 1 || item.is_funded === true;
-    const isGenericDonation = item.is_generic === 1 || item.is_generic === true;
-    option.textContent = isGenericDonation
-      ? item.title
-      : `${item.title} — €${Number(item.price_total).toFixed(2)}${isFunded ? ' (Totalmente Financiado)' : ''}`;
-    if (isFunded) option.disabled = true;
+    fillGiftOption(option, item);
     select.appendChild(option);
   });
+  if (selected) select.value = selected;
+}
+
+/** Label a contribution form option for an item (funded items can't be picked). */
+function fillGiftOption(option, item) {
+  const isFunded = item.is_funded === 1 || item.is_funded === true;
+  const isGenericDonation = item.is_generic === 1 || item.is_generic === true;
+  option.textContent = isGenericDonation
+    ? item.title
+    : `${item.title} — €${Number(item.price_total).toFixed(2)}${isFunded ? ' (Totalmente Financiado)' : ''}`;
+  option.disabled = isFunded;
 }
 
 /**
@@ -205,19 +406,28 @@ function createGiftCard(item) {
   const isFunded = item.is_funded === 1 || item.is_funded === true;
   const priceTotal = Number(item.price_total);
   const priceRaised = Number(item.price_raised);
+  const priceConfirmed = Number(item.price_confirmed ?? 0);
   const pct = priceTotal > 0 ? Math.min(100, Math.round((priceRaised / priceTotal) * 100)) : 0;
+  const pctConfirmed = priceTotal > 0 ? Math.min(100, Math.round((priceConfirmed / priceTotal) * 100)) : 0;
+  // "€X confirmados · €Y prometidos" — only worth showing once something is still unpaid
+  const breakdown = priceRaised > priceConfirmed
+    ? `<span class="progress-text__breakdown">€${priceConfirmed.toFixed(2)} confirmados · €${(priceRaised - priceConfirmed).toFixed(2)} prometidos</span>`
+    : '';
 
   const article = document.createElement('article');
   article.className = `gift-card${isFunded ? ' gift-card--funded' : ''}`;
   article.setAttribute('role', 'listitem');
   article.dataset.itemId = item.id;
 
-  // Build image section
+  // Build image section — served through the Worker's resizing proxy
+  // rather than hotlinked from the retailer
+  const imageSrc = `${EVENT_API}/items/${item.id}/image`;
   const imageSection = item.image_url
     ? `<div class="gift-card__image-wrap">
          <img
            class="gift-card__image"
-           src="${escHtml(item.image_url)}"
+           src="${imageSrc}?w=480"
+           srcset="${imageSrc}?w=480 1x, ${imageSrc}?w=960 2x"
            alt="${escHtml(item.title)}"
            loading="lazy"
          onerror="handleImageError(this)"
@@ -268,17 +478,20 @@ function createGiftCard(item) {
           aria-valuemin="0"
           aria-valuemax="100"
           aria-label="${pct}% financiado">
-          <div class="progress-bar__fill" style="width:${pct}%"></div>
+          <div class="progress-bar__fill progress-bar__fill--pledged" style="width:${pct}%"></div>
+          <div class="progress-bar__fill progress-bar__fill--confirmed" style="width:${pctConfirmed}%"></div>
         </div>
         <p class="progress-text">
           €${priceRaised.toFixed(2)} angariados de €${priceTotal.toFixed(2)}
           <span aria-hidden="true">&nbsp;·&nbsp;</span>
           <strong>${pct}%</strong>
+          ${breakdown}
         </p>
       </div>` : ''}
       ${isGenericDonation ? `<div class="generic-donation-total" aria-label="Total angariado até ao momento">
         <span class="generic-donation-total__amount">€${priceRaised.toFixed(2)}</span>
         <span class="generic-donation-total__label">angariados até ao momento ♥</span>
+        ${breakdown}
       </div>` : ''}
       <div class="gift-card__actions">
         ${viewLink}
@@ -298,14 +511,21 @@ function createGiftCard(item) {
 async function loadMyContributions() {
   const section = document.getElementById('my-contributions-section');
   const list = document.getElementById('my-contributions-list');
+  const claimForm = document.getElementById('claim-form');
   if (!section || !list) return;
 
   try {
-    const res = await fetch(`${API_BASE}/api/my-contributions`, { headers: guestHeaders() });
+    const [res, claimRes] = await Promise.all([
+      fetch(`${EVENT_API}/my-contributions`, { headers: guestHeaders() }),
+      fetch(`${EVENT_API}/my-contributions/claim`, { headers: guestHeaders() }),
+    ]);
     if (!res.ok) return;
     const items = await res.json();
+    // Pledges from before the registry kept who made them, from this connection
+    const { unclaimed = 0 } = claimRes.ok ? await claimRes.json() : {};
+    if (claimForm) claimForm.hidden = unclaimed === 0;
 
-    if (items.length === 0) {
+    if (items.length === 0 && unclaimed === 0) {
       section.hidden = true;
       return;
     }
@@ -315,11 +535,13 @@ async function loadMyContributions() {
       <li class="my-contributions__item" data-id="${c.id}">
         <div class="my-contributions__info">
           <strong>${escHtml(c.item_title)}</strong>
-          <span>€${Number(c.amount).toFixed(2)}${c.message ? ` · "${escHtml(c.message)}"` : ''}</span>
+          <span>€${Number(c.amount).toFixed(2)}${c.reference ? ` · Ref. <span class="payment-ref">${escHtml(c.reference)}</span>` : ''}${c.message ? ` · "${escHtml(c.message)}"` : ''}</span>
+          ${c.status === 'paid' ? '<span class="my-contributions__paid">Pagamento recebido ✓</span>' : ''}
+          ${c.payment ? `<span class="payment-instructions">${paymentInstructionsHtml(c.payment)}</span>` : ''}
         </div>
-        <button class="my-contributions__delete btn btn--outline btn--sm" data-id="${c.id}">
+        ${c.status === 'paid' ? '' : `<button class="my-contributions__delete btn btn--outline btn--sm" data-id="${c.id}">
           Cancelar
-        </button>
+        </button>`}
       </li>
     `).join('');
 
@@ -330,7 +552,7 @@ async function loadMyContributions() {
         btn.disabled = true;
         btn.textContent = '…';
         try {
-          const del = await fetch(`${API_BASE}/api/my-contributions/${id}`, {
+          const del = await fetch(`${EVENT_API}/my-contributions/${id}`, {
             method: 'DELETE',
             headers: guestHeaders(),
           });
@@ -347,6 +569,41 @@ async function loadMyContributions() {
   }
 }
 
+/** Claim older pledges by the name they were made under (see loadMyContributions). */
+function initClaimForm() {
+  const form = document.getElementById('claim-form');
+  if (!form) return;
+  const feedback = document.getElementById('claim-feedback');
+  const submitBtn = document.getElementById('claim-submit-btn');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setFeedback(feedback, null);
+    clearFieldErrors(form);
+
+    submitBtn.disabled = true;
+    try {
+      const res = await fetch(`${EVENT_API}/my-contributions/claim`, {
+        method: 'POST',
+        headers: guestHeaders(),
+        body: JSON.stringify({ contributor_name: form.elements.contributor_name.value.trim() }),
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        if (res.status === 400) showFieldErrors(form, json.fields);
+        throw new Error(json.error || `Server error (${res.status})`);
+      }
+      form.reset();
+      setFeedback(feedback, 'success', `${json.claimed} contribuição(ões) recuperada(s). 💚`);
+      await loadMyContributions();
+    } catch (err) {
+      setFeedback(feedback, 'error', escHtml(err.message || 'Ocorreu um erro. Por favor tenta novamente.'));
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
 function initContributionForm() {
   const form = document.getElementById('contribution-form');
   const grid = document.getElementById('gifts-grid');
@@ -411,6 +668,7 @@ function initContributionForm() {
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     setFeedback(feedback, null);
+    clearFieldErrors(form);
 
     const itemId = parseInt(form.item_id.value, 10);
     const contributorName = form.contributor_name.value.trim();
@@ -438,7 +696,7 @@ function initContributionForm() {
     submitBtn.textContent = 'A enviar…';
 
     try {
-      const res = await fetch(`${API_BASE}/api/contributions`, {
+      const res = await fetch(`${EVENT_API}/contributions`, {
         method: 'POST',
         headers: guestHeaders(),
         body: JSON.stringify({ item_id: itemId, contributor_name: contributorName, amount, message }),
@@ -469,10 +727,11 @@ function initContributionForm() {
           await loadGifts();
           return;
         }
+        if (res.status === 400) showFieldErrors(form, json.fields);
         throw new Error(json.error || `Server error (${res.status})`);
       }
 
-      setFeedback(feedback, 'success', '🎉 Contribuição registada! Para completar, envia o valor via <strong>MB Way</strong> ou fala connosco para mais detalhes. Obrigado! 💚');
+      setFeedback(feedback, 'success', `🎉 Contribuição registada! ${paymentInstructionsHtml(json.payment)} Obrigado! 💚`);
       form.reset();
 
       // Reload gift cards and my contributions
@@ -482,7 +741,7 @@ function initContributionForm() {
       document.getElementById('gifts').scrollIntoView({ behavior: 'smooth', block: 'start' });
 
     } catch (err) {
-      setFeedback(feedback, 'error', err.message || 'Ocorreu um erro. Por favor tenta novamente.');
+      setFeedback(feedback, 'error', escHtml(err.message || 'Ocorreu um erro. Por favor tenta novamente.'));
       console.error('Contribution error:', err);
     } finally {
       submitBtn.disabled = false;
@@ -491,10 +750,129 @@ function initContributionForm() {
   });
 }
 
+// =============================================================
+// RSVP — the guest's attendance, party size and dietary notes.
+// One answer per guest, loaded into the form so it can be changed
+// (also from the chat, see appendRsvpCard).
+// =============================================================
+
+/** "Vens com 3 pessoas (1 criança)." style summary of a saved answer. */
+function rsvpSummary(rsvp) {
+  if (!rsvp.attending) return 'Disseste-nos que não podes vir. Se mudares de ideias, altera a resposta abaixo.';
+  const people = rsvp.party_size === 1 ? 'Vens sozinho/a' : `Vêm ${rsvp.party_size} pessoas`;
+  const children = rsvp.children > 0 ? ` (${rsvp.children} criança${rsvp.children === 1 ? '' : 's'})` : '';
+  return `✓ Presença confirmada: ${people}${children}. Obrigado! Podes alterar a resposta abaixo.`;
+}
+
+/** Show a saved answer above the form and fill the form with it. */
+function renderRsvp(rsvp) {
+  const status = document.getElementById('rsvp-status');
+  const form = document.getElementById('rsvp-form');
+  if (!status || !form) return;
+  status.hidden = !rsvp;
+  if (!rsvp) return;
+  status.textContent = rsvpSummary(rsvp);
+  form.elements.attending.value = rsvp.attending ? '1' : '0';
+  form.elements.name.value = rsvp.name;
+  form.elements.party_size.value = rsvp.attending ? rsvp.party_size : 1;
+  form.elements.children.value = rsvp.children;
+  form.elements.dietary.value = rsvp.dietary;
+  toggleRsvpParty();
+  document.getElementById('rsvp-submit-btn').textContent = 'Atualizar resposta';
+}
+
+function toggleRsvpParty() {
+  const attending = document.getElementById('rsvp-attending').value === '1';
+  document.getElementById('rsvp-attending-fields').hidden = !attending;
+}
+
+async function loadRsvp() {
+  try {
+    const res = await fetch(`${EVENT_API}/rsvp`, { headers: guestHeaders() });
+    if (!res.ok) return;
+    renderRsvp((await res.json()).rsvp);
+  } catch (err) {
+    console.error('Failed to load RSVP:', err);
+  }
+}
+
+function initRsvpForm() {
+  const form = document.getElementById('rsvp-form');
+  if (!form) return;
+  const feedback = document.getElementById('rsvp-feedback');
+  const submitBtn = document.getElementById('rsvp-submit-btn');
+
+  document.getElementById('rsvp-attending').addEventListener('change', toggleRsvpParty);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setFeedback(feedback, null);
+    clearFieldErrors(form);
+
+    const attending = form.elements.attending.value === '1';
+    const body = {
+      name: form.elements.name.value.trim(),
+      attending,
+      party_size: attending ? form.elements.party_size.value : undefined,
+      children: attending ? form.elements.children.value : undefined,
+      dietary: attending ? form.elements.dietary.value : '',
+    };
+
+    const label = submitBtn.textContent;
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'A enviar…';
+    try {
+      const res = await fetch(`${EVENT_API}/rsvp`, {
+        method: 'POST',
+        headers: guestHeaders(),
+        body: JSON.stringify(body),
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        if (res.status === 400) showFieldErrors(form, json.fields);
+        throw new Error(json.error || `Server error (${res.status})`);
+      }
+      renderRsvp(json.rsvp);
+      setFeedback(feedback, 'success', attending
+        ? '🎉 Obrigado! Contamos contigo.'
+        : 'Obrigado por nos avisares. Vamos ter saudades! 💚');
+    } catch (err) {
+      submitBtn.textContent = label;
+      setFeedback(feedback, 'error', escHtml(err.message || 'Ocorreu um erro. Por favor tenta novamente.'));
+      console.error('RSVP error:', err);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
 // =============================================================
 // AI CHATBOT
 // =============================================================
 
+/** Call onEvent(name, data) for each server-sent event in a streamed fetch response. */
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const blocks = buffer.split('\n\n');
+    buffer = done ? '' : blocks.pop();
+    blocks.forEach((block) => {
+      let name = 'message';
+      let data = '';
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) name = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(name, JSON.parse(data));
+    });
+    if (done) return;
+  }
+}
+
 function initChatbot() {
   const toggle = document.getElementById('chatbot-toggle');
   const panel = document.getElementById('chatbot-panel');
@@ -504,8 +882,50 @@ function initChatbot() {
   const messages = document.getElementById('chatbot-messages');
   if (!toggle || !panel || !chatForm || !chatInput || !messages) return;
 
-  // Conversation history sent to worker for context
-  const chatHistory = [];
+  // The conversation itself is kept by the worker; the browser only
+  // remembers which one it is, to carry on (and show it) after a reload
+  const sessionKey = eventStorageKey('chatSession');
+  let chatSessionId = localStorage.getItem(sessionKey);
+  let historyLoaded = false;
+  // Set once a card is confirmed or declined, so the next message starts
+  // the assistant afresh instead of re-proposing the same thing
+  let resetContext = false;
+
+  function rememberSession(id) {
+    if (!id || id === chatSessionId) return;
+    chatSessionId = id;
+    localStorage.setItem(sessionKey, id);
+  }
+
+  /** Show the earlier messages of this conversation under the greeting. */
+  async function loadChatHistory() {
+    historyLoaded = true;
+    if (!chatSessionId) return;
+    try {
+      const res = await fetch(`${EVENT_API}/chat/sessions/${encodeURIComponent(chatSessionId)}`, {
+        headers: guestHeaders(),
+      });
+      if (res.status === 404) {
+        chatSessionId = null;
+        localStorage.removeItem(sessionKey);
+        return;
+      }
+      if (!res.ok) return;
+      const { messages: earlier } = await res.json();
+      // Before anything sent while this was loading
+      const anchor = messages.children[1] ?? null;
+      earlier.forEach(({ role, content }) => {
+        const el = document.createElement('div');
+        el.className = `chatbot__message chatbot__message--${role === 'user' ? 'user' : 'bot'}`;
+        if (role === 'user') el.innerHTML = escHtml(content);
+        else setReplyText(el, content);
+        messages.insertBefore(el, anchor);
+      });
+      scrollMessages();
+    } catch (err) {
+      console.error('Chat history error:', err);
+    }
+  }
 
   const nudge = document.getElementById('chatbot-nudge');
   const nudgeClose = document.getElementById('chatbot-nudge-close');
@@ -534,6 +954,7 @@ function initChatbot() {
     toggle.setAttribute('aria-label', 'Fechar assistente de presentes');
     chatInput.focus();
     scrollMessages();
+    if (!historyLoaded) loadChatHistory();
   }
 
   function closePanel() {
@@ -559,36 +980,53 @@ function initChatbot() {
     if (!userMsg) return;
 
     appendMessage('user', escHtml(userMsg));
-    chatHistory.push({ role: 'user', content: userMsg });
     chatInput.value = '';
     chatInput.disabled = true;
 
     const typingEl = appendMessage('typing', 'A pensar…');
+    let botEl = null;
 
     try {
-      const res = await fetch(`${API_BASE}/api/chat`, {
+      const res = await fetch(`${EVENT_API}/chat`, {
         method: 'POST',
-        headers: guestHeaders(),
-        body: JSON.stringify({ message: userMsg, history: chatHistory.slice(-10) }),
+        headers: { ...guestHeaders(), 'Accept': 'text/event-stream' },
+        body: JSON.stringify({ message: userMsg, session_id: chatSessionId, reset_context: resetContext }),
       });
-      const json = await res.json();
-      typingEl.remove();
-      if (res.status === 429) {
-        appendMessage('bot', json.error || 'Limite de mensagens atingido para hoje. Tenta amanhã!');
-      } else {
-        const botText = json.reply || 'Desculpa, não consegui obter uma resposta agora. Tenta novamente.';
-        appendMessage('bot', botText);
-        chatHistory.push({ role: 'assistant', content: botText });
-
-        // Contribution confirmation card
-        if (json.contribution_pending) {
-          appendContributionCard(json.contribution_pending);
-        }
-        // Cancellation confirmation card
-        if (json.cancellation_pending) {
-          appendCancellationCard(json.cancellation_pending);
+      resetContext = false;
+      // Errors (and the rate limit) still come back as plain JSON
+      if (!(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        const json = await res.json();
+        typingEl.remove();
+        if (res.status === 429) {
+          appendMessage('bot', json.error || 'Limite de mensagens atingido para hoje. Tenta amanhã!');
+        } else {
+          if (res.ok) rememberSession(json.session_id);
+          showReply(appendMessage('bot', ''), res.ok ? json : {});
         }
+        return;
       }
+
+      // The reply is written out as it streams in; the final `done` event
+      // carries the cleaned-up text and any action to confirm
+      let streamed = '';
+      let result = null;
+      await readEventStream(res, (name, data) => {
+        if (name === 'session') {
+          rememberSession(data.session_id);
+        } else if (name === 'token') {
+          if (!botEl) {
+            typingEl.remove();
+            botEl = appendMessage('bot', '');
+          }
+          streamed += data.text;
+          botEl.textContent = streamed;
+          scrollMessages();
+        } else if (name === 'done' || name === 'error') {
+          result = data;
+        }
+      });
+      typingEl.remove();
+      showReply(botEl ?? appendMessage('bot', ''), result ?? {});
     } catch (err) {
       typingEl.remove();
       appendMessage('bot', 'Estou com dificuldades de ligação. Por favor tenta novamente em breve!');
@@ -599,6 +1037,27 @@ function initChatbot() {
     }
   });
 
+  /** Final text of a bot reply plus its confirmation cards, if any. */
+  function showReply(botEl, json) {
+    const botText = json.reply || json.error || 'Desculpa, não consegui obter uma resposta agora. Tenta novamente.';
+    setReplyText(botEl, botText);
+    scrollMessages();
+    if (!json.reply) return;
+
+    // Contribution confirmation card
+    if (json.contribution_pending) {
+      appendContributionCard(json.contribution_pending);
+    }
+    // Cancellation confirmation card
+    if (json.cancellation_pending) {
+      appendCancellationCard(json.cancellation_pending);
+    }
+    // RSVP confirmation card
+    if (json.rsvp_pending) {
+      appendRsvpCard(json.rsvp_pending);
+    }
+  }
+
   function appendContributionCard(contribution) {
     const card = document.createElement('div');
     card.className = 'chatbot__contribution-card';
@@ -622,7 +1081,7 @@ function initChatbot() {
       card.querySelector('.chatbot__contribution-actions').innerHTML =
         '<span style="font-size:var(--text-sm);color:var(--color-text-muted)">A processar…</span>';
       try {
-        const res = await fetch(`${API_BASE}/api/contributions`, {
+        const res = await fetch(`${EVENT_API}/contributions`, {
           method: 'POST',
           headers: guestHeaders(),
           body: JSON.stringify({
@@ -638,7 +1097,7 @@ function initChatbot() {
             const rem = Number(json.remaining).toFixed(2);
             card.querySelector('.chatbot__contribution-actions').innerHTML =
               `<span style="color:var(--color-error);font-size:var(--text-sm)">${escHtml(json.error)}</span>`;
-            chatHistory.length = 0;
+            resetContext = true;
             appendMessage('bot',
               `Entretanto, s\u00f3 faltam \u20ac${rem} para cobrir este presente. Quer que registe \u20ac${rem} em vez disso? Se sim, diz-me!`
             );
@@ -649,9 +1108,9 @@ function initChatbot() {
         }
         card.querySelector('.chatbot__contribution-actions').innerHTML =
           '<span style="color:var(--color-funded);font-weight:600">\u2713 Contribui\u00e7\u00e3o registada! Obrigado \ud83c\udf81</span>';
-        chatHistory.length = 0;
-        // MB Way nudge
-        appendMessage('bot', `Obrigado! \ud83d\udc9a Para completar, envia \u20ac${Number(contribution.amount).toFixed(2)} via <strong>MB Way</strong> ou fala connosco para mais detalhes. \ud83d\ude0a`);
+        resetContext = true;
+        // Payment instructions with the new reference
+        appendMessage('bot', `Obrigado! \ud83d\udc9a ${paymentInstructionsHtml(json.payment)} \ud83d\ude0a`);
         await Promise.all([loadGifts(), loadMyContributions()]);
       } catch (err) {
         card.querySelector('.chatbot__contribution-actions').innerHTML =
@@ -662,7 +1121,7 @@ function initChatbot() {
     card.querySelector('.chatbot__cancel-btn').addEventListener('click', () => {
       card.querySelector('.chatbot__contribution-actions').innerHTML =
         '<span style="font-size:var(--text-sm);color:var(--color-text-muted)">Contribuição cancelada.</span>';
-      chatHistory.length = 0;
+      resetContext = true;
       appendMessage('bot', 'Sem problema! Se quiseres contribuir mais tarde, usa o botão "Contribuir" em qualquer presente. 😊');
     });
   }
@@ -688,7 +1147,7 @@ function initChatbot() {
       card.querySelector('.chatbot__contribution-actions').innerHTML =
         '<span style="font-size:var(--text-sm);color:var(--color-text-muted)">A processar…</span>';
       try {
-        const res = await fetch(`${API_BASE}/api/my-contributions/${cancellation.contribution_id}`, {
+        const res = await fetch(`${EVENT_API}/my-contributions/${cancellation.contribution_id}`, {
           method: 'DELETE',
           headers: guestHeaders(),
         });
@@ -696,7 +1155,7 @@ function initChatbot() {
         if (!res.ok) throw new Error(json.error || 'Erro ao cancelar');
         card.querySelector('.chatbot__contribution-actions').innerHTML =
           '<span style="color:var(--color-funded);font-weight:600">✓ Contribuição cancelada!</span>';
-        chatHistory.length = 0;
+        resetContext = true;
         await loadGifts();
       } catch (err) {
         card.querySelector('.chatbot__contribution-actions').innerHTML =
@@ -707,14 +1166,59 @@ function initChatbot() {
     card.querySelector('.chatbot__abort-cancel-btn').addEventListener('click', () => {
       card.querySelector('.chatbot__contribution-actions').innerHTML =
         '<span style="font-size:var(--text-sm);color:var(--color-text-muted)">Cancelamento ignorado. A tua contribuição mantém-se! 🎁</span>';
-      chatHistory.length = 0;
+      resetContext = true;
+    });
+  }
+
+  function appendRsvpCard(rsvp) {
+    const card = document.createElement('div');
+    card.className = 'chatbot__contribution-card';
+    card.innerHTML = `
+      <p class="chatbot__contribution-title">Confirmar resposta</p>
+      <ul class="chatbot__contribution-details">
+        <li><strong>Nome:</strong> ${escHtml(rsvp.name)}</li>
+        <li><strong>Vens?</strong> ${rsvp.attending ? 'Sim' : 'Não'}</li>
+        ${rsvp.attending ? `<li><strong>Pessoas:</strong> ${rsvp.party_size}${rsvp.children > 0 ? ` (${rsvp.children} criança${rsvp.children === 1 ? '' : 's'})` : ''}</li>` : ''}
+        ${rsvp.dietary ? `<li><strong>Restrições alimentares:</strong> ${escHtml(rsvp.dietary)}</li>` : ''}
+      </ul>
+      <div class="chatbot__contribution-actions">
+        <button class="btn btn--primary btn--sm chatbot__confirm-btn">Confirmar ✓</button>
+        <button class="btn btn--outline btn--sm chatbot__cancel-btn">Cancelar</button>
+      </div>
+    `;
+    messages.appendChild(card);
+    scrollMessages();
+    const actions = card.querySelector('.chatbot__contribution-actions');
+
+    card.querySelector('.chatbot__confirm-btn').addEventListener('click', async () => {
+      actions.innerHTML = '<span style="font-size:var(--text-sm);color:var(--color-text-muted)">A processar…</span>';
+      try {
+        const res = await fetch(`${EVENT_API}/rsvp`, {
+          method: 'POST',
+          headers: guestHeaders(),
+          body: JSON.stringify(rsvp),
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Erro ao guardar a resposta');
+        actions.innerHTML = '<span style="color:var(--color-funded);font-weight:600">✓ Resposta registada!</span>';
+        resetContext = true;
+        renderRsvp(json.rsvp);
+      } catch (err) {
+        actions.innerHTML = `<span style="color:var(--color-error);font-size:var(--text-sm)">${escHtml(err.message)}</span>`;
+      }
+    });
+
+    card.querySelector('.chatbot__cancel-btn').addEventListener('click', () => {
+      actions.innerHTML = '<span style="font-size:var(--text-sm);color:var(--color-text-muted)">Resposta não enviada.</span>';
+      resetContext = true;
+      appendMessage('bot', 'Sem problema! Podes responder mais tarde aqui ou na secção "Confirmar Presença". 😊');
     });
   }
 
   async function showMyContributions() {
     const loadingEl = appendMessage('bot', 'A carregar as tuas contribuições…');
     try {
-      const res = await fetch(`${API_BASE}/api/my-contributions`, {
+      const res = await fetch(`${EVENT_API}/my-contributions`, {
         headers: guestHeaders(),
       });
       loadingEl.remove();
@@ -735,9 +1239,9 @@ function initChatbot() {
             <li class="chatbot__my-contribution-item" data-id="${c.id}">
               <div class="chatbot__my-contribution-info">
                 <strong>${escHtml(c.item_title)}</strong>
-                <span>€${Number(c.amount).toFixed(2)}${c.message ? ` · "${escHtml(c.message)}"` : ''}</span>
+                <span>€${Number(c.amount).toFixed(2)}${c.reference ? ` · Ref. ${escHtml(c.reference)}` : ''}${c.message ? ` · "${escHtml(c.message)}"` : ''}${c.status === 'paid' ? ' · Pago ✓' : ''}</span>
               </div>
-              <button class="chatbot__my-contribution-delete" data-id="${c.id}" aria-label="Cancelar contribuição">Cancelar</button>
+              ${c.status === 'paid' ? '' : `<button class="chatbot__my-contribution-delete" data-id="${c.id}" aria-label="Cancelar contribuição">Cancelar</button>`}
             </li>
           `).join('')}
         </ul>
@@ -751,7 +1255,7 @@ function initChatbot() {
           btn.disabled = true;
           btn.textContent = '…';
           try {
-            const delRes = await fetch(`${API_BASE}/api/my-contributions/${id}`, {
+            const delRes = await fetch(`${EVENT_API}/my-contributions/${id}`, {
               method: 'DELETE',
               headers: guestHeaders(),
             });
@@ -774,6 +1278,11 @@ function initChatbot() {
 
   document.getElementById('chatbot-my-contribs')?.addEventListener('click', showMyContributions);
 
+  /** Model output is shown as text, never as markup; only its line breaks are kept. */
+  function setReplyText(el, text) {
+    el.innerHTML = text.split('\n').map(escHtml).join('<br>');
+  }
+
   function appendMessage(type, text) {
     const el = document.createElement('div');
     el.className = `chatbot__message chatbot__message--${type}`;
@@ -814,17 +1323,80 @@ function initScrollSpy() {
   sections.forEach((s) => observer.observe(s));
 }
 
+// =============================================================
+// LIVE UPDATES — the Worker pushes item progress over a WebSocket
+// (GET /api/live) whenever someone contributes, so the cards fill up
+// without a reload. Cards and options are patched in place; a
+// reconnect reloads the list to catch up on anything missed.
+// =============================================================
+
+const LIVE_RETRY_MIN_MS = 1000;
+const LIVE_RETRY_MAX_MS = 30000;
+const LIVE_PING_MS = 30000;
+
+function connectLive(retryMs = LIVE_RETRY_MIN_MS, reconnecting = false) {
+  let socket;
+  try {
+    socket = new WebSocket(`${EVENT_API.replace(/^http/, 'ws')}/live`);
+  } catch (err) {
+    console.error('Live updates unavailable:', err);
+    return;
+  }
+  let ping = null;
+
+  socket.addEventListener('open', () => {
+    retryMs = LIVE_RETRY_MIN_MS;
+    ping = setInterval(() => socket.send('ping'), LIVE_PING_MS);
+    if (reconnecting) loadGifts();
+  });
+  socket.addEventListener('message', (e) => {
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch {
+      return; // 'pong'
+    }
+    if (message.type === 'item') patchGiftItem(message.item);
+    else if (message.type === 'items') loadGifts();
+  });
+  socket.addEventListener('close', () => {
+    clearInterval(ping);
+    setTimeout(() => connectLive(Math.min(retryMs * 2, LIVE_RETRY_MAX_MS), true), retryMs);
+  });
+}
+
+/** Redraw one item's card and form option from a pushed update. */
+function patchGiftItem(item) {
+  const index = giftItems.findIndex((i) => i.id === item.id);
+  const card = document.querySelector(`.gift-card[data-item-id="${item.id}"]`);
+  const option = document.querySelector(`#gift-select option[value="${item.id}"]`);
+  if (index === -1 || !card || !option) {
+    loadGifts(); // not on the page yet
+    return;
+  }
+  giftItems[index] = item;
+  card.replaceWith(createGiftCard(item));
+  fillGiftOption(option, item);
+}
+
 // =============================================================
 // INIT
 // =============================================================
 
 document.addEventListener('DOMContentLoaded', async () => {
+  loadEvent(); // public — fills the gate and the hero while the guest signs in
   const authed = await initGuestGate();
   if (!authed) return;
 
   await loadGifts();
+  connectLive();
   initContributionForm();
+  initRsvpForm();
+  initClaimForm();
   initChatbot();
   initScrollSpy();
   loadMyContributions(); // non-blocking, shows below form if guest has contributions
+  loadRsvp();
+
+  document.getElementById('guest-logout-btn')?.addEventListener('click', guestLogout);
 });
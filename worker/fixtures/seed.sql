@@ -1,43 +1,10 @@
 -- =============================================================
--- Baby Shower App — D1 SQLite Schema
--- Apply with: wrangler d1 execute babyshower-db --file=./schema.sql
+-- Baby Shower App — Optional seed fixture
+-- Example gift items for local development or a fresh registry.
+-- Apply AFTER migrations with: npm run db:seed
 -- =============================================================
 
-CREATE TABLE IF NOT EXISTS items (
-  id           INTEGER PRIMARY KEY AUTOINCREMENT,
-  title        TEXT    NOT NULL CHECK(length(title) > 0),
-  description  TEXT    NOT NULL DEFAULT '',
-  image_url    TEXT    NOT NULL DEFAULT '',
-  product_url  TEXT    NOT NULL DEFAULT '',
-  price_total  REAL    NOT NULL DEFAULT 0.0 CHECK(price_total >= 0),
-  price_raised REAL    NOT NULL DEFAULT 0.0 CHECK(price_raised >= 0),
-  is_funded    INTEGER NOT NULL DEFAULT 0 CHECK(is_funded IN (0,1)),
-  sort_order   INTEGER NOT NULL DEFAULT 0,
-  is_generic   INTEGER NOT NULL DEFAULT 0 CHECK(is_generic IN (0,1)),
-  created_at   TEXT    NOT NULL DEFAULT (datetime('now'))
-);
-
-CREATE TABLE IF NOT EXISTS contributions (
-  id               INTEGER PRIMARY KEY AUTOINCREMENT,
-  item_id          INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
-  contributor_name TEXT    NOT NULL CHECK(length(contributor_name) > 0),
-  amount           REAL    NOT NULL CHECK(amount > 0),
-  message          TEXT    NOT NULL DEFAULT '',
-  created_at       TEXT    NOT NULL DEFAULT (datetime('now'))
-);
-
--- Index for fast contribution lookups by item
-CREATE INDEX IF NOT EXISTS idx_contributions_item_id ON contributions(item_id);
-
--- Chat rate limiting: tracks message count per IP per day
-CREATE TABLE IF NOT EXISTS chat_rate_limit (
-  ip         TEXT    NOT NULL,
-  day        TEXT    NOT NULL,  -- ISO date: '2025-04-12'
-  count      INTEGER NOT NULL DEFAULT 0,
-  PRIMARY KEY (ip, day)
-);
-
--- Seed example items (remove or replace these with real gifts via the admin panel)
+-- Remove or replace these with real gifts via the admin panel
 INSERT INTO items (title, description, image_url, product_url, price_total)
 VALUES
   (
@@ -80,7 +47,7 @@ VALUES
     'Ginásio para bebé',
     'Ginásio para bebé, com várias atividades para estimular o desenvolvimento da Luísa.',
     'https://m.media-amazon.com/images/I/81e9Yy65YAL._AC_SL1500_.jpg',
-    'hhttps://www.amazon.es/dp/B0DMR1LB4F?_encoding=UTF8&psc=1&ref_=cm_sw_r_cp_ud_dp_0DKVE9TTACHZDSE5DC6M',
+    'https://www.amazon.es/dp/B0DMR1LB4F?_encoding=UTF8&psc=1&ref_=cm_sw_r_cp_ud_dp_0DKVE9TTACHZDSE5DC6M',
     53.99
   ),
   (
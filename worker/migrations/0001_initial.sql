@@ -0,0 +1,45 @@
+-- =============================================================
+-- Migration 0001 — initial schema
+-- Apply with: npm run db:migrate (local) / npm run db:migrate:remote
+--
+-- Uses IF NOT EXISTS so databases created from the old schema.sql
+-- can be brought under migration tracking without data loss. Those
+-- tables are left as they were, though, and the old contributions
+-- table has no contributor_ip column: add it by hand before migrating
+-- (see the README). checkSchema() reports it while it is missing.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS items (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  title        TEXT    NOT NULL CHECK(length(title) > 0),
+  description  TEXT    NOT NULL DEFAULT '',
+  image_url    TEXT    NOT NULL DEFAULT '',
+  product_url  TEXT    NOT NULL DEFAULT '',
+  price_total  REAL    NOT NULL DEFAULT 0.0 CHECK(price_total >= 0),
+  price_raised REAL    NOT NULL DEFAULT 0.0 CHECK(price_raised >= 0),
+  is_funded    INTEGER NOT NULL DEFAULT 0 CHECK(is_funded IN (0,1)),
+  sort_order   INTEGER NOT NULL DEFAULT 0,
+  is_generic   INTEGER NOT NULL DEFAULT 0 CHECK(is_generic IN (0,1)),
+  created_at   TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS contributions (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  item_id          INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+  contributor_name TEXT    NOT NULL CHECK(length(contributor_name) > 0),
+  amount           REAL    NOT NULL CHECK(amount > 0),
+  message          TEXT    NOT NULL DEFAULT '',
+  contributor_ip   TEXT,
+  created_at       TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Index for fast contribution lookups by item
+CREATE INDEX IF NOT EXISTS idx_contributions_item_id ON contributions(item_id);
+
+-- Chat rate limiting: tracks message count per IP per day
+CREATE TABLE IF NOT EXISTS chat_rate_limit (
+  ip         TEXT    NOT NULL,
+  day        TEXT    NOT NULL,  -- ISO date: '2025-04-12'
+  count      INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (ip, day)
+);
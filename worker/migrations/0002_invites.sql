@@ -0,0 +1,22 @@
+-- =============================================================
+-- Migration 0002 — per-guest invite tokens
+-- Each invite carries a unique token that is sent to one guest as
+-- a link (index.html?invite=...). Revoked invites keep their row so
+-- past contributions still point at them.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS invites (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  token         TEXT    NOT NULL UNIQUE,
+  label         TEXT    NOT NULL CHECK(length(label) > 0),  -- guest or family name
+  created_at    TEXT    NOT NULL DEFAULT (datetime('now')),
+  revoked_at    TEXT,
+  first_seen_at TEXT,
+  last_seen_at  TEXT,
+  chat_count    INTEGER NOT NULL DEFAULT 0
+);
+
+-- Which invite a contribution came from (NULL = shared guest password or admin)
+ALTER TABLE contributions ADD COLUMN invite_id INTEGER REFERENCES invites(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contributions_invite_id ON contributions(invite_id);
@@ -0,0 +1,12 @@
+-- =============================================================
+-- Migration 0003 — signed session tokens
+-- Session tokens are stateless (HMAC-signed); this table only holds
+-- the ids of tokens that were logged out or rotated before expiring.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS revoked_sessions (
+  jti        TEXT    PRIMARY KEY,
+  expires_at INTEGER NOT NULL  -- unix seconds; the row can go once the token would have expired anyway
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_sessions_expires_at ON revoked_sessions(expires_at);
@@ -0,0 +1,19 @@
+-- =============================================================
+-- Migration 0004 — contribution ownership by guest identity
+-- "My contributions" used to be matched on caller IP, which mixes up
+-- guests on shared Wi-Fi and loses pledges when a guest changes network.
+-- guest_key identifies the guest session that made the pledge:
+--   invite:<id>   guest who came in through a personal invite link
+--   device:<key>  guest who used the shared password (key kept in localStorage)
+--   admin         created by the admin
+-- Rows from before this migration keep guest_key NULL until a guest
+-- claims them: from the IP the pledge came from and with the name it
+-- was made under, since an IP can be shared (see handleClaimContributions).
+-- =============================================================
+
+ALTER TABLE contributions ADD COLUMN guest_key TEXT;
+
+-- Invite-link pledges already have a stable owner
+UPDATE contributions SET guest_key = 'invite:' || invite_id WHERE invite_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contributions_guest_key ON contributions(guest_key);
@@ -0,0 +1,14 @@
+-- =============================================================
+-- Migration 0005 — payment status for contributions
+-- Contributions are pledges until the parents confirm the money
+-- arrived (pledged → paid). Guest cancellations keep the row as
+-- 'cancelled' instead of deleting it; cancelled rows no longer count
+-- towards an item's price_raised.
+-- =============================================================
+
+ALTER TABLE contributions ADD COLUMN status TEXT NOT NULL DEFAULT 'pledged'
+  CHECK(status IN ('pledged', 'paid', 'cancelled'));
+ALTER TABLE contributions ADD COLUMN paid_at TEXT;
+ALTER TABLE contributions ADD COLUMN cancelled_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_contributions_status ON contributions(item_id, status);
@@ -0,0 +1,28 @@
+-- =============================================================
+-- Migration 0006 — payment references and admin settings
+-- Every contribution gets a short reference code the guest quotes
+-- when paying, so incoming MB Way / bank transfers can be matched.
+-- Payment details (MB Way phone, IBAN, holder) live in a key/value
+-- settings table that the admin edits from the panel.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS settings (
+  key        TEXT PRIMARY KEY,
+  value      TEXT NOT NULL DEFAULT '',
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+ALTER TABLE contributions ADD COLUMN reference TEXT;
+
+-- Existing contributions get a random reference too, drawn like the
+-- Worker's (REFERENCE_ALPHABET in src/index.ts: 6 characters, no 0/O or 1/I)
+UPDATE contributions SET reference =
+  substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + (random() & 31), 1) ||
+  substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + (random() & 31), 1) ||
+  substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + (random() & 31), 1) ||
+  substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + (random() & 31), 1) ||
+  substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + (random() & 31), 1) ||
+  substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + (random() & 31), 1)
+WHERE reference IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contributions_reference ON contributions(reference);
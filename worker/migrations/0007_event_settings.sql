@@ -0,0 +1,23 @@
+-- =============================================================
+-- Migration 0007 — event details as settings
+-- The event date, venue, family details and the generic-fund
+-- estimate used to be hardcoded in index.html and in the chatbot
+-- prompt. They now live in the settings table (edited from the
+-- admin "Evento" tab); these are the values that were hardcoded.
+-- =============================================================
+
+INSERT OR IGNORE INTO settings (key, value) VALUES
+  ('baby_name',             'Maria Luísa'),
+  ('baby_gender',           'Menina 👧'),
+  ('parents_names',         'Gonçalo e Inês'),
+  ('due_date',              '2026-06-14'),
+  ('event_date',            '2026-04-11'),
+  ('event_time',            '15:00'),
+  ('hero_subtitle',         'A Maria Luísa vem aí e estamos muito felizes por partilhar este momento especial com a nossa família e amigos.'),
+  ('venue_name',            'Messe Militar de Évora'),
+  ('venue_address',         'Largo da Graça' || char(10) || '7000-645 Évora'),
+  ('venue_maps_url',        'https://maps.app.goo.gl/Sygdi3wuZ8avmtK26'),
+  ('event_details',         'Há estacionamento dentro da Messe Militar de Évora.' || char(10) || 'Haverá um lanche tradicional português.'),
+  ('nursery_theme',         'Safari'),
+  ('nursery_colours',       'verde, branco, bege e castanho'),
+  ('generic_fund_estimate', '1500');
@@ -0,0 +1,43 @@
+-- =============================================================
+-- Migration 0008 — multiple events per deployment
+-- One Worker + database can now host several registries (baby
+-- shower, baptism, first birthday, …), each under its own slug
+-- with its own items, invites, settings and passwords.
+-- Everything that existed before becomes event 1 ("default"),
+-- which the legacy /api/... routes keep serving.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS events (
+  id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug                TEXT    NOT NULL UNIQUE CHECK(slug GLOB '[a-z0-9]*' AND slug NOT GLOB '*[^a-z0-9-]*'),
+  name                TEXT    NOT NULL CHECK(length(name) > 0),  -- e.g. "Baby Shower", "Batizado"
+  admin_password_hash TEXT,  -- NULL: only the deployment owner (ADMIN_PASSWORD) can manage it
+  guest_password_hash TEXT,  -- NULL: invite links only (event 1 falls back to GUEST_PASSWORD)
+  created_at          TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT OR IGNORE INTO events (id, slug, name) VALUES (1, 'default', 'Baby Shower');
+
+-- SQLite can't add a column with both a REFERENCES clause and a
+-- non-NULL default, so these are plain columns; the Worker only
+-- ever writes ids of existing events.
+ALTER TABLE items ADD COLUMN event_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE invites ADD COLUMN event_id INTEGER NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_items_event_id ON items(event_id);
+CREATE INDEX IF NOT EXISTS idx_invites_event_id ON invites(event_id);
+
+-- Settings become per event: rebuild with an (event_id, key) primary key
+CREATE TABLE settings_by_event (
+  event_id   INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  key        TEXT    NOT NULL,
+  value      TEXT    NOT NULL DEFAULT '',
+  updated_at TEXT    NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (event_id, key)
+);
+
+INSERT INTO settings_by_event (event_id, key, value, updated_at)
+  SELECT 1, key, value, updated_at FROM settings;
+
+DROP TABLE settings;
+ALTER TABLE settings_by_event RENAME TO settings;
@@ -0,0 +1,24 @@
+-- =============================================================
+-- Migration 0009 — audit log
+-- One row per change to items and contributions, by an admin or a
+-- guest, with the row before and after the change as JSON. Rows
+-- outlive the items they describe (deleting an item also deletes
+-- its contributions), so there is no foreign key to items.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id    INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  actor_type  TEXT    NOT NULL CHECK(actor_type IN ('owner', 'admin', 'guest')),
+  actor_key   TEXT,             -- guest key ('invite:12', 'device:…'); NULL for admins
+  ip          TEXT,
+  action      TEXT    NOT NULL, -- e.g. 'item.update', 'contribution.cancel'
+  entity_type TEXT    NOT NULL CHECK(entity_type IN ('item', 'contribution')),
+  entity_id   INTEGER,          -- NULL when the change spans several rows (reorder, import)
+  before_json TEXT,             -- NULL for creations
+  after_json  TEXT,             -- NULL for deletions
+  created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log(event_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(event_id, entity_type, entity_id);
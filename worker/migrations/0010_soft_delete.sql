@@ -0,0 +1,15 @@
+-- =============================================================
+-- Migration 0010 — soft delete for items and contributions
+-- Deleting from the admin panel now only stamps deleted_at; the row
+-- moves to the "Lixo" view and can be restored from there. Deleting
+-- an item also deletes its live contributions, flagged
+-- deleted_with_item, so restoring the item brings back exactly those
+-- and not the ones that were deleted on their own.
+-- =============================================================
+
+ALTER TABLE items ADD COLUMN deleted_at TEXT;
+ALTER TABLE contributions ADD COLUMN deleted_at TEXT;
+ALTER TABLE contributions ADD COLUMN deleted_with_item INTEGER NOT NULL DEFAULT 0 CHECK(deleted_with_item IN (0, 1));
+
+CREATE INDEX IF NOT EXISTS idx_items_deleted_at ON items(event_id, deleted_at);
+CREATE INDEX IF NOT EXISTS idx_contributions_deleted_at ON contributions(item_id, deleted_at);
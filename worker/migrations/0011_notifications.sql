@@ -0,0 +1,24 @@
+-- =============================================================
+-- Migration 0011 — notification outbox
+-- Messages to the parents about new and cancelled contributions
+-- (see src/notify.ts). Each one is stored before it is sent, so a
+-- webhook, email or Telegram outage only delays it: the cron trigger
+-- retries pending rows with backoff until they go out or run out of
+-- attempts.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  channel         TEXT    NOT NULL,  -- adapter at the time it was queued: 'webhook', 'email', 'telegram', 'mock'
+  kind            TEXT    NOT NULL,  -- 'contribution.created' | 'contribution.cancelled'
+  payload_json    TEXT    NOT NULL,
+  status          TEXT    NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  next_attempt_at TEXT    NOT NULL DEFAULT (datetime('now')),
+  sent_at         TEXT,
+  created_at      TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(status, next_attempt_at);
@@ -0,0 +1,22 @@
+-- =============================================================
+-- Migration 0012 — RSVPs
+-- One answer per guest per event, keyed like contributions by the
+-- guest's key ('invite:12', 'device:…'), so a guest can come back and
+-- change it. party_size counts everyone coming, the guest included;
+-- children is how many of them are children.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS rsvps (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id    INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  guest_key   TEXT    NOT NULL,
+  invite_id   INTEGER REFERENCES invites(id) ON DELETE SET NULL,
+  name        TEXT    NOT NULL,
+  attending   INTEGER NOT NULL CHECK(attending IN (0, 1)),
+  party_size  INTEGER NOT NULL DEFAULT 0 CHECK(party_size >= 0),  -- 0 when not attending
+  children    INTEGER NOT NULL DEFAULT 0 CHECK(children >= 0 AND children <= party_size),
+  dietary     TEXT    NOT NULL DEFAULT '',  -- allergies, vegetarian, …
+  created_at  TEXT    NOT NULL DEFAULT (datetime('now')),
+  updated_at  TEXT    NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(event_id, guest_key)
+);
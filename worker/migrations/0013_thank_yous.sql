@@ -0,0 +1,19 @@
+-- =============================================================
+-- Migration 0013 — thank-you notes
+-- One row per contributor the parents have written to or thanked
+-- (see src/thanks.ts). Contributors are grouped by name across items,
+-- so contributor_key is the name trimmed, lower-cased and without
+-- accents. A NULL note means the template draft is still in use.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS thank_yous (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  contributor_key TEXT    NOT NULL,
+  name            TEXT    NOT NULL,  -- as last written on a contribution
+  note            TEXT,              -- edited or AI-drafted note
+  thanked_at      TEXT,              -- NULL until marked as thanked
+  created_at      TEXT    NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT    NOT NULL DEFAULT (datetime('now')),
+  UNIQUE(event_id, contributor_key)
+);
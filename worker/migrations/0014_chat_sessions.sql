@@ -0,0 +1,34 @@
+-- =============================================================
+-- Migration 0014 — chat sessions
+-- Guests' conversations with the chat assistant, kept on the server
+-- (see src/chat-sessions.ts). The model is given the last turns from
+-- here rather than a history sent by the browser, the chatbot reloads
+-- the conversation when it opens, and admins can read transcripts.
+-- context_from hides earlier turns from the model once an action
+-- (contribution, cancellation, RSVP) has been confirmed or declined;
+-- the transcript keeps them.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  id            TEXT    PRIMARY KEY,  -- random, handed to the browser
+  event_id      INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  guest_key     TEXT    NOT NULL,
+  invite_id     INTEGER REFERENCES invites(id) ON DELETE SET NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  context_from  INTEGER NOT NULL DEFAULT 0,  -- first chat_messages.id the model sees
+  created_at    TEXT    NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_event ON chat_sessions(event_id, updated_at);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id   TEXT    NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  role         TEXT    NOT NULL CHECK(role IN ('user', 'assistant')),
+  content      TEXT    NOT NULL,
+  actions_json TEXT,  -- confirmation cards offered with an assistant reply
+  created_at   TEXT    NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages(session_id, id);
@@ -0,0 +1,21 @@
+-- =============================================================
+-- Migration 0015 — rate limits
+-- Sliding-window counters (see src/ratelimit.ts) per event, scope
+-- (chat, contribution, guest-auth, admin-auth) and subject (a guest's
+-- key or "ip:…"). The old per-IP daily counts were short-lived
+-- anyway, so the table is simply recreated.
+-- =============================================================
+
+DROP TABLE IF EXISTS chat_rate_limit;
+
+CREATE TABLE chat_rate_limit (
+  event_id     INTEGER NOT NULL,
+  scope        TEXT    NOT NULL,
+  subject      TEXT    NOT NULL,
+  window_start INTEGER NOT NULL,  -- unix seconds
+  count        INTEGER NOT NULL DEFAULT 0,
+  expires_at   INTEGER NOT NULL,  -- unix seconds; the cron trigger deletes rows past it
+  PRIMARY KEY (event_id, scope, subject, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_rate_limit_expires ON chat_rate_limit(expires_at);
@@ -0,0 +1,9 @@
+-- =============================================================
+-- Migration 0016 — the IP address a chat session was last used from
+-- Chat and contributions are also rate-limited per IP address (see
+-- src/ratelimit.ts). Keeping the guest's last address on the session
+-- lets "Repor limite" clear that address's counts as well as the
+-- guest's own; otherwise the per-IP window keeps them blocked.
+-- =============================================================
+
+ALTER TABLE chat_sessions ADD COLUMN last_ip TEXT;
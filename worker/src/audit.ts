@@ -0,0 +1,158 @@
+// =============================================================
+// Audit log
+// Who changed which item or contribution, when, from where, and what
+// the row looked like before and after. Handlers add auditStmt() to
+// the batch that makes the change, or run it straight after when
+// they need the change's result first (a new id, the updated row).
+// Behind a guarded UPDATE that may match nothing (a concurrent cancel
+// got there first), { ifChanged: true } records the entry only when
+// it changed the row.
+// The admin "Histórico" tab reads it back through GET /api/admin/audit.
+// =============================================================
+
+import { date, id, number, oneOf, parse, type FieldErrors, type Infer } from "./validation";
+
+export const AUDIT_ACTIONS = [
+  "item.create",
+  "item.update",
+  "item.delete",
+  "item.restore",
+  "item.purge",
+  "item.reorder",
+  "item.import",
+  "contribution.create",
+  "contribution.status",
+  "contribution.cancel",
+  "contribution.claim",
+  "contribution.delete",
+  "contribution.restore",
+  "contribution.purge",
+] as const;
+
+export type AuditAction = (typeof AUDIT_ACTIONS)[number];
+export type ActorType = "owner" | "admin" | "guest";
+
+export interface AuditActor {
+  type: ActorType;
+  key: string | null;  // the guest's key; null for admins
+  ip: string;
+}
+
+export interface AuditEntry {
+  action: AuditAction;
+  entityId: number | null;
+  before?: unknown;
+  after?: unknown;
+}
+
+export interface AuditRow {
+  id: number;
+  actor_type: ActorType;
+  actor_key: string | null;
+  ip: string | null;
+  action: AuditAction;
+  entity_type: "item" | "contribution";
+  entity_id: number | null;
+  before: unknown;
+  after: unknown;
+  created_at: string;
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * The INSERT for one entry, to run in the same batch as the change it
+ * records. With `ifChanged` it must come straight after that change:
+ * it only inserts when the statement before it changed exactly one row.
+ */
+export function auditStmt(
+  db: D1Database,
+  eventId: number,
+  actor: AuditActor,
+  entry: AuditEntry,
+  { ifChanged = false }: { ifChanged?: boolean } = {}
+): D1PreparedStatement {
+  const json = (value: unknown) => (value === undefined || value === null ? null : JSON.stringify(value));
+  return db
+    .prepare(
+      `INSERT INTO audit_log (event_id, actor_type, actor_key, ip, action, entity_type, entity_id, before_json, after_json)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?${ifChanged ? " WHERE changes() = 1" : ""}`
+    )
+    .bind(
+      eventId,
+      actor.type,
+      actor.key,
+      actor.ip,
+      entry.action,
+      entry.action.split(".")[0],
+      entry.entityId,
+      json(entry.before),
+      json(entry.after)
+    );
+}
+
+const AUDIT_QUERY_SCHEMA = {
+  action: oneOf(AUDIT_ACTIONS),
+  entity_type: oneOf(["item", "contribution"] as const),
+  entity_id: id(),
+  actor_type: oneOf(["owner", "admin", "guest"] as const),
+  from: date(),
+  to: date(),
+  before_id: id(),  // paging: entries older than this one
+  limit: number({ integer: true, min: 1, max: MAX_PAGE_SIZE }),
+};
+
+export type AuditQuery = Infer<typeof AUDIT_QUERY_SCHEMA> & { limit: number };
+
+/** Validate the filters of GET /api/admin/audit. Empty parameters are ignored. */
+export function parseAuditQuery(params: URLSearchParams): AuditQuery | { errors: FieldErrors } {
+  const given = Object.fromEntries([...params].filter(([, value]) => value !== ""));
+  const parsed = parse(AUDIT_QUERY_SCHEMA, given);
+  if ("errors" in parsed) return parsed;
+  const query = parsed.values;
+  if (query.from && query.to && query.from > query.to) return { errors: { from: "from must not be after to" } };
+  return { ...query, limit: query.limit ?? DEFAULT_PAGE_SIZE };
+}
+
+/**
+ * One page of an event's entries, newest first. `next_before_id` is
+ * set when there may be older entries to load.
+ */
+export async function listAudit(
+  db: D1Database,
+  eventId: number,
+  query: AuditQuery
+): Promise<{ entries: AuditRow[]; next_before_id: number | null }> {
+  const where = ["event_id = ?"];
+  const binds: unknown[] = [eventId];
+  const filter = (sql: string, value: unknown) => {
+    if (value === undefined || value === "") return;
+    where.push(sql);
+    binds.push(value);
+  };
+  filter("action = ?", query.action);
+  filter("entity_type = ?", query.entity_type);
+  filter("entity_id = ?", query.entity_id);
+  filter("actor_type = ?", query.actor_type);
+  filter("date(created_at) >= ?", query.from);
+  filter("date(created_at) <= ?", query.to);
+  filter("id < ?", query.before_id);
+
+  const { results } = await db
+    .prepare(
+      `SELECT id, actor_type, actor_key, ip, action, entity_type, entity_id, before_json, after_json, created_at
+       FROM audit_log WHERE ${where.join(" AND ")}
+       ORDER BY id DESC LIMIT ?`
+    )
+    .bind(...binds, query.limit)
+    .all<Omit<AuditRow, "before" | "after"> & { before_json: string | null; after_json: string | null }>();
+
+  const entries = results.map(({ before_json, after_json, ...row }) => ({
+    ...row,
+    before: before_json === null ? null : JSON.parse(before_json),
+    after: after_json === null ? null : JSON.parse(after_json),
+  }));
+  const last = entries[entries.length - 1];
+  return { entries, next_before_id: entries.length === query.limit && last ? last.id : null };
+}
@@ -0,0 +1,150 @@
+// =============================================================
+// Session tokens
+// Compact HMAC-SHA256 signed tokens: base64url(claims).base64url(sig)
+// Signed with the SESSION_SECRET Worker secret, so passwords are only
+// ever sent once, to the /auth routes.
+// =============================================================
+
+export type Role = "admin" | "guest";
+
+export interface SessionClaims {
+  role: Role;
+  typ: "access" | "refresh";
+  evt: number | null;  // event the token is for; null = deployment owner (admin only)
+  inv: number | null;  // invite id for invite-link guests
+  gid: string | null;  // guest identity that owns the guest's contributions
+  jti: string;         // unique token id, used for logout/revocation
+  iat: number;         // issued at (unix seconds)
+  exp: number;         // expires at (unix seconds)
+}
+
+const encoder = new TextEncoder();
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(value: string): Uint8Array {
+  const padded = value.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(value.length / 4) * 4, "=");
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function hmacKey(secret: string): Promise<CryptoKey> {
+  if (!secret) throw new Error("SESSION_SECRET is not configured");
+  return crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+/** Current time in unix seconds. */
+export function nowSeconds(): number {
+  return Math.floor(Date.now() / 1000);
+}
+
+/** Random URL-safe identifier (used for token ids and invite tokens). */
+export function randomId(bytes = 18): string {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+/** Sign a new token for the given role, valid for ttlSeconds. */
+export async function signSession(
+  secret: string,
+  claims: Pick<SessionClaims, "role" | "typ" | "evt" | "inv" | "gid">,
+  ttlSeconds: number
+): Promise<{ token: string; claims: SessionClaims }> {
+  const iat = nowSeconds();
+  const full: SessionClaims = { ...claims, jti: randomId(), iat, exp: iat + ttlSeconds };
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify(full)));
+  const key = await hmacKey(secret);
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(payload)));
+  return { token: `${payload}.${base64UrlEncode(sig)}`, claims: full };
+}
+
+/**
+ * Verify signature and expiry. Returns null for anything malformed,
+ * forged or expired — revocation is checked by the caller.
+ */
+export async function verifySession(
+  secret: string,
+  token: string
+): Promise<SessionClaims | null> {
+  const [payload, sig, extra] = token.split(".");
+  if (!payload || !sig || extra !== undefined) return null;
+  try {
+    const key = await hmacKey(secret);
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      key,
+      base64UrlDecode(sig),
+      encoder.encode(payload)
+    );
+    if (!valid) return null;
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload))) as SessionClaims;
+    if (typeof claims.exp !== "number" || claims.exp <= nowSeconds()) return null;
+    if (claims.role !== "admin" && claims.role !== "guest") return null;
+    return claims;
+  } catch (err) {
+    if (err instanceof Error && err.message.includes("SESSION_SECRET")) throw err;
+    return null;
+  }
+}
+
+/** Read the token from an `Authorization: Bearer <token>` header. */
+export function bearerToken(request: Request): string | null {
+  const header = request.headers.get("Authorization");
+  const match = header?.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Constant-time string comparison. Both values are hashed first so the
+ * comparison does not leak their lengths either.
+ */
+export async function safeEqual(a: string, b: string): Promise<boolean> {
+  const [ha, hb] = await Promise.all([
+    crypto.subtle.digest("SHA-256", encoder.encode(a)),
+    crypto.subtle.digest("SHA-256", encoder.encode(b)),
+  ]);
+  return crypto.subtle.timingSafeEqual(ha, hb);
+}
+
+// =============================================================
+// Password hashes
+// Per-event passwords are stored as PBKDF2-SHA256 hashes:
+// pbkdf2$<iterations>$<salt>$<hash>, salt and hash base64url.
+// =============================================================
+
+const PBKDF2_ITERATIONS = 100_000;  // the most Workers' WebCrypto allows
+
+async function pbkdf2(password: string, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+/** Hash a password for storage. */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${base64UrlEncode(salt)}$${base64UrlEncode(hash)}`;
+}
+
+/** Check a password against a hash from hashPassword(). */
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [scheme, iterations, salt, hash] = stored.split("$");
+  if (scheme !== "pbkdf2" || !salt || !hash) return false;
+  const actual = await pbkdf2(password, base64UrlDecode(salt), Number(iterations));
+  const expected = base64UrlDecode(hash);
+  return actual.length === expected.length && crypto.subtle.timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,173 @@
+// =============================================================
+// Calendar
+// The event as an RFC 5545 invite (GET /api/event.ics) and as a
+// Google Calendar link, both built from the same settings so the
+// hero's "Adicionar ao calendário" buttons always agree. Times are
+// wall-clock Lisbon times, as entered in the admin "Evento" tab.
+// =============================================================
+
+import type { Settings } from "./settings";
+
+export const EVENT_TIMEZONE = "Europe/Lisbon";
+const DURATION_HOURS = 3;  // there is no end-time setting; an afternoon party
+const PRODID = "-//Baby Shower Registry//Event//PT";
+
+// Europe/Lisbon since 1996: WET in winter, WEST from the last Sunday of
+// March (01:00 UTC) to the last Sunday of October (01:00 UTC)
+const LISBON_VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${EVENT_TIMEZONE}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0000",
+  "TZOFFSETTO:+0100",
+  "TZNAME:WEST",
+  "DTSTART:19700329T010000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0000",
+  "TZNAME:WET",
+  "DTSTART:19701025T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+export interface CalendarEvent {
+  title: string;
+  /** YYYYMMDD for an all-day event, YYYYMMDDTHHMMSS (Lisbon time) otherwise. */
+  start: string;
+  end: string;
+  allDay: boolean;
+  location: string;
+  description: string;
+}
+
+/** "20260411T150000" style stamp of a Date's UTC fields. */
+function stamp(date: Date, withTime: boolean): string {
+  const iso = date.toISOString().replace(/[-:]/g, "");
+  return withTime ? iso.slice(0, 15) : iso.slice(0, 8);
+}
+
+/**
+ * The event's calendar entry, or null while no date is set. Without a
+ * time it is an all-day event.
+ */
+export function calendarEvent(eventName: string, settings: Settings): CalendarEvent | null {
+  if (!settings.event_date) return null;
+  const [year, month, day] = settings.event_date.split("-").map(Number);
+  const [hour, minute] = settings.event_time ? settings.event_time.split(":").map(Number) : [];
+  const allDay = hour === undefined;
+  // Date.UTC only does the arithmetic here; the result is read back as Lisbon wall-clock time
+  const start = new Date(Date.UTC(year, month - 1, day, hour ?? 0, minute ?? 0));
+  const end = allDay
+    ? new Date(Date.UTC(year, month - 1, day + 1))
+    : new Date(start.getTime() + DURATION_HOURS * 3600_000);
+
+  const address = settings.venue_address.split("\n").map((line) => line.trim()).filter(Boolean);
+  const description = [
+    settings.event_details,
+    settings.venue_maps_url && `Como chegar: ${settings.venue_maps_url}`,
+  ];
+  return {
+    title: settings.baby_name ? `${eventName} — ${settings.baby_name}` : eventName,
+    start: stamp(start, !allDay),
+    end: stamp(end, !allDay),
+    allDay,
+    location: [settings.venue_name, ...address].filter(Boolean).join(", "),
+    description: description.filter(Boolean).join("\n\n"),
+  };
+}
+
+// -------------------------------------------------------------
+// iCalendar
+// -------------------------------------------------------------
+
+/** TEXT value escaping (RFC 5545 §3.3.11). */
+function escapeText(value: string): string {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Split a content line into 75-octet pieces without cutting a UTF-8 character (§3.1). */
+function fold(line: string): string {
+  const encoder = new TextEncoder();
+  const pieces: string[] = [];
+  let piece = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their 75
+    if (octets + size > (pieces.length ? 74 : 75)) {
+      pieces.push(piece);
+      piece = "";
+      octets = 0;
+    }
+    piece += char;
+    octets += size;
+  }
+  pieces.push(piece);
+  return pieces.join("\r\n ");
+}
+
+function dateProperty(name: string, value: string, allDay: boolean): string {
+  return allDay ? `${name};VALUE=DATE:${value}` : `${name};TZID=${EVENT_TIMEZONE}:${value}`;
+}
+
+function alarm(trigger: string, description: string): string[] {
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `TRIGGER:${trigger}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    "END:VALARM",
+  ];
+}
+
+/**
+ * A one-event VCALENDAR. `uid` must stay the same for the event so
+ * re-importing the file updates the entry instead of duplicating it.
+ */
+export function toIcs(event: CalendarEvent, uid: string, now = new Date()): string {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(event.allDay ? [] : LISBON_VTIMEZONE),
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${stamp(now, true)}Z`,
+    dateProperty("DTSTART", event.start, event.allDay),
+    dateProperty("DTEND", event.end, event.allDay),
+    `SUMMARY:${escapeText(event.title)}`,
+    ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    "STATUS:CONFIRMED",
+    "TRANSP:OPAQUE",
+    ...alarm("-P1D", `Amanhã: ${event.title}`),
+    // An all-day event starts at midnight, so a same-day reminder would fire the evening before
+    ...(event.allDay ? [] : alarm("-PT2H", `Daqui a 2 horas: ${event.title}`)),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/** The same entry as a Google Calendar "create event" link. */
+export function googleCalendarUrl(event: CalendarEvent): string {
+  const params = new URLSearchParams({
+    action: "TEMPLATE",
+    text: event.title,
+    dates: `${event.start}/${event.end}`,
+    ctz: EVENT_TIMEZONE,
+  });
+  if (event.location) params.set("location", event.location);
+  if (event.description) params.set("details", event.description);
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
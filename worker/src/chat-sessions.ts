@@ -0,0 +1,163 @@
+// =============================================================
+// Chat sessions
+// Each guest conversation with the chat assistant, stored in D1.
+// The browser only holds the session id: the model is given the
+// last turns from here (so a guest can't write the assistant's side
+// of the conversation), the chatbot reloads the conversation when it
+// opens, and the admin "Conversas" tab reads the transcripts.
+// =============================================================
+
+import { randomId } from "./auth";
+import type { ChatActions } from "./chat-tools";
+
+export const HISTORY_MESSAGES = 10;  // turns given to the model (user and assistant)
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const ADMIN_LIST_LIMIT = 200;
+
+export interface ChatSession {
+  id: string;
+  event_id: number;
+  guest_key: string;
+  invite_id: number | null;
+  last_ip: string | null;
+  message_count: number;
+  context_from: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ChatMessageRow {
+  id: number;
+  role: "user" | "assistant";
+  content: string;
+  actions: Partial<ChatActions> | null;
+  created_at: string;
+}
+
+/** A session as listed in the admin tab, with who it belongs to and how it starts. */
+export interface ChatSessionSummary extends ChatSession {
+  invite_label: string | null;
+  rsvp_name: string | null;
+  first_message: string | null;
+}
+
+/** The guest's session, if the id is theirs (and this event's). */
+export function findChatSession(
+  db: D1Database,
+  eventId: number,
+  guestKey: string,
+  sessionId: string | undefined
+): Promise<ChatSession | null> {
+  if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) return Promise.resolve(null);
+  return db.prepare("SELECT * FROM chat_sessions WHERE id = ? AND event_id = ? AND guest_key = ?")
+    .bind(sessionId, eventId, guestKey)
+    .first<ChatSession>();
+}
+
+/**
+ * Continue the guest's session, or start a new one when the id is
+ * missing, unknown or someone else's. Notes the IP address it is used
+ * from, so resetting the guest's rate limits can clear its per-IP counts.
+ */
+export async function openChatSession(
+  db: D1Database,
+  eventId: number,
+  guest: { key: string; inviteId: number | null },
+  sessionId: string | undefined,
+  ip: string
+): Promise<ChatSession> {
+  const existing = await findChatSession(db, eventId, guest.key, sessionId);
+  if (existing) {
+    if (existing.last_ip !== ip) {
+      await db.prepare("UPDATE chat_sessions SET last_ip = ? WHERE id = ?").bind(ip, existing.id).run();
+    }
+    return { ...existing, last_ip: ip };
+  }
+  const created = await db.prepare(
+    "INSERT INTO chat_sessions (id, event_id, guest_key, invite_id, last_ip) VALUES (?, ?, ?, ?, ?) RETURNING *"
+  ).bind(randomId(), eventId, guest.key, guest.inviteId, ip).first<ChatSession>();
+  if (!created) throw new Error("Chat session insert returned no row");
+  return created;
+}
+
+/** Hide everything said so far from the model (after a confirmed or declined action). */
+export async function resetChatContext(db: D1Database, session: ChatSession): Promise<void> {
+  const next = await db.prepare(
+    "UPDATE chat_sessions SET context_from = (SELECT COALESCE(MAX(id), 0) + 1 FROM chat_messages WHERE session_id = ?1) WHERE id = ?1 RETURNING context_from"
+  ).bind(session.id).first<{ context_from: number }>();
+  session.context_from = next?.context_from ?? session.context_from;
+}
+
+/** The turns the model sees next, oldest first. */
+export async function chatHistory(
+  db: D1Database,
+  session: ChatSession
+): Promise<{ role: "user" | "assistant"; content: string }[]> {
+  const { results } = await db.prepare(
+    `SELECT role, content FROM chat_messages
+     WHERE session_id = ? AND id >= ?
+     ORDER BY id DESC LIMIT ?`
+  ).bind(session.id, session.context_from, HISTORY_MESSAGES).all<{ role: "user" | "assistant"; content: string }>();
+  return results.reverse();
+}
+
+/**
+ * Store a guest's message with the reply to it, once there is one: a
+ * message the model never answered is not sent to it again as context.
+ */
+export async function appendChatTurn(
+  db: D1Database,
+  session: ChatSession,
+  message: string,
+  reply: string,
+  actions: ChatActions
+): Promise<void> {
+  // Only the cards actually offered are worth keeping
+  const offered = Object.fromEntries(Object.entries(actions).filter(([, value]) => value));
+  const insert = db.prepare("INSERT INTO chat_messages (session_id, role, content, actions_json) VALUES (?, ?, ?, ?)");
+  await db.batch([
+    insert.bind(session.id, "user", message, null),
+    insert.bind(session.id, "assistant", reply, Object.keys(offered).length ? JSON.stringify(offered) : null),
+    db.prepare(
+      "UPDATE chat_sessions SET message_count = message_count + 2, updated_at = datetime('now') WHERE id = ?"
+    ).bind(session.id),
+  ]);
+}
+
+/** Every message of a session, oldest first. */
+export async function chatTranscript(db: D1Database, session: ChatSession): Promise<ChatMessageRow[]> {
+  const { results } = await db.prepare(
+    "SELECT id, role, content, actions_json, created_at FROM chat_messages WHERE session_id = ? ORDER BY id ASC"
+  ).bind(session.id).all<Omit<ChatMessageRow, "actions"> & { actions_json: string | null }>();
+  return results.map(({ actions_json, ...message }) => ({
+    ...message,
+    actions: actions_json ? JSON.parse(actions_json) as Partial<ChatActions> : null,
+  }));
+}
+
+// -------------------------------------------------------------
+// Admin
+// -------------------------------------------------------------
+
+/** The event's conversations, most recently active first. */
+export async function listChatSessions(db: D1Database, eventId: number): Promise<ChatSessionSummary[]> {
+  const { results } = await db.prepare(
+    `SELECT s.*, inv.label AS invite_label, r.name AS rsvp_name,
+            (SELECT content FROM chat_messages m
+             WHERE m.session_id = s.id AND m.role = 'user'
+             ORDER BY m.id LIMIT 1) AS first_message
+     FROM chat_sessions s
+     LEFT JOIN invites inv ON s.invite_id = inv.id
+     LEFT JOIN rsvps r ON r.event_id = s.event_id AND r.guest_key = s.guest_key
+     WHERE s.event_id = ? AND s.message_count > 0
+     ORDER BY s.updated_at DESC
+     LIMIT ?`
+  ).bind(eventId, ADMIN_LIST_LIMIT).all<ChatSessionSummary>();
+  return results;
+}
+
+export function getChatSession(db: D1Database, eventId: number, sessionId: string): Promise<ChatSession | null> {
+  return db.prepare("SELECT * FROM chat_sessions WHERE id = ? AND event_id = ?")
+    .bind(sessionId, eventId)
+    .first<ChatSession>();
+}
@@ -0,0 +1,383 @@
+// =============================================================
+// Chat tools
+// The chat model is given these tools with the conversation and calls
+// one, alongside its reply, when the guest has asked for something: a
+// contribution, a cancellation or an RSVP. Arguments are checked with
+// the validation.ts checks and against the registry. A bad call never
+// reaches the guest; the problem goes back to the model as the tool's
+// result and it gets another round to correct it, as it does to read a
+// lookup's answer. Proposals become the confirmation cards
+// (contribution_pending, …). New tools go in CHAT_TOOLS or through
+// registerChatTool().
+// =============================================================
+
+import { parseRsvp, type RsvpInput } from "./rsvp";
+import {
+  describeErrors,
+  id,
+  number,
+  parse,
+  required,
+  text,
+  type FieldErrors,
+  type Infer,
+  type Schema,
+} from "./validation";
+
+const MAX_ROUNDS = 3;        // model calls per turn, lookups and corrections included
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_LOOKUP_RESULTS = 5;
+const AMOUNT_EPSILON = 0.005;  // half a cent, as when the contribution is created
+
+export interface ChatItem {
+  id: number;
+  title: string;
+  description: string;
+  price_total: number;
+  price_raised: number;
+  is_funded: number;
+  is_generic: number;
+}
+
+export interface ChatContribution {
+  id: number;
+  amount: number;
+  item_title?: string;
+}
+
+/** What the tools can see: the registry and the caller's own contributions. */
+export interface ChatToolContext {
+  items: ChatItem[];
+  myContributions: ChatContribution[];
+}
+
+/** The confirmation cards offered under the reply. */
+export interface ChatActions {
+  contribution_pending: {
+    item_id: number;
+    item_title: string;
+    name: string;
+    amount: number;
+    message: string;
+  } | null;
+  cancellation_pending: {
+    contribution_id: number;
+    item_title: string;
+    amount: number;
+  } | null;
+  rsvp_pending: RsvpInput | null;
+}
+
+/** JSON Schema for a tool's arguments, as the model is shown it. */
+interface ToolParameters {
+  type: "object";
+  properties: Record<string, { type: string; description: string }>;
+  required: string[];
+}
+
+export interface ChatTool<A = unknown> {
+  description: string;
+  parameters: ToolParameters;
+  /** Check the model's arguments before run() sees them (see argsSchema). */
+  parse(args: unknown): { values: A } | { errors: FieldErrors };
+  /**
+   * Act on valid arguments: record a proposal in `actions` and/or
+   * return what the model should be told. Throwing ToolError tells the
+   * model why the call was refused.
+   */
+  run(args: A, context: ChatToolContext, actions: ChatActions): unknown;
+  /** Lookups need their answer read by the model, so another round follows. */
+  lookup?: boolean;
+}
+
+/** A call the model should correct (unknown gift, funded item, …). */
+export class ToolError extends Error {}
+
+export interface ChatMessage {
+  role: "system" | "user" | "assistant" | "tool";
+  content: string;
+  name?: string;
+}
+
+/**
+ * The slice of the Workers AI binding the tools use. `env.AI` fits;
+ * so does a fake returning canned `tool_calls`.
+ */
+export interface ToolCallingAi {
+  run(
+    model: string,
+    inputs: { messages: ChatMessage[]; tools: unknown[]; max_tokens?: number }
+  ): Promise<unknown>;
+}
+
+export interface ToolCall {
+  name: string;
+  arguments: unknown;
+}
+
+/** One model call: what it wrote and which tools it called. */
+export interface ChatCompletion {
+  text: string;
+  toolCalls: ToolCall[];
+}
+
+/**
+ * Runs the chat model on a conversation with the tool definitions;
+ * completeWith() makes one from the AI binding, and a streaming one
+ * can pass the text on as it arrives.
+ */
+export type CompleteChat = (messages: ChatMessage[], tools: unknown[]) => Promise<ChatCompletion>;
+
+/** Case- and accent-insensitive, for matching gift names. */
+function fold(value: string): string {
+  return value.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+/** Arguments checked with the validation.ts checks, like request bodies. */
+export function argsSchema<S extends Schema>(schema: S): (args: unknown) => { values: Infer<S> } | { errors: FieldErrors } {
+  return (args) => parse(schema, args);
+}
+
+function tool<A>(definition: ChatTool<A>): ChatTool {
+  return definition as ChatTool<unknown> as ChatTool;
+}
+
+// -------------------------------------------------------------
+// Tools
+// -------------------------------------------------------------
+
+export const CHAT_TOOLS: Record<string, ChatTool> = {
+  lookup_item: tool({
+    description: "Find gifts in the registry by name (or ID) to get their ID, price and how much is still needed.",
+    parameters: {
+      type: "object",
+      properties: { query: { type: "string", description: "Part of the gift's name, or its ID" } },
+      required: ["query"],
+    },
+    parse: argsSchema({ query: required(text({ max: MAX_NAME_LENGTH })) }),
+    lookup: true,
+    run({ query }, { items }) {
+      const wanted = fold(query);
+      const matches = items
+        .filter((item) => String(item.id) === wanted || fold(item.title).includes(wanted))
+        .slice(0, MAX_LOOKUP_RESULTS);
+      if (matches.length === 0) throw new ToolError(`No gift matches "${query}"`);
+      return matches.map((item) => ({
+        id: item.id,
+        title: item.title,
+        price: item.price_total,
+        raised: item.price_raised,
+        still_needed: item.price_total > 0 ? Math.max(item.price_total - item.price_raised, 0) : null,
+        fully_funded: Boolean(item.is_funded),
+        open_donation: Boolean(item.is_generic) || item.price_total <= 0,
+      }));
+    },
+  }),
+
+  propose_contribution: tool({
+    description:
+      "Offer the guest a card to confirm a new contribution. Only call once they have chosen the gift and given their name and the amount.",
+    parameters: {
+      type: "object",
+      properties: {
+        item_id: { type: "number", description: "The gift's ID" },
+        name: { type: "string", description: "The guest's full name" },
+        amount: { type: "number", description: "Amount in euros" },
+        message: { type: "string", description: "Optional personal message, or empty" },
+      },
+      required: ["item_id", "name", "amount"],
+    },
+    parse: argsSchema({
+      item_id: required(id()),
+      name: required(text({ max: MAX_NAME_LENGTH })),
+      amount: required(number({ greaterThan: 0 })),
+      message: text({ max: MAX_MESSAGE_LENGTH }),
+    }),
+    run({ item_id, name, amount, message }, { items }, actions) {
+      const item = items.find((i) => i.id === item_id);
+      if (!item) throw new ToolError(`There is no gift with ID ${item_id}`);
+      if (item.is_funded) throw new ToolError(`"${item.title}" is already fully funded`);
+      const stillNeeded = Math.round((item.price_total - item.price_raised) * 100) / 100;
+      if (item.price_total > 0 && amount > stillNeeded + AMOUNT_EPSILON) {
+        throw new ToolError(`"${item.title}" only needs €${stillNeeded.toFixed(2)} more`);
+      }
+      actions.contribution_pending = { item_id, item_title: item.title, name, amount, message: message ?? "" };
+      return "Confirmation card shown to the guest";
+    },
+  }),
+
+  propose_cancellation: tool({
+    description: "Offer the guest a card to cancel one of their own contributions, once they have confirmed which.",
+    parameters: {
+      type: "object",
+      properties: { contribution_id: { type: "number", description: "The ContribID of the guest's contribution" } },
+      required: ["contribution_id"],
+    },
+    parse: argsSchema({ contribution_id: required(id()) }),
+    run({ contribution_id }, { myContributions }, actions) {
+      const existing = myContributions.find((c) => c.id === contribution_id);
+      if (!existing) throw new ToolError(`Contribution ${contribution_id} is not one of this guest's`);
+      actions.cancellation_pending = {
+        contribution_id,
+        item_title: existing.item_title ?? "",
+        amount: existing.amount,
+      };
+      return "Confirmation card shown to the guest";
+    },
+  }),
+
+  propose_rsvp: tool({
+    description:
+      "Offer the guest a card to confirm whether they are coming. Only call once they have said so and given their name (and, if coming, how many people).",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "The guest's name" },
+        attending: { type: "boolean", description: "Whether they are coming" },
+        party_size: { type: "number", description: "People coming, the guest included (0 if not coming)" },
+        children: { type: "number", description: "How many of them are children" },
+        dietary: { type: "string", description: "Dietary restrictions or allergies, or empty" },
+      },
+      required: ["name", "attending"],
+    },
+    // Same checks as the RSVP form
+    parse: parseRsvp,
+    run(rsvp, _context, actions) {
+      actions.rsvp_pending = rsvp;
+      return "Confirmation card shown to the guest";
+    },
+  }),
+};
+
+/** Add (or replace) a tool the chat model can call. */
+export function registerChatTool<A>(name: string, definition: ChatTool<A>): void {
+  CHAT_TOOLS[name] = tool(definition);
+}
+
+// -------------------------------------------------------------
+// Dispatch
+// -------------------------------------------------------------
+
+/** Tool definitions in the shape Workers AI expects. */
+export function toolDefinitions(tools: Record<string, ChatTool> = CHAT_TOOLS): unknown[] {
+  return Object.entries(tools).map(([name, t]) => ({
+    type: "function",
+    function: { name, description: t.description, parameters: t.parameters },
+  }));
+}
+
+/**
+ * Fold the `tool_calls` of one streamed event into the calls so far.
+ * Entries with an `index` are OpenAI-style deltas whose arguments
+ * arrive as pieces of a JSON string; others are whole calls.
+ */
+export function mergeToolCallDeltas(calls: unknown[], deltas: unknown): void {
+  if (!Array.isArray(deltas)) return;
+  for (const delta of deltas) {
+    const index = (delta as { index?: unknown } | null)?.index;
+    if (typeof index !== "number") {
+      calls.push(delta);
+      continue;
+    }
+    const fn = (delta as { function?: { name?: unknown; arguments?: unknown } }).function ?? {};
+    const call = (calls[index] ??= { function: { name: "", arguments: "" } }) as {
+      function: { name: string; arguments: string };
+    };
+    if (typeof fn.name === "string") call.function.name += fn.name;
+    if (typeof fn.arguments === "string") call.function.arguments += fn.arguments;
+  }
+}
+
+/**
+ * The tool calls in a Workers AI response, in either of its formats:
+ * `{ name, arguments: {...} }` or OpenAI-style `{ function: { name, arguments: "{...}" } }`.
+ */
+export function toolCalls(response: unknown): ToolCall[] {
+  const calls = (response as { tool_calls?: unknown } | null)?.tool_calls;
+  if (!Array.isArray(calls)) return [];
+  return calls.flatMap((call): ToolCall[] => {
+    const fn = (call?.function ?? call) as { name?: unknown; arguments?: unknown };
+    if (typeof fn?.name !== "string") return [];
+    let args = fn.arguments;
+    if (typeof args === "string") {
+      try {
+        args = JSON.parse(args);
+      } catch {
+        args = undefined;  // reported as invalid arguments
+      }
+    }
+    return [{ name: fn.name, arguments: args ?? {} }];
+  });
+}
+
+/** Run one call against the registry; the result (or the problem) is what the model is told. */
+export function dispatchToolCall(
+  call: ToolCall,
+  context: ChatToolContext,
+  actions: ChatActions,
+  tools: Record<string, ChatTool> = CHAT_TOOLS
+): { ok: boolean; result: unknown } {
+  const definition = Object.hasOwn(tools, call.name) ? tools[call.name] : undefined;
+  if (!definition) return { ok: false, result: `Unknown tool "${call.name}"` };
+  const parsed = definition.parse(call.arguments);
+  if ("errors" in parsed) return { ok: false, result: `Invalid arguments: ${describeErrors(parsed.errors)}` };
+  try {
+    return { ok: true, result: definition.run(parsed.values, context, actions) };
+  } catch (err) {
+    if (err instanceof ToolError) return { ok: false, result: err.message };
+    throw err;
+  }
+}
+
+export function noChatActions(): ChatActions {
+  return { contribution_pending: null, cancellation_pending: null, rsvp_pending: null };
+}
+
+/** A CompleteChat on a (non-streaming) Workers AI binding, or a fake one. */
+export function completeWith(ai: ToolCallingAi, model: string, maxTokens: number): CompleteChat {
+  return async (messages, tools) => {
+    const response = await ai.run(model, { messages, tools, max_tokens: maxTokens });
+    const text = (response as { response?: unknown } | null)?.response;
+    return { text: typeof text === "string" ? text : "", toolCalls: toolCalls(response) };
+  };
+}
+
+/**
+ * One chat turn: the model replies with the tools at hand. A lookup's
+ * answer or a refused call goes back to it for another round, up to
+ * MAX_ROUNDS; a proposal, or a round without calls, ends the turn. The
+ * reply is the text of every round, a line each.
+ */
+export async function runChatTurn(
+  complete: CompleteChat,
+  messages: ChatMessage[],
+  context: ChatToolContext,
+  tools: Record<string, ChatTool> = CHAT_TOOLS
+): Promise<{ reply: string; actions: ChatActions }> {
+  const actions = noChatActions();
+  const conversation = [...messages];
+  const definitions = toolDefinitions(tools);
+  const texts: string[] = [];
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const { text, toolCalls: calls } = await complete(conversation, definitions);
+    if (text.trim()) texts.push(text.trim());
+    if (calls.length === 0) break;
+
+    const results = calls.map((call) => ({ call, ...dispatchToolCall(call, context, actions, tools) }));
+    const proposed = Object.values(actions).some(Boolean);
+    const followUp = results.some(({ call, ok }) => !ok || tools[call.name]?.lookup);
+    if (proposed || !followUp) break;
+
+    conversation.push(
+      { role: "assistant", content: JSON.stringify(calls) },
+      ...results.map(({ call, result }) => ({
+        role: "tool" as const,
+        name: call.name,
+        content: typeof result === "string" ? result : JSON.stringify(result),
+      }))
+    );
+  }
+  return { reply: texts.join("\n"), actions };
+}
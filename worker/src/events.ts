@@ -0,0 +1,68 @@
+// =============================================================
+// Events
+// One deployment can host several registries (baby shower,
+// baptism, …). Each lives under /api/events/:slug/...; the legacy
+// /api/... routes serve the default event, so existing links and
+// frontends keep working.
+// =============================================================
+
+export interface EventRow {
+  id: number;
+  slug: string;
+  name: string;
+  admin_password_hash: string | null;
+  guest_password_hash: string | null;
+  created_at: string;
+}
+
+/** The event that existed before multi-event support (see migration 0008). */
+export const DEFAULT_EVENT_ID = 1;
+
+/** Lowercase letters, digits and inner dashes, e.g. "batizado-2027". */
+export const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+
+const EVENT_PATH = /^\/api\/events\/([^/]+)(\/.*)?$/;
+
+/**
+ * Split an event-scoped path into its slug and the route inside the
+ * event: "/api/events/batizado/items" → { slug: "batizado", path: "/api/items" }.
+ * Paths outside /api/events/ are returned unchanged with a null slug.
+ */
+export function parseEventPath(pathname: string): { slug: string | null; path: string } {
+  const match = pathname.match(EVENT_PATH);
+  if (!match) return { slug: null, path: pathname };
+  return { slug: decodePathSegment(match[1]), path: `/api${match[2] ?? ""}` };
+}
+
+/**
+ * A path segment with its %-escapes decoded. A malformed one ("%E0") is
+ * kept as it is: it matches no slug or key, so the route answers 404.
+ */
+export function decodePathSegment(segment: string): string {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+export async function findEventBySlug(db: D1Database, slug: string): Promise<EventRow | null> {
+  if (!SLUG_PATTERN.test(slug)) return null;
+  return db.prepare("SELECT * FROM events WHERE slug=?").bind(slug).first<EventRow>();
+}
+
+export async function findEventById(db: D1Database, id: number): Promise<EventRow | null> {
+  return db.prepare("SELECT * FROM events WHERE id=?").bind(id).first<EventRow>();
+}
+
+/** An event as listed to the deployment owner — never the password hashes. */
+export function eventSummary(event: EventRow) {
+  return {
+    id: event.id,
+    slug: event.slug,
+    name: event.name,
+    has_admin_password: event.admin_password_hash !== null,
+    has_guest_password: event.guest_password_hash !== null,
+    created_at: event.created_at,
+  };
+}
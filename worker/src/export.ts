@@ -0,0 +1,108 @@
+// =============================================================
+// Export
+// Contributions and items as downloadable CSV or JSON files for the
+// admin (thank-you notes, accounting), streamed a page of rows at a
+// time. CSV follows RFC 4180 the way Excel reads it in Portugal: a
+// UTF-8 BOM so accented names stay intact, ";" between fields and
+// decimal commas. import.ts reads that format back.
+// =============================================================
+
+import { date, id, oneOf, parse, type FieldErrors } from "./validation";
+
+export type ExportFormat = "csv" | "json";
+export type ExportType = "contributions" | "items";
+
+export interface ExportQuery {
+  format: ExportFormat;
+  type: ExportType;
+  itemId: number | null;
+  from: string | null;  // YYYY-MM-DD, inclusive
+  to: string | null;    // YYYY-MM-DD, inclusive
+}
+
+type CsvValue = string | number | null | undefined;
+
+/** Rows read from the database per page of the export. */
+export const EXPORT_PAGE_SIZE = 500;
+const CSV_DELIMITER = ";";
+
+const EXPORT_QUERY_SCHEMA = {
+  format: oneOf(["csv", "json"] as const),
+  type: oneOf(["contributions", "items"] as const),
+  item_id: id(),
+  from: date(),
+  to: date(),
+};
+
+/** Validate the query string of GET /api/admin/export. */
+export function parseExportQuery(params: URLSearchParams): ExportQuery | { errors: FieldErrors } {
+  const parsed = parse(EXPORT_QUERY_SCHEMA, Object.fromEntries(params));
+  if ("errors" in parsed) return parsed;
+  const { format, type, item_id, from, to } = parsed.values;
+  if (from && to && from > to) return { errors: { from: "from must not be after to" } };
+  return {
+    format: format ?? "csv",
+    type: type ?? "contributions",
+    itemId: item_id ?? null,
+    from: from || null,
+    to: to || null,
+  };
+}
+
+/**
+ * Quote a CSV field when it needs it. Text starting with a formula
+ * character is prefixed with ' so spreadsheets show guest-supplied
+ * names and messages instead of evaluating them.
+ */
+function csvField(value: CsvValue): string {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value).replace(".", ",");
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values: CsvValue[]): string {
+  return values.map(csvField).join(CSV_DELIMITER) + "\r\n";
+}
+
+/**
+ * The export file, written as the pages of rows come in: CSV (BOM and
+ * header first, the given columns in order) or a JSON array of rows.
+ */
+export function exportStream(
+  format: ExportFormat,
+  columns: readonly string[],
+  pages: AsyncIterable<Record<string, CsvValue>[]>
+): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+  const iterator = pages[Symbol.asyncIterator]();
+  let rowsWritten = 0;
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(format === "csv" ? "\uFEFF" + csvLine([...columns]) : "["));
+    },
+    async pull(controller) {
+      const { done, value: rows } = await iterator.next();
+      if (done) {
+        if (format === "json") controller.enqueue(encoder.encode(rowsWritten ? "\n]\n" : "]\n"));
+        controller.close();
+        return;
+      }
+      const chunk = rows.map((row) =>
+        format === "csv"
+          ? csvLine(columns.map((column) => row[column]))
+          : `${rowsWritten++ ? "," : ""}\n  ${JSON.stringify(row)}`
+      );
+      controller.enqueue(encoder.encode(chunk.join("")));
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+}
+
+/** e.g. "default-contributions-2026-10-18.csv" */
+export function exportFilename(slug: string, query: ExportQuery): string {
+  const today = new Date().toISOString().slice(0, 10);
+  return `${slug}-${query.type}-${today}.${query.format}`;
+}
@@ -0,0 +1,54 @@
+// =============================================================
+// Images
+// Gift images either live in the IMAGES R2 bucket (uploaded from the
+// admin panel, served by GET /api/images/:key) or on a retailer's
+// site, in which case GET /api/items/:id/image proxies, resizes and
+// caches them so the page does not hotlink third-party hosts.
+// =============================================================
+
+import { randomId } from "./auth";
+
+/** Upload types we accept, with the file extension used in the key. */
+export const IMAGE_TYPES: Record<string, string> = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+export const MAX_PROXIED_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Widths the proxy resizes to. Requests are rounded up to one of these
+ * so the cache holds a handful of variants per image, not one per pixel.
+ */
+const IMAGE_WIDTHS = [160, 320, 480, 640, 960] as const;
+const DEFAULT_WIDTH = 480;
+
+/** R2 keys are "<event id>/<random id>.<ext>". */
+export const IMAGE_KEY_PATTERN = /^\d+\/[A-Za-z0-9_-]+\.(?:jpg|png|webp|gif)$/;
+
+export function newImageKey(eventId: number, contentType: string): string {
+  return `${eventId}/${randomId(12)}.${IMAGE_TYPES[contentType]}`;
+}
+
+/** The proxy width for a ?w= value: the smallest allowed width that covers it. */
+export function snapWidth(requested: string | null): number {
+  const width = Number(requested);
+  if (!requested || !isFinite(width) || width <= 0) return DEFAULT_WIDTH;
+  return IMAGE_WIDTHS.find((w) => w >= width) ?? IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1];
+}
+
+/**
+ * The R2 key when an image_url points at one of our own uploads
+ * (".../api/images/<key>"), otherwise null.
+ */
+export function uploadedImageKey(imageUrl: string): string | null {
+  try {
+    const match = new URL(imageUrl).pathname.match(/^\/api\/images\/(.+)$/);
+    return match && IMAGE_KEY_PATTERN.test(match[1]) ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
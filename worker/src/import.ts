@@ -0,0 +1,117 @@
+// =============================================================
+// Import
+// Turns an uploaded CSV file or JSON array into raw item rows for
+// POST /api/items/import. Validation happens per row in index.ts,
+// with the same rules as creating a single item.
+// =============================================================
+
+export const MAX_IMPORT_ROWS = 200;
+export const MAX_IMPORT_BYTES = 256 * 1024;
+
+/** The item fields an import may set; other columns are ignored. */
+const IMPORT_FIELDS = ["title", "description", "price_total", "image_url", "product_url"] as const;
+
+export type ImportRow = Partial<Record<(typeof IMPORT_FIELDS)[number], unknown>>;
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may contain the
+ * delimiter, doubled quotes and line breaks). Blank lines are dropped.
+ */
+function parseCsv(text: string, delimiter: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      if (record.some((value) => value.trim() !== "")) records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  record.push(field);
+  if (record.some((value) => value.trim() !== "")) records.push(record);
+  return records;
+}
+
+/**
+ * CSV rows keyed by their header. Excel set to Portuguese saves with ";"
+ * between columns, so that is used when the header has no commas.
+ * Prices may use a decimal comma ("12,50").
+ */
+function csvRows(text: string): ImportRow[] | { error: string } {
+  const firstLine = text.slice(0, text.search(/\r|\n|$/));
+  const delimiter = !firstLine.includes(",") && firstLine.includes(";") ? ";" : ",";
+  const [header, ...records] = parseCsv(text, delimiter);
+  if (!header) return { error: "The file is empty" };
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  if (!columns.includes("title")) return { error: "The CSV header must include a title column" };
+
+  return records.map((record) => {
+    const row: ImportRow = {};
+    for (const field of IMPORT_FIELDS) {
+      const index = columns.indexOf(field);
+      if (index === -1 || record[index] === undefined) continue;
+      const value = record[index].trim();
+      row[field] = field === "price_total" && value !== "" ? Number(value.replace(",", ".")) : value;
+    }
+    return row;
+  });
+}
+
+/** A JSON array of item objects, or { "items": [...] }. */
+function jsonRows(text: string): ImportRow[] | { error: string } {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: "Invalid JSON" };
+  }
+  if (data && typeof data === "object" && !Array.isArray(data)) {
+    data = (data as { items?: unknown }).items;
+  }
+  if (!Array.isArray(data)) return { error: "Expected a JSON array of items" };
+
+  return data.map((entry) => {
+    const row: ImportRow = {};
+    if (entry && typeof entry === "object") {
+      for (const field of IMPORT_FIELDS) {
+        if (field in entry) row[field] = (entry as Record<string, unknown>)[field];
+      }
+    }
+    return row;
+  });
+}
+
+/** Parse an import upload by its content type (CSV unless it is JSON). */
+export function parseImport(text: string, contentType: string): ImportRow[] | { error: string } {
+  const body = text.replace(/^\uFEFF/, "");  // BOM from our own CSV export or Excel
+  const rows = /json/i.test(contentType) ? jsonRows(body) : csvRows(body);
+  if ("error" in rows) return rows;
+  if (rows.length === 0) return { error: "No rows to import" };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Too many rows (at most ${MAX_IMPORT_ROWS} per import)` };
+  }
+  return rows;
+}
@@ -3,11 +3,109 @@
 // Handles all API routes, D1 database operations, and AI chat
 // =============================================================
 
-interface Env {
+import { checkSchema, ensureSchema } from "./migrations";
+import { auditStmt, listAudit, parseAuditQuery, type AuditActor } from "./audit";
+import {
+  bearerToken,
+  hashPassword,
+  nowSeconds,
+  randomId,
+  safeEqual,
+  signSession,
+  verifyPassword,
+  verifySession,
+  type SessionClaims,
+} from "./auth";
+import {
+  DEFAULT_EVENT_ID,
+  SLUG_PATTERN,
+  decodePathSegment,
+  eventSummary,
+  findEventById,
+  findEventBySlug,
+  parseEventPath,
+  type EventRow,
+} from "./events";
+import { calendarEvent, googleCalendarUrl, toIcs } from "./calendar";
+import {
+  appendChatTurn,
+  chatHistory,
+  chatTranscript,
+  findChatSession,
+  getChatSession,
+  listChatSessions,
+  openChatSession,
+  resetChatContext,
+} from "./chat-sessions";
+import {
+  completeWith,
+  mergeToolCallDeltas,
+  runChatTurn,
+  toolCalls,
+  type ChatActions,
+  type ChatMessage,
+  type CompleteChat,
+} from "./chat-tools";
+import { EXPORT_PAGE_SIZE, exportFilename, exportStream, parseExportQuery } from "./export";
+import {
+  IMAGE_KEY_PATTERN,
+  IMAGE_TYPES,
+  MAX_PROXIED_BYTES,
+  MAX_UPLOAD_BYTES,
+  newImageKey,
+  snapWidth,
+  uploadedImageKey,
+} from "./images";
+import { MAX_IMPORT_BYTES, parseImport } from "./import";
+import { broadcast, connect, type Audience, type LiveMessage, type RegistryHub } from "./live";
+import { queueNotification, retryNotifications, type NotifyEnv } from "./notify";
+import {
+  ALL_EVENTS,
+  cleanupRateLimits,
+  clearGuestRateLimits,
+  clearRateLimits,
+  rateLimitRules,
+  takeRateLimit,
+} from "./ratelimit";
+import { describeRsvp, getRsvp, listRsvps, parseRsvp, saveRsvp } from "./rsvp";
+import { draftNoteWithAi, listThankYous, MAX_NOTE_LENGTH, saveThankYou, thankYousHtml } from "./thanks";
+import { parseProductMetadata } from "./product-metadata";
+import {
+  describeErrors,
+  flag,
+  id,
+  list,
+  nullable,
+  number,
+  object,
+  oneOf,
+  parse,
+  parseBody,
+  readJson,
+  required,
+  secret,
+  text,
+  url,
+  type FieldErrors,
+  type Infer,
+} from "./validation";
+import {
+  getSettings,
+  parseSettings,
+  paymentInstructions,
+  publicSettings,
+  saveSettings,
+  type Settings,
+} from "./settings";
+
+interface Env extends NotifyEnv {
   DB: D1Database;
   AI: Ai;
+  IMAGES: R2Bucket;
+  REGISTRY_HUB: DurableObjectNamespace<RegistryHub>;
   ADMIN_PASSWORD: string;
   GUEST_PASSWORD: string;
+  SESSION_SECRET: string;
   FRONTEND_ORIGIN: string;
 }
 
@@ -22,28 +120,89 @@ interface Item {
   is_funded: number;
   sort_order: number;
   is_generic: number;
+  event_id: number;
   created_at: string;
+  deleted_at: string | null;  // in the "Lixo" view
+  price_confirmed?: number;  // sum of contributions marked paid
 }
 
+type ContributionStatus = "pledged" | "paid" | "cancelled";
+
 interface Contribution {
   id: number;
   item_id: number;
   contributor_name: string;
   contributor_ip: string | null;
+  invite_id: number | null;
+  guest_key: string | null;
   amount: number;
   message: string;
+  reference: string | null;  // code the guest quotes when paying
+  status: ContributionStatus;
+  paid_at: string | null;
+  cancelled_at: string | null;
+  deleted_at: string | null;
+  deleted_with_item: number;  // 1 = went to the trash with its item, and comes back with it
   created_at: string;
   item_title?: string;
+  invite_label?: string | null;
+}
+
+interface Invite {
+  id: number;
+  event_id: number;
+  token: string;
+  label: string;
+  created_at: string;
+  revoked_at: string | null;
+  first_seen_at: string | null;
+  last_seen_at: string | null;
+  chat_count: number;
+}
+
+/**
+ * An authenticated guest. inviteId is null for the shared GUEST_PASSWORD;
+ * key is the identity their contributions are stored under.
+ */
+interface Guest {
+  inviteId: number | null;
+  key: string;
 }
 
 // =============================================================
 // Constants
 // =============================================================
 
-const CHAT_DAILY_LIMIT = 3;        // max messages per IP per day
+const CHAT_MODEL = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const CHAT_MAX_TOKENS = 350;
 const MAX_MESSAGE_LENGTH = 300;    // chars — matches frontend maxlength
 const MAX_NAME_LENGTH = 100;
 const MAX_GENERIC_STRING = 500;
+const MAX_INVITE_TOKEN = 64;
+const MAX_PASSWORD_LENGTH = 200;
+const MIN_EVENT_PASSWORD = 8;
+const ADMIN_GUEST_KEY = "admin";  // owner of contributions created by the admin
+const AMOUNT_EPSILON = 0.005;     // half a cent — tolerance for REAL money comparisons
+// No 0/O or 1/I look-alikes; migration 0006 backfills from the same 32 characters
+const REFERENCE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const REFERENCE_LENGTH = 6;
+const PRODUCT_FETCH_TIMEOUT = 8000;             // ms
+const MAX_PRODUCT_PAGE_BYTES = 2 * 1024 * 1024;  // shop pages are big; the metadata is near the top
+const IMAGE_FETCH_TIMEOUT = 8000;               // ms
+const UPLOADED_IMAGE_CACHE = "public, max-age=31536000, immutable";  // keys are never reused
+const PROXIED_IMAGE_CACHE = "public, max-age=86400";
+const FULLY_FUNDED_MESSAGE = "Este presente já foi totalmente coberto por outra contribuição.";
+
+/** Sum of the contributions that count towards an item (correlated on items.id). Deleted ones never count. */
+const CONTRIBUTED_SUM_SQL =
+  "(SELECT COALESCE(SUM(c.amount), 0) FROM contributions c WHERE c.item_id = items.id AND c.status != 'cancelled' AND c.deleted_at IS NULL)";
+
+/** Sum of the contributions the parents have confirmed as received. */
+const CONFIRMED_SUM_SQL =
+  "(SELECT COALESCE(SUM(c.amount), 0) FROM contributions c WHERE c.item_id = items.id AND c.status = 'paid' AND c.deleted_at IS NULL)";
+const ADMIN_ACCESS_TTL = 15 * 60;            // 15 minutes
+const ADMIN_REFRESH_TTL = 7 * 24 * 60 * 60;  // 7 days — lets an admin reload without re-entering the password
+const GUEST_SESSION_TTL = 12 * 60 * 60;      // 12 hours
 
 // =============================================================
 // Helpers
@@ -53,7 +212,7 @@ function corsHeaders(origin: string): Record<string, string> {
   return {
     "Access-Control-Allow-Origin": origin,
     "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-Admin-Password, X-Guest-Password",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
     "Access-Control-Max-Age": "86400",
   };
 }
@@ -68,14 +227,169 @@ function jsonResponse(data: unknown, status: number, origin: string): Response {
   });
 }
 
-function isAdmin(request: Request, env: Env): boolean {
-  const header = request.headers.get("X-Admin-Password");
-  return header !== null && header === env.ADMIN_PASSWORD;
+/** 400 for input that failed validation: each problem in `fields`, all of them in `error`. */
+function validationResponse(errors: FieldErrors, origin: string): Response {
+  return jsonResponse({ error: describeErrors(errors), fields: errors }, 400, origin);
+}
+
+/** 429 with the wait in `Retry-After` (and `retry_after`), both in seconds. */
+function rateLimitedResponse(error: string, retryAfter: number, origin: string): Response {
+  return new Response(JSON.stringify({ error, retry_after: retryAfter }), {
+    status: 429,
+    headers: {
+      "Content-Type": "application/json",
+      "Retry-After": String(retryAfter),
+      "Access-Control-Expose-Headers": "Retry-After",
+      ...corsHeaders(origin),
+    },
+  });
+}
+
+/** "Tenta novamente daqui a 5 minutos." for a guest-facing 429. */
+function retryLater(retryAfter: number): string {
+  if (retryAfter < 60) return "Tenta novamente daqui a um minuto.";
+  if (retryAfter < 3600) {
+    const minutes = Math.ceil(retryAfter / 60);
+    return `Tenta novamente daqui a ${minutes} minutos.`;
+  }
+  const hours = Math.ceil(retryAfter / 3600);
+  return hours === 1 ? "Tenta novamente daqui a uma hora." : `Tenta novamente daqui a ${hours} horas.`;
+}
+
+// Verified sessions, cached per request so several auth checks in one
+// handler only verify the token once.
+const sessionCache = new WeakMap<Request, Promise<SessionClaims | null>>();
+
+/** The verified, unexpired, non-revoked access token on a request. */
+function getSession(request: Request, env: Env): Promise<SessionClaims | null> {
+  let session = sessionCache.get(request);
+  if (!session) {
+    session = loadSession(request, env);
+    sessionCache.set(request, session);
+  }
+  return session;
+}
+
+function loadSession(request: Request, env: Env): Promise<SessionClaims | null> {
+  return verifyAccessToken(env, bearerToken(request));
+}
+
+/** Check an access token wherever it came from (a header, or ?token= on a WebSocket URL). */
+async function verifyAccessToken(env: Env, token: string | null): Promise<SessionClaims | null> {
+  if (!token) return null;
+  const claims = await verifySession(env.SESSION_SECRET, token);
+  if (!claims || claims.typ !== "access") return null;
+  if (await isSessionRevoked(env, claims.jti)) return null;
+  // Tokens from before multi-event support carry no event: admins
+  // were the owner, guests belonged to the default event
+  if (claims.evt === undefined) claims.evt = claims.role === "admin" ? null : DEFAULT_EVENT_ID;
+  // Revoking an invite ends its sessions straight away
+  if (claims.inv !== null) {
+    const invite = await env.DB.prepare(
+      "SELECT id FROM invites WHERE id=? AND revoked_at IS NULL"
+    ).bind(claims.inv).first();
+    if (!invite) return null;
+  }
+  return claims;
+}
+
+async function isSessionRevoked(env: Env, jti: string): Promise<boolean> {
+  const row = await env.DB.prepare(
+    "SELECT jti FROM revoked_sessions WHERE jti=?"
+  ).bind(jti).first();
+  return row !== null;
+}
+
+/** Record a token id as logged out until its natural expiry. */
+async function revokeSession(env: Env, claims: SessionClaims): Promise<void> {
+  await env.DB.batch([
+    env.DB.prepare(
+      "INSERT OR IGNORE INTO revoked_sessions (jti, expires_at) VALUES (?, ?)"
+    ).bind(claims.jti, claims.exp),
+    env.DB.prepare("DELETE FROM revoked_sessions WHERE expires_at < ?").bind(nowSeconds()),
+  ]);
+}
+
+/** An admin of this event, or the deployment owner (who may manage every event). */
+async function isAdmin(request: Request, env: Env, event: EventRow): Promise<boolean> {
+  const session = await getSession(request, env);
+  return session?.role === "admin" && (session.evt === null || session.evt === event.id);
+}
+
+/** The deployment owner: signed in with the ADMIN_PASSWORD secret. */
+async function isOwner(request: Request, env: Env): Promise<boolean> {
+  const session = await getSession(request, env);
+  return session?.role === "admin" && session.evt === null;
+}
+
+/** Look up an active (non-revoked) invite to an event by its token. */
+async function findInvite(env: Env, eventId: number, token: string): Promise<Invite | null> {
+  if (!token || token.length > MAX_INVITE_TOKEN) return null;
+  return env.DB.prepare(
+    "SELECT * FROM invites WHERE token=? AND event_id=? AND revoked_at IS NULL"
+  ).bind(token, eventId).first<Invite>();
+}
+
+/** Resolve the guest of this event behind a request from its guest session token. */
+async function getGuest(request: Request, env: Env, event: EventRow): Promise<Guest | null> {
+  const session = await getSession(request, env);
+  if (session?.role !== "guest" || !session.gid || session.evt !== event.id) return null;
+  return { inviteId: session.inv, key: session.gid };
+}
+
+/** The contribution owner for a guest, or the admin when there is no guest. */
+function ownerKey(guest: Guest | null): string {
+  return guest ? guest.key : ADMIN_GUEST_KEY;
+}
+
+/** Who is behind a request, for the audit log. */
+async function auditActor(request: Request, env: Env, event: EventRow): Promise<AuditActor> {
+  const session = await getSession(request, env);
+  const ip = getIP(request);
+  if (session?.role === "guest" && session.evt === event.id) return { type: "guest", key: session.gid, ip };
+  return { type: session?.evt === null ? "owner" : "admin", key: null, ip };
+}
+
+/** Accept a client-generated device key, or mint a new one. */
+function deviceKey(value: unknown): string {
+  return typeof value === "string" && /^[A-Za-z0-9_-]{16,64}$/.test(value)
+    ? value
+    : randomId();
+}
+
+/**
+ * Issue a fresh admin access + refresh token pair, for one event or
+ * (evt null) for the deployment owner.
+ */
+async function issueAdminTokens(env: Env, evt: number | null) {
+  const access = await signSession(env.SESSION_SECRET, { role: "admin", typ: "access", evt, inv: null, gid: null }, ADMIN_ACCESS_TTL);
+  const refresh = await signSession(env.SESSION_SECRET, { role: "admin", typ: "refresh", evt, inv: null, gid: null }, ADMIN_REFRESH_TTL);
+  return {
+    owner: evt === null,
+    token: access.token,
+    expires_at: access.claims.exp,
+    refresh_token: refresh.token,
+    refresh_expires_at: refresh.claims.exp,
+  };
 }
 
-function isGuest(request: Request, env: Env): boolean {
-  const header = request.headers.get("X-Guest-Password");
-  return header !== null && header === env.GUEST_PASSWORD;
+/**
+ * Issue a guest access token. Invite guests are identified by their
+ * invite; shared-password guests by the device key their browser keeps.
+ */
+async function issueGuestToken(
+  env: Env,
+  event: EventRow,
+  identity: { inviteId: number } | { deviceKey: string }
+) {
+  const inv = "inviteId" in identity ? identity.inviteId : null;
+  const gid = "inviteId" in identity ? `invite:${identity.inviteId}` : `device:${identity.deviceKey}`;
+  const access = await signSession(env.SESSION_SECRET, { role: "guest", typ: "access", evt: event.id, inv, gid }, GUEST_SESSION_TTL);
+  return {
+    token: access.token,
+    expires_at: access.claims.exp,
+    guest_key: "deviceKey" in identity ? identity.deviceKey : null,
+  };
 }
 
 function extractId(pathname: string): number {
@@ -92,9 +406,209 @@ function sanitise(value: unknown, maxLen: number): string {
     .slice(0, maxLen);
 }
 
-/** Return today's ISO date string in UTC: '2025-04-12' */
-function todayUTC(): string {
-  return new Date().toISOString().slice(0, 10);
+// =============================================================
+// Request schemas (see validation.ts)
+// =============================================================
+
+const ITEM_SCHEMA = {
+  title: required(text({ max: MAX_GENERIC_STRING })),
+  description: text({ max: MAX_GENERIC_STRING }),
+  image_url: url({ max: MAX_GENERIC_STRING }),
+  product_url: url({ max: MAX_GENERIC_STRING }),
+  price_total: required(number({ min: 0 })),
+};
+
+// Updates may leave out anything but the title
+const ITEM_UPDATE_SCHEMA = {
+  ...ITEM_SCHEMA,
+  price_total: number({ min: 0 }),
+  is_funded: flag(),
+};
+
+const REORDER_SCHEMA = {
+  order: required(list(
+    required(object({
+      id: required(id()),
+      sort_order: required(number({ integer: true, min: 0 })),
+    })),
+    { max: 1000 }
+  )),
+};
+
+const CONTRIBUTION_SCHEMA = {
+  item_id: required(id()),
+  contributor_name: required(text({ max: MAX_NAME_LENGTH }), "Indica o teu nome."),
+  amount: required(
+    number({ greaterThan: 0, message: "Indica um valor válido (maior que 0)." }),
+    "Indica um valor válido (maior que 0)."
+  ),
+  message: text({ max: MAX_MESSAGE_LENGTH }),
+};
+
+// The name a pledge from before migration 0004 was made under (see
+// handleClaimContributions)
+const CONTRIBUTION_CLAIM_SCHEMA = {
+  contributor_name: required(text({ max: MAX_NAME_LENGTH }), "Indica o nome que usaste."),
+};
+
+const CONTRIBUTION_STATUS_SCHEMA = {
+  status: required(oneOf(["paid", "pledged"] as const)),
+};
+
+// The history comes from the session (chat-sessions.ts), never from the browser
+const CHAT_SCHEMA = {
+  message: required(text({ max: MAX_MESSAGE_LENGTH }), "Escreve uma mensagem."),
+  session_id: text({ max: 64 }),
+  reset_context: flag(),  // the last card was confirmed or declined: start the model afresh
+};
+
+const PASSWORD_SCHEMA = {
+  password: secret({ max: MAX_PASSWORD_LENGTH }),
+};
+
+const GUEST_AUTH_SCHEMA = {
+  password: secret({ max: MAX_PASSWORD_LENGTH }),
+  invite: secret({ max: MAX_INVITE_TOKEN }),
+  guest_key: secret({ max: 64 }),
+};
+
+const REFRESH_SCHEMA = {
+  refresh_token: secret({ max: 2048 }),
+};
+
+const INVITE_SCHEMA = {
+  label: required(text({ max: MAX_NAME_LENGTH })),
+};
+
+// Omitted fields keep their value; an empty note goes back to the template
+const THANK_YOU_SCHEMA = {
+  note: text({ max: MAX_NOTE_LENGTH, multiline: true }),
+  thanked: flag(),
+};
+
+// No guest_key clears the whole event's counts
+const RATE_LIMIT_RESET_SCHEMA = {
+  guest_key: text({ max: MAX_GENERIC_STRING }),
+};
+
+const PRODUCT_METADATA_SCHEMA = {
+  url: required(url({ max: MAX_GENERIC_STRING })),
+};
+
+const eventPassword = () => nullable(secret({ min: MIN_EVENT_PASSWORD, max: MAX_PASSWORD_LENGTH }));
+
+const EVENT_SCHEMA = {
+  slug: required(text({
+    max: 40,
+    pattern: SLUG_PATTERN,
+    message: "slug must be lowercase letters, digits and dashes",
+  })),
+  name: required(text({ max: MAX_NAME_LENGTH })),
+  admin_password: eventPassword(),
+  guest_password: eventPassword(),
+};
+
+const EVENT_UPDATE_SCHEMA = {
+  name: text({ max: MAX_NAME_LENGTH }),
+  admin_password: eventPassword(),
+  guest_password: eventPassword(),
+};
+
+type ItemInput = Infer<typeof ITEM_SCHEMA>;
+
+/** Round a euro amount to whole cents. */
+function roundCents(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Double-booking protection for priced items: the 409 body explaining why
+ * `amount` can't be pledged right now, or null if it fits.
+ */
+function fundingConflict(
+  item: Item,
+  amount: number
+): { error: string; remaining?: number } | null {
+  // Items with no price cap (price_total = 0, e.g. generic donation) accept any amount
+  if (item.price_total <= 0) return null;
+  const remaining = roundCents(item.price_total - item.price_raised);
+  if (item.is_funded === 1 || remaining <= 0) {
+    return { error: FULLY_FUNDED_MESSAGE };
+  }
+  if (amount > remaining + AMOUNT_EPSILON) {
+    return {
+      error: `Só faltam €${remaining.toFixed(2)} para cobrir este presente na totalidade.`,
+      remaining,
+    };
+  }
+  return null;
+}
+
+/**
+ * Statement that subtracts a removed contribution from its item. Only
+ * applies when the statement right before it (the DELETE or cancel, or
+ * the conditional audit entry that follows one) changed a row, so two
+ * concurrent cancellations can't subtract the amount twice.
+ */
+function subtractContributionStmt(env: Env, amount: number, itemId: number): D1PreparedStatement {
+  return env.DB.prepare(
+    `UPDATE items SET
+       price_raised = MAX(0, price_raised - ?1),
+       is_funded = CASE
+         WHEN price_total > 0 THEN MAX(0, price_raised - ?1) >= price_total - ?3
+         ELSE is_funded
+       END
+     WHERE id = ?2 AND changes() = 1`
+  ).bind(amount, itemId, AMOUNT_EPSILON);
+}
+
+/**
+ * Statement that re-sums an item's price_raised from its contributions
+ * and sets is_funded to match (items without a target keep theirs).
+ * Summing inside the UPDATE means a pledge landing meanwhile isn't lost.
+ */
+function recomputeItemStmt(env: Env, itemId: number): D1PreparedStatement {
+  return env.DB.prepare(
+    `UPDATE items SET
+       price_raised = ${CONTRIBUTED_SUM_SQL},
+       is_funded = CASE
+         WHEN price_total > 0 THEN ${CONTRIBUTED_SUM_SQL} >= price_total - ?2
+         ELSE is_funded
+       END
+     WHERE id = ?1`
+  ).bind(itemId, AMOUNT_EPSILON);
+}
+
+/** Push a live update to everyone watching this event (see live.ts). */
+function publish(env: Env, event: EventRow, message: LiveMessage, audience: Audience = "public"): Promise<void> {
+  return broadcast(env.REGISTRY_HUB, event.id, message, audience);
+}
+
+/** Push an item's current progress, or a full reload if it's no longer listed. */
+async function publishItem(env: Env, event: EventRow, itemId: number): Promise<void> {
+  const item = await env.DB.prepare(
+    `SELECT items.*, ${CONFIRMED_SUM_SQL} AS price_confirmed
+     FROM items WHERE id = ? AND event_id = ? AND deleted_at IS NULL`
+  ).bind(itemId, event.id).first<Item>();
+  await publish(env, event, item ? { type: "item", item } : { type: "items" });
+}
+
+/** Push a new contribution row (as GET /api/admin/contributions lists it) to the admins. */
+async function publishContribution(env: Env, event: EventRow, contributionId: number): Promise<void> {
+  const contribution = await env.DB.prepare(
+    `SELECT c.*, i.title as item_title, inv.label as invite_label
+     FROM contributions c
+     JOIN items i ON c.item_id = i.id
+     LEFT JOIN invites inv ON c.invite_id = inv.id
+     WHERE c.id = ?`
+  ).bind(contributionId).first<Contribution>();
+  if (contribution) await publish(env, event, { type: "contribution", contribution }, "admin");
+}
+
+/** A new short, human-readable payment reference, e.g. "K7QX3M". */
+function newReference(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(REFERENCE_LENGTH));
+  return Array.from(bytes, (b) => REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length]).join("");
 }
 
 /** Get caller IP from CF headers. */
@@ -110,93 +624,221 @@ function getIP(request: Request): string {
 // Route Handlers
 // =============================================================
 
-async function handleGetItems(env: Env, origin: string): Promise<Response> {
+/**
+ * Open the event's live-update WebSocket (see live.ts). Anyone may
+ * watch item progress, as with GET /api/items; an admin token in
+ * ?token= (browsers can't set headers on a WebSocket) also subscribes
+ * to contribution rows.
+ */
+async function handleLive(request: Request, env: Env, origin: string, event: EventRow): Promise<Response> {
+  if (request.headers.get("Upgrade")?.toLowerCase() !== "websocket") {
+    return jsonResponse({ error: "Expected a WebSocket upgrade" }, 426, origin);
+  }
+  const session = await verifyAccessToken(env, new URL(request.url).searchParams.get("token"));
+  const admin = session?.role === "admin" && (session.evt === null || session.evt === event.id);
+  return connect(env.REGISTRY_HUB, event.id, request, admin ? "admin" : "public");
+}
+
+async function handleGetItems(env: Env, origin: string, event: EventRow): Promise<Response> {
   const { results } = await env.DB.prepare(
-    `SELECT * FROM items ORDER BY
+    `SELECT items.*, ${CONFIRMED_SUM_SQL} AS price_confirmed
+     FROM items
+     WHERE event_id = ? AND deleted_at IS NULL
+     ORDER BY
       CASE
         WHEN is_funded = 1 THEN 9999999
         WHEN is_generic = 1 THEN 9999998
         ELSE sort_order
       END ASC,
       id ASC`
-  ).all<Item>();
+  ).bind(event.id).all<Item>();
   return jsonResponse(results, 200, origin);
 }
 
 async function handleCreateItem(
   request: Request,
   env: Env,
-  origin: string
+  origin: string,
+  event: EventRow
 ): Promise<Response> {
-  if (!isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
-  const body = (await request.json()) as Partial<Item>;
-  const title = sanitise(body.title, MAX_GENERIC_STRING);
-  if (!title) {
-    return jsonResponse({ error: "title is required" }, 400, origin);
-  }
-  if (body.price_total === undefined || body.price_total < 0) {
-    return jsonResponse({ error: "price_total must be >= 0" }, 400, origin);
-  }
+  const parsed = await parseBody(request, ITEM_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const item = parsed.values;
   const maxRow = await env.DB.prepare(
-    "SELECT COALESCE(MAX(sort_order), -1) as max_order FROM items"
-  ).first<{ max_order: number }>();
+    "SELECT COALESCE(MAX(sort_order), -1) as max_order FROM items WHERE event_id=?"
+  ).bind(event.id).first<{ max_order: number }>();
   const nextOrder = (maxRow?.max_order ?? -1) + 1;
-  const result = await env.DB.prepare(
-    `INSERT INTO items (title, description, image_url, product_url, price_total, sort_order)
-     VALUES (?, ?, ?, ?, ?, ?)`
+  const created = await env.DB.prepare(
+    `INSERT INTO items (event_id, title, description, image_url, product_url, price_total, sort_order)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     RETURNING *`
   )
-    .bind(
-      title,
-      sanitise(body.description, MAX_GENERIC_STRING),
-      sanitise(body.image_url, MAX_GENERIC_STRING),
-      sanitise(body.product_url, MAX_GENERIC_STRING),
-      Number(body.price_total),
-      nextOrder
-    )
-    .run();
-  return jsonResponse({ id: result.meta.last_row_id }, 201, origin);
+    .bind(event.id, item.title, item.description ?? "", item.image_url ?? "", item.product_url ?? "", item.price_total, nextOrder)
+    .first<Item>();
+  if (!created) throw new Error("Item insert returned no row");
+  await auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+    action: "item.create",
+    entityId: created.id,
+    after: created,
+  }).run();
+  await publish(env, event, { type: "items" });
+  return jsonResponse({ id: created.id }, 201, origin);
+}
+
+interface ImportReportRow {
+  row: number;  // 1-based, data rows only (the CSV header is not counted)
+  status: "created" | "skipped" | "invalid";
+  title: string;
+  id?: number;
+  error?: string;
+  fields?: FieldErrors;
+}
+
+/**
+ * Create many items from a CSV file or JSON array (Content-Type picks
+ * the parser). Each row is validated like POST /api/items; rows whose
+ * title already exists in the event (or earlier in the file) are
+ * skipped. With ?dry_run=1 nothing is written and the report says
+ * what would happen.
+ */
+async function handleImportItems(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  dryRun: boolean
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const { bytes, overflow } = await readLimited(request.body, MAX_IMPORT_BYTES);
+  if (overflow) return jsonResponse({ error: "File too large" }, 413, origin);
+  const text = new TextDecoder().decode(bytes);
+  const rows = parseImport(text, request.headers.get("Content-Type") ?? "");
+  if ("error" in rows) return jsonResponse({ error: rows.error }, 400, origin);
+
+  const { results: existing } = await env.DB.prepare(
+    "SELECT title FROM items WHERE event_id=? AND deleted_at IS NULL"
+  ).bind(event.id).all<{ title: string }>();
+  const seen = new Set(existing.map((item) => item.title.toLowerCase()));
+
+  const report: ImportReportRow[] = [];
+  const toCreate: { reportIndex: number; item: ItemInput }[] = [];
+  rows.forEach((row, index) => {
+    const parsed = parse(ITEM_SCHEMA, row);
+    const title = "errors" in parsed ? sanitise(row.title, MAX_GENERIC_STRING) : parsed.values.title;
+    if ("errors" in parsed) {
+      report.push({
+        row: index + 1,
+        status: "invalid",
+        title,
+        error: describeErrors(parsed.errors),
+        fields: parsed.errors,
+      });
+    } else if (seen.has(title.toLowerCase())) {
+      report.push({ row: index + 1, status: "skipped", title, error: "An item with this title already exists" });
+    } else {
+      seen.add(title.toLowerCase());
+      toCreate.push({ reportIndex: report.length, item: parsed.values });
+      report.push({ row: index + 1, status: "created", title });
+    }
+  });
+
+  if (!dryRun && toCreate.length > 0) {
+    const maxRow = await env.DB.prepare(
+      "SELECT COALESCE(MAX(sort_order), -1) as max_order FROM items WHERE event_id=?"
+    ).bind(event.id).first<{ max_order: number }>();
+    const firstOrder = (maxRow?.max_order ?? -1) + 1;
+    // One batch: the import is all-or-nothing
+    const results = await env.DB.batch([
+      ...toCreate.map(({ item }, i) =>
+        env.DB.prepare(
+          `INSERT INTO items (event_id, title, description, image_url, product_url, price_total, sort_order)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+          event.id,
+          item.title,
+          item.description ?? "",
+          item.image_url ?? "",
+          item.product_url ?? "",
+          item.price_total,
+          firstOrder + i
+        )
+      ),
+      auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+        action: "item.import",
+        entityId: null,
+        after: { items: toCreate.map(({ item }) => item) },
+      }),
+    ]);
+    toCreate.forEach(({ reportIndex }, i) => {
+      report[reportIndex].id = results[i].meta.last_row_id;
+    });
+    await publish(env, event, { type: "items" });
+  }
+
+  const count = (status: ImportReportRow["status"]) => report.filter((r) => r.status === status).length;
+  return jsonResponse(
+    {
+      dry_run: dryRun,
+      created: count("created"),
+      skipped: count("skipped"),
+      invalid: count("invalid"),
+      rows: report,
+    },
+    dryRun ? 200 : 201,
+    origin
+  );
 }
 
 async function handleUpdateItem(
   request: Request,
   env: Env,
   origin: string,
+  event: EventRow,
   id: number
 ): Promise<Response> {
-  if (!isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
   if (isNaN(id)) return jsonResponse({ error: "Invalid ID" }, 400, origin);
 
-  const body = (await request.json()) as Partial<Item>;
-  const title = sanitise(body.title, MAX_GENERIC_STRING);
-  if (!title) {
-    return jsonResponse({ error: "title is required" }, 400, origin);
-  }
+  const parsed = await parseBody(request, ITEM_UPDATE_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const body = parsed.values;
 
-  const existing = await env.DB.prepare("SELECT * FROM items WHERE id=?")
-    .bind(id)
+  const existing = await env.DB.prepare("SELECT * FROM items WHERE id=? AND event_id=? AND deleted_at IS NULL")
+    .bind(id, event.id)
     .first<Item>();
   if (!existing) return jsonResponse({ error: "Item not found" }, 404, origin);
 
-  await env.DB.prepare(
+  const updated = await env.DB.prepare(
     `UPDATE items SET
        title=?, description=?, image_url=?, product_url=?,
        price_total=?, is_funded=?
-     WHERE id=?`
+     WHERE id=?
+     RETURNING *`
   )
     .bind(
-      title,
-      sanitise(body.description, MAX_GENERIC_STRING) || existing.description,
-      sanitise(body.image_url, MAX_GENERIC_STRING) || existing.image_url,
-      sanitise(body.product_url, MAX_GENERIC_STRING) || existing.product_url,
-      body.price_total !== undefined ? Number(body.price_total) : existing.price_total,
-      body.is_funded !== undefined ? Number(body.is_funded) : existing.is_funded,
+      body.title,
+      body.description || existing.description,
+      body.image_url || existing.image_url,
+      body.product_url || existing.product_url,
+      body.price_total ?? existing.price_total,
+      body.is_funded ?? existing.is_funded,
       id
     )
-    .run();
+    .first<Item>();
+  await auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+    action: "item.update",
+    entityId: id,
+    before: existing,
+    after: updated,
+  }).run();
+  await publishItem(env, event, id);
 
   return jsonResponse({ success: true }, 200, origin);
 }
@@ -205,126 +847,302 @@ async function handleDeleteItem(
   request: Request,
   env: Env,
   origin: string,
+  event: EventRow,
   id: number
 ): Promise<Response> {
-  if (!isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
   if (isNaN(id)) return jsonResponse({ error: "Invalid ID" }, 400, origin);
 
-  await env.DB.prepare("DELETE FROM items WHERE id=?").bind(id).run();
+  const item = await env.DB.prepare("SELECT * FROM items WHERE id=? AND event_id=? AND deleted_at IS NULL")
+    .bind(id, event.id)
+    .first<Item>();
+  if (!item) return jsonResponse({ success: true }, 200, origin);
+  const { results: contributions } = await env.DB.prepare(
+    "SELECT * FROM contributions WHERE item_id=? AND deleted_at IS NULL ORDER BY id"
+  ).bind(id).all<Contribution>();
+  // Soft delete: the item goes to the trash with its live contributions
+  await env.DB.batch([
+    env.DB.prepare(
+      "UPDATE items SET deleted_at = datetime('now') WHERE id=? AND event_id=? AND deleted_at IS NULL"
+    ).bind(id, event.id),
+    env.DB.prepare(
+      `UPDATE contributions SET deleted_at = datetime('now'), deleted_with_item = 1
+       WHERE item_id = ? AND deleted_at IS NULL`
+    ).bind(id),
+    auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+      action: "item.delete",
+      entityId: id,
+      before: { ...item, contributions },
+    }),
+  ]);
+  await publish(env, event, { type: "items" });
+  if (contributions.length > 0) await publish(env, event, { type: "contributions" }, "admin");
   return jsonResponse({ success: true }, 200, origin);
 }
 
 async function handleGetContributions(
   request: Request,
   env: Env,
-  origin: string
+  origin: string,
+  event: EventRow
 ): Promise<Response> {
-  if (!isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
   const { results } = await env.DB.prepare(
-    `SELECT c.*, i.title as item_title
+    `SELECT c.*, i.title as item_title, inv.label as invite_label
      FROM contributions c
      JOIN items i ON c.item_id = i.id
+     LEFT JOIN invites inv ON c.invite_id = inv.id
+     WHERE i.event_id = ? AND c.deleted_at IS NULL
      ORDER BY c.created_at DESC`
-  ).all<Contribution>();
+  ).bind(event.id).all<Contribution>();
   return jsonResponse(results, 200, origin);
 }
 
-async function handleCreateContribution(
+const CONTRIBUTION_EXPORT_COLUMNS = [
+  "id", "reference", "created_at", "item_id", "item_title", "contributor_name", "amount",
+  "status", "paid_at", "cancelled_at", "invite_label", "message",
+] as const;
+
+const ITEM_EXPORT_COLUMNS = [
+  "id", "title", "description", "price_total", "price_raised", "price_confirmed",
+  "is_funded", "is_generic", "contribution_count", "product_url", "image_url", "created_at",
+] as const;
+
+async function handleExport(
   request: Request,
   env: Env,
-  origin: string
+  origin: string,
+  event: EventRow,
+  params: URLSearchParams
 ): Promise<Response> {
-  if (!isGuest(request, env) && !isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
+  const query = parseExportQuery(params);
+  if ("errors" in query) return validationResponse(query.errors, origin);
+
+  // Filters apply to the contribution's (or item's) creation date;
+  // "to" is inclusive, so compare against the start of the next day
+  const alias = query.type === "contributions" ? "c" : "items";
+  const conditions = [
+    query.type === "contributions"
+      ? "i.event_id = ? AND c.deleted_at IS NULL"
+      : "items.event_id = ? AND items.deleted_at IS NULL",
+  ];
+  const binds: (number | string)[] = [event.id];
+  if (query.itemId !== null) {
+    conditions.push(query.type === "contributions" ? "c.item_id = ?" : "items.id = ?");
+    binds.push(query.itemId);
+  }
+  if (query.from) {
+    conditions.push(`${alias}.created_at >= ?`);
+    binds.push(query.from);
+  }
+  if (query.to) {
+    conditions.push(`${alias}.created_at < date(?, '+1 day')`);
+    binds.push(query.to);
+  }
+  const where = conditions.join(" AND ");
+
+  const sql = query.type === "contributions"
+    ? `SELECT c.id, c.reference, c.created_at, c.item_id, i.title AS item_title, c.contributor_name,
+                c.amount, c.status, c.paid_at, c.cancelled_at, inv.label AS invite_label, c.message
+         FROM contributions c
+         JOIN items i ON c.item_id = i.id
+         LEFT JOIN invites inv ON c.invite_id = inv.id
+         WHERE ${where}
+         ORDER BY c.created_at ASC, c.id ASC
+         LIMIT ? OFFSET ?`
+    : `SELECT items.id, items.title, items.description, items.price_total, items.price_raised,
+                ${CONFIRMED_SUM_SQL} AS price_confirmed, items.is_funded, items.is_generic,
+                (SELECT COUNT(*) FROM contributions c
+                 WHERE c.item_id = items.id AND c.status != 'cancelled' AND c.deleted_at IS NULL)
+                  AS contribution_count,
+                items.product_url, items.image_url, items.created_at
+         FROM items
+         WHERE ${where}
+         ORDER BY items.sort_order ASC, items.id ASC
+         LIMIT ? OFFSET ?`;
+  // Read a page at a time while the file streams out
+  async function* pages() {
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+      const { results } = await env.DB.prepare(sql)
+        .bind(...binds, EXPORT_PAGE_SIZE, offset)
+        .all<Record<string, string | number | null>>();
+      if (results.length > 0) yield results;
+      if (results.length < EXPORT_PAGE_SIZE) return;
+    }
+  }
 
-  const body = (await request.json()) as {
-    item_id: number;
-    contributor_name: string;
-    amount: number;
-    message?: string;
-  };
+  const columns = query.type === "contributions" ? CONTRIBUTION_EXPORT_COLUMNS : ITEM_EXPORT_COLUMNS;
+  return new Response(exportStream(query.format, columns, pages()), {
+    status: 200,
+    headers: {
+      "Content-Type": query.format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${exportFilename(event.slug, query)}"`,
+      "Access-Control-Expose-Headers": "Content-Disposition",
+      ...corsHeaders(origin),
+    },
+  });
+}
+
+async function handleGetAudit(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  params: URLSearchParams
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const query = parseAuditQuery(params);
+  if ("errors" in query) return validationResponse(query.errors, origin);
+  return jsonResponse(await listAudit(env.DB, event.id, query), 200, origin);
+}
 
-  const itemId = parseInt(String(body.item_id), 10);
-  if (!itemId || isNaN(itemId)) {
-    return jsonResponse({ error: "item_id is required" }, 400, origin);
+async function handleCreateContribution(
+  request: Request,
+  env: Env,
+  ctx: ExecutionContext,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  const guest = await getGuest(request, env, event);
+  if (!guest && !(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
-  const name = sanitise(body.contributor_name, MAX_NAME_LENGTH);
-  if (!name) {
-    return jsonResponse({ error: "contributor_name is required" }, 400, origin);
+
+  const parsed = await parseBody(request, CONTRIBUTION_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const body = parsed.values;
+  const itemId = body.item_id;
+  const name = body.contributor_name;
+  const amount = roundCents(body.amount);
+  if (amount <= 0) {
+    return validationResponse({ amount: "Indica um valor válido (maior que 0)." }, origin);
   }
-  const amount = Number(body.amount);
-  if (!amount || amount <= 0 || !isFinite(amount)) {
-    return jsonResponse({ error: "amount must be > 0" }, 400, origin);
+
+  const settings = await getSettings(env.DB, event.id);
+  const retryAfter = await takeRateLimit(
+    env.DB,
+    event.id,
+    rateLimitRules(settings, "contribution", { guestKey: guest?.key ?? null, ip: getIP(request) })
+  );
+  if (retryAfter !== null) {
+    return rateLimitedResponse(
+      `Registaste muitas contribuições seguidas. ${retryLater(retryAfter)}`,
+      retryAfter,
+      origin
+    );
   }
 
-  const item = await env.DB.prepare("SELECT * FROM items WHERE id=?")
-    .bind(itemId)
+  const item = await env.DB.prepare("SELECT * FROM items WHERE id=? AND event_id=? AND deleted_at IS NULL")
+    .bind(itemId, event.id)
     .first<Item>();
   if (!item) return jsonResponse({ error: "Item not found" }, 404, origin);
 
-  // Double-booking protection: only enforce for priced items (price_total > 0)
-  if (item.price_total > 0) {
-    if (item.is_funded === 1) {
-      return jsonResponse(
-        { error: "Este presente já foi totalmente coberto por outra contribuição." },
-        409,
-        origin
-      );
-    }
-    const liveRemaining = item.price_total - item.price_raised;
-    if (liveRemaining <= 0) {
-      return jsonResponse(
-        { error: "Este presente já foi totalmente coberto por outra contribuição." },
-        409,
-        origin
-      );
-    }
-    if (amount > liveRemaining) {
-      return jsonResponse(
-        {
-          error: `Só faltam €${liveRemaining.toFixed(2)} para cobrir este presente na totalidade.`,
-          remaining: liveRemaining,
-        },
-        409,
-        origin
-      );
-    }
-  }
-
-  // For items with no price cap (price_total = 0, e.g. generic donation) accept any amount
-  const remaining = item.price_total > 0 ? item.price_total - item.price_raised : amount;
-  const appliedAmount = Math.min(amount, remaining);
-  const newRaised = item.price_raised + appliedAmount;
-  const isFunded = item.price_total > 0 && newRaised >= item.price_total ? 1 : 0;
-  const contributorIp = getIP(request);
+  const conflict = fundingConflict(item, amount);
+  if (conflict) return jsonResponse(conflict, 409, origin);
 
-  await env.DB.batch([
+  // Relative, guarded write: the UPDATE only applies while the item still
+  // has room for this amount, and the INSERT only runs if the UPDATE did
+  // (changes() = 1). Concurrent pledges can no longer overwrite each
+  // other's totals or overfund an item.
+  const pledge = (reference: string) => env.DB.batch([
     env.DB.prepare(
-      `INSERT INTO contributions (item_id, contributor_name, amount, message, contributor_ip)
-       VALUES (?, ?, ?, ?, ?)`
+      `UPDATE items SET
+         price_raised = price_raised + ?1,
+         is_funded = CASE
+           WHEN price_total > 0 AND price_raised + ?1 >= price_total - ?3 THEN 1
+           ELSE is_funded
+         END
+       WHERE id = ?2
+         AND (price_total = 0 OR (is_funded = 0 AND price_raised + ?1 <= price_total + ?3))`
+    ).bind(amount, itemId, AMOUNT_EPSILON),
+    env.DB.prepare(
+      `INSERT INTO contributions (item_id, contributor_name, amount, message, contributor_ip, invite_id, guest_key, reference)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?
+       WHERE changes() = 1`
     ).bind(
       itemId,
       name,
-      appliedAmount,
-      sanitise(body.message, MAX_MESSAGE_LENGTH),
-      contributorIp
+      amount,
+      body.message ?? "",
+      getIP(request),
+      guest?.inviteId ?? null,
+      ownerKey(guest),
+      reference
     ),
-    env.DB.prepare(
-      `UPDATE items SET price_raised=?, is_funded=? WHERE id=?`
-    ).bind(newRaised, isFunded, itemId),
+    env.DB.prepare("SELECT * FROM items WHERE id=?").bind(itemId),
   ]);
 
+  // The batch is one transaction, so a (very unlikely) duplicate
+  // reference rolls everything back and can simply be retried
+  let reference = newReference();
+  let batch: D1Result[];
+  for (let attempt = 1; ; attempt++) {
+    try {
+      batch = await pledge(reference);
+      break;
+    } catch (err) {
+      if (attempt >= 3 || !String(err).includes("UNIQUE")) throw err;
+      reference = newReference();
+    }
+  }
+  const [, inserted, after] = batch;
+  const updated = (after.results as Item[])[0];
+
+  if (!inserted.meta.changes) {
+    // Lost the race: someone else's pledge landed between our read and write
+    return jsonResponse(
+      fundingConflict(updated, amount) ?? { error: FULLY_FUNDED_MESSAGE },
+      409,
+      origin
+    );
+  }
+
+  const contributionId = inserted.meta.last_row_id;
+  await auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+    action: "contribution.create",
+    entityId: contributionId,
+    after: {
+      id: contributionId,
+      item_id: itemId,
+      item_title: item.title,
+      contributor_name: name,
+      amount,
+      message: body.message ?? "",
+      reference,
+      status: "pledged",
+      invite_id: guest?.inviteId ?? null,
+    },
+  }).run();
+  await publishItem(env, event, itemId);
+  await publishContribution(env, event, contributionId);
+  await queueNotification(env.DB, env, ctx, event.id, {
+    kind: "contribution.created",
+    event: { slug: event.slug, name: event.name },
+    contributor_name: name,
+    item_title: item.title,
+    amount,
+    message: body.message ?? "",
+    reference,
+  });
+
   return jsonResponse(
     {
       success: true,
-      applied_amount: appliedAmount,
-      new_raised: newRaised,
-      is_funded: isFunded === 1,
+      id: contributionId,
+      reference,
+      applied_amount: amount,
+      new_raised: updated.price_raised,
+      is_funded: updated.is_funded === 1,
+      payment: paymentInstructions(settings, reference, amount),
     },
     201,
     origin
@@ -334,104 +1152,371 @@ async function handleCreateContribution(
 async function handleGetMyContributions(
   request: Request,
   env: Env,
-  origin: string
+  origin: string,
+  event: EventRow
 ): Promise<Response> {
-  if (!isGuest(request, env) && !isAdmin(request, env)) {
+  const guest = await getGuest(request, env, event);
+  if (!guest && !(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
-  const ip = getIP(request);
+  const key = ownerKey(guest);
+
+  const [{ results }, settings] = await Promise.all([
+    env.DB.prepare(
+      `SELECT c.id, c.item_id, c.contributor_name, c.amount, c.message, c.reference, c.status, c.created_at,
+              i.title AS item_title
+       FROM contributions c
+       JOIN items i ON c.item_id = i.id
+       WHERE c.guest_key = ? AND i.event_id = ? AND c.status != 'cancelled' AND c.deleted_at IS NULL
+       ORDER BY c.created_at DESC`
+    ).bind(key, event.id).all<Contribution>(),
+    getSettings(env.DB, event.id),
+  ]);
+  // Unpaid pledges carry the instructions to pay them
+  const contributions = results.map((c) => ({
+    ...c,
+    payment: c.status === "pledged" && c.reference
+      ? paymentInstructions(settings, c.reference, c.amount)
+      : null,
+  }));
+  return jsonResponse(contributions, 200, origin);
+}
+
+// Pledges from before migration 0004 have no owner (guest_key NULL). A
+// guest can claim them once, explicitly, from the IP address they were
+// made from and with the name they were made under: an address alone
+// can be shared (venue Wi-Fi), so it is never enough on its own.
+const UNCLAIMED_CONTRIBUTIONS_SQL = `
+  FROM contributions c
+  JOIN items i ON c.item_id = i.id
+  WHERE c.guest_key IS NULL AND c.contributor_ip = ? AND i.event_id = ?
+    AND c.status != 'cancelled' AND c.deleted_at IS NULL`;
+
+/** How many ownerless pledges came from the caller's IP, so the page can offer the claim. */
+async function handleGetUnclaimedContributions(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await getGuest(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const unclaimed = await env.DB.prepare(`SELECT COUNT(*) AS n ${UNCLAIMED_CONTRIBUTIONS_SQL}`)
+    .bind(getIP(request), event.id)
+    .first<number>("n");
+  return jsonResponse({ unclaimed: unclaimed ?? 0 }, 200, origin);
+}
+
+async function handleClaimContributions(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  const guest = await getGuest(request, env, event);
+  if (!guest) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const parsed = await parseBody(request, CONTRIBUTION_CLAIM_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+
   const { results } = await env.DB.prepare(
-    `SELECT c.id, c.item_id, c.contributor_name, c.amount, c.message, c.created_at,
-            i.title AS item_title
-     FROM contributions c
-     JOIN items i ON c.item_id = i.id
-     WHERE c.contributor_ip = ?
-     ORDER BY c.created_at DESC`
-  ).bind(ip).all<Contribution>();
-  return jsonResponse(results, 200, origin);
+    `SELECT c.* ${UNCLAIMED_CONTRIBUTIONS_SQL} AND lower(trim(c.contributor_name)) = lower(?)`
+  ).bind(getIP(request), event.id, parsed.values.contributor_name).all<Contribution>();
+  if (results.length === 0) {
+    return jsonResponse(
+      { error: "Não encontrámos contribuições antigas com esse nome feitas a partir desta ligação." },
+      404,
+      origin
+    );
+  }
+  // Each row only changes hands (and is audited) if still unclaimed
+  const actor = await auditActor(request, env, event);
+  const updates = await env.DB.batch(results.flatMap((contribution) => [
+    env.DB.prepare("UPDATE contributions SET guest_key=? WHERE id=? AND guest_key IS NULL")
+      .bind(guest.key, contribution.id),
+    auditStmt(env.DB, event.id, actor, {
+      action: "contribution.claim",
+      entityId: contribution.id,
+      before: contribution,
+      after: { ...contribution, guest_key: guest.key },
+    }, { ifChanged: true }),
+  ]));
+  const claimed = updates.filter((result, i) => i % 2 === 0 && result.meta.changes).length;
+  return jsonResponse({ success: true, claimed }, 200, origin);
 }
 
 async function handleDeleteMyContribution(
   request: Request,
   env: Env,
+  ctx: ExecutionContext,
   origin: string,
+  event: EventRow,
   id: number
 ): Promise<Response> {
-  if (!isGuest(request, env) && !isAdmin(request, env)) {
+  const guest = await getGuest(request, env, event);
+  if (!guest && !(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
-  const ip = getIP(request);
   const contribution = await env.DB.prepare(
-    "SELECT id, item_id, amount FROM contributions WHERE id=? AND contributor_ip=?"
-  ).bind(id, ip).first<{ id: number; item_id: number; amount: number }>();
+    `SELECT c.*, i.title AS item_title
+     FROM contributions c
+     JOIN items i ON c.item_id = i.id
+     WHERE c.id=? AND c.guest_key=? AND i.event_id=? AND c.status != 'cancelled' AND c.deleted_at IS NULL`
+  ).bind(id, ownerKey(guest), event.id).first<Contribution>();
   if (!contribution) {
     return jsonResponse({ error: "Não encontrado" }, 404, origin);
   }
-  await env.DB.batch([
-    env.DB.prepare("DELETE FROM contributions WHERE id=?").bind(id),
+  if (contribution.status === "paid") {
+    return jsonResponse(
+      { error: "Esta contribuição já foi paga. Fala connosco se a quiseres cancelar." },
+      409,
+      origin
+    );
+  }
+  // Keep the row as 'cancelled' so the parents can still see what happened.
+  // The audit entry and the subtraction each only run when the step
+  // before them changed a row, so a concurrent change leaves no trace
+  const [result] = await env.DB.batch([
     env.DB.prepare(
-      `UPDATE items SET
-         price_raised = MAX(0, price_raised - ?),
-         is_funded = 0
-       WHERE id=?`
-    ).bind(contribution.amount, contribution.item_id),
+      `UPDATE contributions SET status='cancelled', cancelled_at=datetime('now')
+       WHERE id=? AND status='pledged' AND deleted_at IS NULL`
+    ).bind(id),
+    auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+      action: "contribution.cancel",
+      entityId: id,
+      before: contribution,
+      after: { ...contribution, status: "cancelled" },
+    }, { ifChanged: true }),
+    subtractContributionStmt(env, contribution.amount, contribution.item_id),
   ]);
+  if (!result.meta.changes) {
+    return jsonResponse({ error: "Não encontrado" }, 404, origin);
+  }
+  await publishItem(env, event, contribution.item_id);
+  await publish(env, event, { type: "contributions" }, "admin");
+  await queueNotification(env.DB, env, ctx, event.id, {
+    kind: "contribution.cancelled",
+    event: { slug: event.slug, name: event.name },
+    contributor_name: contribution.contributor_name,
+    item_title: contribution.item_title ?? "",
+    amount: contribution.amount,
+    message: contribution.message,
+    reference: contribution.reference,
+  });
   return jsonResponse({ success: true }, 200, origin);
 }
 
-async function handleChat(
-  request: Request,
+// --- RSVPs (see rsvp.ts) ---
+
+/** The guest's own answer, or null before they've answered. */
+async function handleGetRsvp(request: Request, env: Env, origin: string, event: EventRow): Promise<Response> {
+  const guest = await getGuest(request, env, event);
+  if (!guest && !(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  return jsonResponse({ rsvp: await getRsvp(env.DB, event.id, ownerKey(guest)) }, 200, origin);
+}
+
+/** Save (or change) the guest's answer. */
+async function handleSaveRsvp(request: Request, env: Env, origin: string, event: EventRow): Promise<Response> {
+  const guest = await getGuest(request, env, event);
+  if (!guest && !(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const json = await readJson(request);
+  if ("errors" in json) return validationResponse(json.errors, origin);
+  const parsed = parseRsvp(json.body);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+
+  const rsvp = await saveRsvp(
+    env.DB,
+    event.id,
+    { key: ownerKey(guest), inviteId: guest?.inviteId ?? null },
+    parsed.values
+  );
+  await publish(env, event, { type: "rsvps" }, "admin");
+  return jsonResponse({ success: true, rsvp }, 200, origin);
+}
+
+async function handleGetRsvps(request: Request, env: Env, origin: string, event: EventRow): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  return jsonResponse(await listRsvps(env.DB, event.id), 200, origin);
+}
+
+// -------------------------------------------------------------
+// Thank-you notes (admin "Agradecimentos" tab)
+// -------------------------------------------------------------
+
+/** Every contributor with their draft note; ?format=html is the printable page. */
+async function handleGetThankYous(
+  request: Request,
   env: Env,
-  origin: string
+  origin: string,
+  event: EventRow,
+  params: URLSearchParams
 ): Promise<Response> {
-  if (!isGuest(request, env) && !isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
+  const people = await listThankYous(env.DB, event.id, await getSettings(env.DB, event.id));
+  if (params.get("format") !== "html") return jsonResponse(people, 200, origin);
+  return new Response(thankYousHtml(event.name, people), {
+    status: 200,
+    headers: { "Content-Type": "text/html; charset=utf-8", ...corsHeaders(origin) },
+  });
+}
 
-  const body = (await request.json()) as {
-    message?: string;
-    history?: Array<{ role: string; content: string }>;
-  };
-  const message = sanitise(body.message, MAX_MESSAGE_LENGTH);
-  if (!message) {
-    return jsonResponse({ error: "message is required" }, 400, origin);
+/** Edit a contributor's note and/or mark them as (not) thanked. */
+async function handleUpdateThankYou(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  key: string
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
+  const parsed = await parseBody(request, THANK_YOU_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+
+  const settings = await getSettings(env.DB, event.id);
+  const person = (await listThankYous(env.DB, event.id, settings)).find((p) => p.key === key);
+  if (!person) return jsonResponse({ error: "Contributor not found" }, 404, origin);
+
+  const { note, thanked } = parsed.values;
+  const savedNote = person.note_source === "saved" ? person.note : null;
+  await saveThankYou(env.DB, event.id, person, {
+    note: note === undefined ? savedNote : note || null,
+    thanked: thanked === undefined ? Boolean(person.thanked_at) : thanked === 1,
+  });
+  const updated = (await listThankYous(env.DB, event.id, settings)).find((p) => p.key === key);
+  return jsonResponse(updated, 200, origin);
+}
 
-  // --- Rate limiting: disabled for testing, re-enable before sharing ---
-  // const ip = getIP(request);
-  // const day = todayUTC();
+/** Replace a contributor's note with one written by Workers AI. */
+async function handleDraftThankYou(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  key: string
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const settings = await getSettings(env.DB, event.id);
+  const person = (await listThankYous(env.DB, event.id, settings)).find((p) => p.key === key);
+  if (!person) return jsonResponse({ error: "Contributor not found" }, 404, origin);
 
-  // const row = await env.DB.prepare(
-  //   "SELECT count FROM chat_rate_limit WHERE ip=? AND day=?"
-  // ).bind(ip, day).first<{ count: number }>();
+  let note: string;
+  try {
+    note = await draftNoteWithAi(env.AI, person, settings);
+  } catch (err) {
+    console.error("Drafting thank-you note failed:", err);
+    return jsonResponse({ error: "Could not draft a note right now. Try again, or edit the template." }, 502, origin);
+  }
+  await saveThankYou(env.DB, event.id, person, { note, thanked: Boolean(person.thanked_at) });
+  return jsonResponse({ ...person, note, note_source: "saved" }, 200, origin);
+}
 
-  // const currentCount = row?.count ?? 0;
-  // if (currentCount >= CHAT_DAILY_LIMIT) {
-  //   return jsonResponse(
-  //     { error: "Limite diário de mensagens atingido. Tenta novamente amanhã." },
-  //     429,
-  //     origin
-  //   );
-  // }
+/** "Saturday, 11 April 2026" for an ISO date setting ("" stays ""). */
+function formatPromptDate(iso: string): string {
+  if (!iso) return "";
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString("en-GB", {
+    weekday: "long", day: "numeric", month: "long", year: "numeric", timeZone: "UTC",
+  });
+}
 
-  // await env.DB.prepare(
-  //   `INSERT INTO chat_rate_limit (ip, day, count) VALUES (?, ?, 1)
-  //    ON CONFLICT(ip, day) DO UPDATE SET count = count + 1`
-  // ).bind(ip, day).run();
+/** Prompt guideline for the open-ended (is_generic) funds, if there are any. */
+function genericFundContext(items: Item[], settings: Settings): string {
+  const funds = items.filter((i) => i.is_generic).map((i) => `"${i.title}"`);
+  if (funds.length === 0) return "";
+  const estimate = Number(settings.generic_fund_estimate);
+  const tip = estimate > 0
+    ? ` If a guest asks how much is needed or expected, you can share (as a friendly insider tip) that ${settings.parents_names || "the parents"} estimate it will cost around €${estimate.toFixed(0)} in total — but any amount is genuinely appreciated and there is no obligation.`
+    : "";
+  return `- ${funds.join(", ")} ${funds.length > 1 ? "are open-ended funds" : "is an open-ended fund"} with no fixed limit.${tip}\n`;
+}
 
-  const ip = getIP(request);
+/** Everyone's RSVPs and the headcount, for the chat system prompt when an organiser asks. */
+function rsvpListContext({ rsvps, totals }: Awaited<ReturnType<typeof listRsvps>>): string {
+  const list = rsvps.length > 0
+    ? rsvps.map((r) => `- ${describeRsvp(r)}${r.invite_label ? ` [invite: ${r.invite_label}]` : ""}`).join("\n")
+    : "- No answers yet.";
+  return `
+RSVPS (you are talking to one of the organisers, so you may share these):
+Totals: ${totals.attending} answers coming with ${totals.people} people (${totals.adults} adults, ${totals.children} children); ${totals.not_attending} not coming; ${totals.invites_pending} personal invites without an answer.
+${list}
+`;
+}
+
+/** How guests pay, for the chat system prompt. */
+function paymentContext(settings: Settings): string {
+  const methods = [
+    settings.payment_mbway_phone && `MB Way to ${settings.payment_mbway_phone}`,
+    settings.payment_iban &&
+      `bank transfer to IBAN ${settings.payment_iban}${settings.payment_holder ? ` (${settings.payment_holder})` : ""}`,
+  ].filter(Boolean);
+  const how = methods.length > 0 ? methods.join(" or ") : "MB Way";
+  return `Contributions are pledges — after confirming, guests should send the amount via ${how}, quoting the reference code shown on their confirmation (also listed under "As minhas contribuições"), or contact ${settings.parents_names || "the parents"} directly for details.`;
+}
+
+async function handleChat(
+  request: Request,
+  env: Env,
+  ctx: ExecutionContext,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  const guest = await getGuest(request, env, event);
+  if (!guest && !(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+
+  const parsed = await parseBody(request, CHAT_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const body = parsed.values;
+  const message = body.message;
+
+  const settings = await getSettings(env.DB, event.id);
+  const retryAfter = await takeRateLimit(
+    env.DB,
+    event.id,
+    rateLimitRules(settings, "chat", { guestKey: guest?.key ?? null, ip: getIP(request) })
+  );
+  if (retryAfter !== null) {
+    return rateLimitedResponse(
+      `Já trocámos muitas mensagens por agora. ${retryLater(retryAfter)}`,
+      retryAfter,
+      origin
+    );
+  }
+
+  // Record chat activity against the guest's invite
+  if (guest?.inviteId) {
+    await env.DB.prepare(
+      "UPDATE invites SET chat_count = chat_count + 1, last_seen_at = datetime('now') WHERE id=?"
+    ).bind(guest.inviteId).run();
+  }
 
   // Fetch current gift state for AI context
   const { results: items } = await env.DB.prepare(
     `SELECT id, title, description, price_total, price_raised, is_funded, is_generic, product_url
-     FROM items ORDER BY
+     FROM items
+     WHERE event_id = ? AND deleted_at IS NULL
+     ORDER BY
        CASE
          WHEN is_funded = 1 THEN 9999999
          WHEN is_generic = 1 THEN 9999998
          ELSE sort_order
        END ASC,
        id ASC`
-  ).all<Item>();
+  ).bind(event.id).all<Item>();
 
   // Fetch this guest's own contributions for AI context
   const { results: myContributions } = await env.DB.prepare(
@@ -439,9 +1524,13 @@ async function handleChat(
             i.title AS item_title
      FROM contributions c
      JOIN items i ON c.item_id = i.id
-     WHERE c.contributor_ip = ?
+     WHERE c.guest_key = ? AND i.event_id = ? AND c.status != 'cancelled' AND c.deleted_at IS NULL
      ORDER BY c.created_at DESC`
-  ).bind(ip).all<Contribution>();
+  ).bind(ownerKey(guest), event.id).all<Contribution>();
+
+  const myRsvp = await getRsvp(env.DB, event.id, ownerKey(guest));
+  // Only the organisers get to ask who else is coming
+  const organiserRsvps = guest ? null : await listRsvps(env.DB, event.id);
 
   const giftContext =
     items.length > 0
@@ -469,30 +1558,36 @@ async function handleChat(
           .join("\n")
       : "This guest has no registered contributions yet.";
 
-  const systemPrompt = `You are a warm and friendly assistant for the baby shower of Maria Luísa.
+  const babyName = settings.baby_name || "the baby";
+  const mapsUrl = settings.venue_maps_url ||
+    `https://maps.google.com?q=${encodeURIComponent(settings.venue_name)}`;
+  // Free-form extras (parking, food, …), one bullet per line
+  const eventDetails = settings.event_details
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => `- ${line}\n`)
+    .join("");
+  const systemPrompt = `You are a warm and friendly assistant for the ${event.name} of ${babyName}.
 Your role is to help guests with anything related to the event, the family, the baby, the gift registry, and how to contribute.
 
 THE FAMILY:
-- Parents: Gonçalo and Inês
-- Baby's name: Maria Luísa
-- Gender: Girl 👧
-- Due date: 14 June 2026
+- Parents: ${settings.parents_names}
+- Baby's name: ${babyName}
+- Gender: ${settings.baby_gender}
+- Due date: ${formatPromptDate(settings.due_date)}
 
 THE NURSERY:
-- Theme: Safari
-- Colours: green, white, beige, and brown
-- Think earthy tones, animals, nature — a cosy safari adventure nursery
+- Theme: ${settings.nursery_theme}
+- Colours: ${settings.nursery_colours}
 
 EVENT DETAILS:
-- Name: Baby Shower da Maria Luísa
-- Date: Saturday, 11 April 2026
-- Time: 15h00
-- Venue: Messe Militar de Évora, Évora, Portugal
-- Google Maps: https://maps.google.com?q=Messe+Militar+de+%C3%89vora,+%C3%89vora,+Portugal
-- Directions: Guests should use Google Maps or Waze with "Messe Militar de Évora" as the destination.
-- Parking: Yes — there is parking available inside the Messe Militar de Évora grounds.
-- Food: Yes — there will be a traditional Portuguese "lanche" (afternoon snacks/tea).
-- Payment: Contributions are pledges — after confirming, guests should send the amount via MB Way or contact Gonçalo or Inês directly for details.
+- Name: ${event.name} — ${babyName}
+- Date: ${formatPromptDate(settings.event_date)}
+- Time: ${settings.event_time.replace(":", "h")}
+- Venue: ${settings.venue_name}${settings.venue_address ? `, ${settings.venue_address.replace(/\n/g, ", ")}` : ""}
+- Google Maps: ${mapsUrl}
+- Directions: Guests should use Google Maps or Waze with "${settings.venue_name}" as the destination.
+${eventDetails}- Payment: ${paymentContext(settings)}
 
 GIFT REGISTRY:
 ${giftContext}
@@ -500,265 +1595,1188 @@ ${giftContext}
 THIS GUEST'S CONTRIBUTIONS:
 ${myContribsContext}
 
+THIS GUEST'S RSVP:
+${myRsvp ? describeRsvp(myRsvp) : "Not answered yet."}
+${organiserRsvps ? rsvpListContext(organiserRsvps) : ""}
 CONTRIBUTION FLOW:
 If a guest wants to contribute to a gift via this chat, collect in a friendly conversation:
 1. Which gift they want (refer to names, not IDs)
 2. Their full name
 3. The amount in euros (minimum €1)
 4. Optionally a personal message (they can skip)
-Once you have item + name + amount, give a warm summary and tell the guest a confirmation card will appear.
+Once you have item + name + amount, give a warm summary, call propose_contribution and tell the guest a confirmation card will appear.
 
 CANCELLATION FLOW:
 If a guest wants to cancel or change one of their existing contributions (listed above under THIS GUEST'S CONTRIBUTIONS):
 1. Confirm which contribution they want to cancel (use the ContribID internally, refer to it by gift name and amount to the guest)
-2. Give a brief summary and tell them a confirmation card will appear to cancel it.
+2. Give a brief summary, call propose_cancellation and tell them a confirmation card will appear to cancel it.
+
+RSVP FLOW:
+If a guest wants to say whether they are coming, or change their answer, collect:
+1. Whether they are coming
+2. Their name
+3. If coming: how many people in total (themselves included) and how many of them are children
+4. Optionally any dietary restrictions or allergies (they can skip)
+Then give a short summary, call propose_rsvp (children 0 if unknown) and tell the guest a confirmation card will appear.
+
+TOOLS:
+The confirmation cards only appear when you call a propose_ tool. Call one only once the guest has given everything it needs; while they are still deciding, chatting or asking questions, call no tool. Use lookup_item if you need a gift's ID or the amount still needed. Never invent IDs. If a call is refused, correct it or ask the guest for what is missing.
 
 Guidelines:
 - Be warm, brief, and helpful. Keep responses under 120 words.
 - IMPORTANT: Always respond in European Portuguese (Portugal). Use "autocarro" not "ônibus", "telemóvel" not "celular", "casa de banho" not "banheiro", etc.
 - Answer questions about the event, the family, the baby, the nursery theme, etc.
 - When asked for gift recommendations, prioritise items that are NOT yet fully funded.
+- Never say who else is coming unless the RSVPS list is given above; otherwise say the parents have that information.
 - If a guest says they want to cover the full amount / pay for the whole item, use the "still needed" remaining amount from the gift registry context as the contribution amount (e.g. if an item costs €120 and €40 has been raised, the full remaining amount is €80).
-- "Doação Geral para Mobília/Obras" is an open-ended fund with no fixed limit. If a guest asks how much is needed or expected, you can share (as a friendly insider tip) that Gonçalo and Inês estimate the nursery furniture and works will cost around €1500 in total — but any amount is genuinely appreciated and there is no obligation.
-- Do not discuss topics unrelated to the baby shower, the family, or the gift registry.
+${genericFundContext(items, settings)}- Do not discuss topics unrelated to the event, the family, or the gift registry.
 - Always respond in European Portuguese (Portugal). This is mandatory.`;
 
-  // Build message history (last 10 turns to stay within token limits)
-  const history = (body.history ?? []).slice(-10);
-  const aiMessages = [
-    { role: "system" as const, content: systemPrompt },
-    ...history.map((m) => ({ role: m.role as "user" | "assistant", content: m.content })),
-    { role: "user" as const, content: message },
+  // Guests' conversations are kept and the model is given their last
+  // turns; an admin's questions from the "Presenças" tab are one-off
+  const session = guest ? await openChatSession(env.DB, event.id, guest, body.session_id, getIP(request)) : null;
+  if (session && body.reset_context) await resetChatContext(env.DB, session);
+  const history = session ? await chatHistory(env.DB, session) : [];
+  const aiMessages: ChatMessage[] = [
+    { role: "system", content: systemPrompt },
+    ...history.map((m) => ({ role: m.role, content: m.content })),
+    { role: "user", content: message },
   ];
+  // The tools (see chat-tools.ts) go with the chat call itself; what the
+  // model proposes comes back as the confirmation cards
+  const toolContext = { items, myContributions };
+
+  // Browsers ask for a stream and see the reply as it is written; other
+  // callers (e.g. the admin "Quem vem?" box) get the whole reply as JSON
+  if (!(request.headers.get("Accept") ?? "").includes("text/event-stream")) {
+    const turn = await runChatTurn(completeWith(env.AI, CHAT_MODEL, CHAT_MAX_TOKENS), aiMessages, toolContext);
+    const reply = cleanChatReply(turn.reply, turn.actions);
+    if (session) await appendChatTurn(env.DB, session, message, reply, turn.actions);
+    return jsonResponse({ reply, ...turn.actions, session_id: session?.id ?? null }, 200, origin);
+  }
 
-  const aiResponse = await env.AI.run(
-    "@cf/meta/llama-3.3-70b-instruct-fp8-fast" as Parameters<typeof env.AI.run>[0],
-    {
-      messages: aiMessages,
-      max_tokens: 350,
-    }
-  );
-
-  const rawReply =
-    (aiResponse as { response?: string }).response ??
-    "Estou com dificuldades em responder agora. Por favor tenta novamente!";
+  const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+  ctx.waitUntil(streamChat(writable, async (send) => {
+    if (session) await send("session", { session_id: session.id });
+    const turn = await runChatTurn(streamingCompletion(env, send), aiMessages, toolContext);
+    const reply = cleanChatReply(turn.reply, turn.actions);
+    if (session) await appendChatTurn(env.DB, session, message, reply, turn.actions);
+    await send("done", { reply, ...turn.actions });
+  }));
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      ...corsHeaders(origin),
+    },
+  });
+}
 
-  // Strip any accidental marker the main AI may emit anyway
-  const reply = rawReply.replace(/\[CONTRIBUTION:[^\]]*\]/gs, "").trim();
+/** The guest's own conversation, for the chatbot to show again when it opens. */
+async function handleGetChatSession(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  sessionId: string
+): Promise<Response> {
+  const guest = await getGuest(request, env, event);
+  if (!guest) return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  const session = await findChatSession(env.DB, event.id, guest.key, sessionId);
+  if (!session) return jsonResponse({ error: "Conversa não encontrada." }, 404, origin);
+  const messages = await chatTranscript(env.DB, session);
+  return jsonResponse({
+    session_id: session.id,
+    messages: messages.map(({ role, content, created_at }) => ({ role, content, created_at })),
+  }, 200, origin);
+}
 
-  // --- Second AI call: structured extraction ---
-  // Ask a separate focused call to extract contribution data from the full conversation.
-  // This is far more reliable than asking the conversational AI to emit a JSON marker.
-  const fullConversationText = [
-    ...history.map((m) => `${m.role === "user" ? "Convidado" : "Assistente"}: ${m.content}`),
-    `Convidado: ${message}`,
-    `Assistente: ${reply}`,
-  ].join("\n");
-
-  const itemList = items.map((i) => `${i.id}: ${i.title}`).join("\n");
-  const contribList = myContributions.length > 0
-    ? myContributions.map((c) => `${c.id}: €${Number(c.amount).toFixed(2)} for "${c.item_title}"`).join("\n")
-    : "none";
-
-  const extractorMessages = [
-    {
-      role: "system" as const,
-      content: `You detect guest actions from a conversation. Respond ONLY with valid JSON on one line, or the word null.
+async function handleGetChatSessions(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  return jsonResponse(await listChatSessions(env.DB, event.id), 200, origin);
+}
 
-Available gift IDs:
-${itemList}
+async function handleGetChatTranscript(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  sessionId: string
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const session = await getChatSession(env.DB, event.id, sessionId);
+  if (!session) return jsonResponse({ error: "Chat session not found" }, 404, origin);
+  return jsonResponse({ ...session, messages: await chatTranscript(env.DB, session) }, 200, origin);
+}
 
-This guest's contribution IDs:
-${contribList}
+/**
+ * Give a guest (or, without guest_key, everyone) a fresh quota, sign-in
+ * attempts included. A guest's chat and contribution counts are also
+ * kept per IP address, so the addresses they last chatted and pledged
+ * from are cleared too.
+ */
+async function handleResetRateLimits(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const parsed = await parseBody(request, RATE_LIMIT_RESET_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const guestKey = parsed.values.guest_key;
+  if (!guestKey) {
+    return jsonResponse({ success: true, cleared: await clearRateLimits(env.DB, event.id) }, 200, origin);
+  }
+  const { results: ips } = await env.DB.prepare(
+    `SELECT ip FROM (
+       SELECT last_ip AS ip FROM chat_sessions
+       WHERE event_id = ?1 AND guest_key = ?2 AND last_ip IS NOT NULL
+       ORDER BY updated_at DESC LIMIT 1
+     )
+     UNION
+     SELECT ip FROM (
+       SELECT c.contributor_ip AS ip FROM contributions c JOIN items i ON c.item_id = i.id
+       WHERE i.event_id = ?1 AND c.guest_key = ?2 AND c.contributor_ip IS NOT NULL
+       ORDER BY c.created_at DESC LIMIT 1
+     )`
+  ).bind(event.id, guestKey).all<{ ip: string }>();
+  const cleared = await clearGuestRateLimits(env.DB, event.id, guestKey, ips.map((row) => row.ip));
+  return jsonResponse({ success: true, cleared }, 200, origin);
+}
 
-Rules — output exactly ONE of these formats or null:
+/**
+ * The reply as shown to the guest: minus stray markers, and a fallback
+ * if the model said nothing (models often call a tool without a word).
+ */
+function cleanChatReply(rawReply: string, actions: ChatActions): string {
+  // Strip any accidental marker the main AI may emit anyway
+  const reply = rawReply.replace(/\[CONTRIBUTION:[^\]]*\]/gs, "").trim();
+  if (reply) return reply;
+  return Object.values(actions).some(Boolean)
+    ? "Preparei um cartão de confirmação aqui em baixo. Confirma os dados, por favor!"
+    : "Estou com dificuldades em responder agora. Por favor tenta novamente!";
+}
 
-1. Guest wants to ADD a new contribution and has provided gift + name + amount:
-{"action":"contribute","item_id":<number>,"name":"<string>","amount":<number>,"message":"<string>"}
+/**
+ * Server-sent events for POST /api/chat: `token` events with the text
+ * as the model writes it, then one `done` event with the final reply
+ * and any action to confirm (or `error` if the model failed).
+ */
+async function streamChat(
+  writable: WritableStream<Uint8Array>,
+  produce: (send: (event: string, data: unknown) => Promise<void>) => Promise<void>
+): Promise<void> {
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = (event: string, data: unknown) =>
+    writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+  try {
+    await produce(send);
+  } catch (err) {
+    console.error("Chat stream failed:", err);
+    // The guest may have gone already, in which case there is no one to tell
+    await send("error", { error: "Estou com dificuldades em responder agora. Por favor tenta novamente!" })
+      .catch(() => {});
+  } finally {
+    await writer.close().catch(() => {});
+  }
+}
 
-2. Guest wants to CANCEL one of their existing contributions and has confirmed which one:
-{"action":"cancel","contribution_id":<number>,"item_title":"<string>","amount":<number>}
+/**
+ * A CompleteChat that streams: the model's text is sent on as `token`
+ * events while its tool calls are collected for runChatTurn.
+ */
+function streamingCompletion(env: Env, send: (event: string, data: unknown) => Promise<void>): CompleteChat {
+  let streamedText = false;
+  return async (messages, tools) => {
+    const stream = await env.AI.run(CHAT_MODEL as Parameters<typeof env.AI.run>[0], {
+      messages,
+      tools,
+      max_tokens: CHAT_MAX_TOKENS,
+      stream: true,
+    } as Parameters<typeof env.AI.run>[1]) as unknown as ReadableStream<Uint8Array>;
+    let text = "";
+    const calls: unknown[] = [];
+    for await (const data of aiStreamEvents(stream)) {
+      if (typeof data.response === "string" && data.response) {
+        // A new line between rounds, as in runChatTurn's reply
+        if (!text && streamedText) await send("token", { text: "\n" });
+        text += data.response;
+        streamedText = true;
+        await send("token", { text: data.response });
+      }
+      mergeToolCallDeltas(calls, data.tool_calls);
+    }
+    return { text, toolCalls: toolCalls({ tool_calls: calls }) };
+  };
+}
 
-3. Anything else (still collecting info, just chatting, asking questions):
-null
+/**
+ * The events of a Workers AI stream: `data: {"response":"…"}` lines
+ * (with `tool_calls` when the model calls a tool), ending with `data: [DONE]`.
+ */
+async function* aiStreamEvents(
+  stream: ReadableStream<Uint8Array>
+): AsyncGenerator<{ response?: unknown; tool_calls?: unknown }> {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      let event: unknown;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue;  // ignore keep-alives and partial lines
+      }
+      if (event && typeof event === "object") yield event;
+    }
+  }
+}
 
-Use "" for missing message. Never invent IDs. Output only the JSON or null.`,
-    },
-    {
-      role: "user" as const,
-      content: fullConversationText,
-    },
+async function handleAdminDeleteContribution(
+  request: Request,
+  env: Env,
+  ctx: ExecutionContext,
+  origin: string,
+  event: EventRow,
+  id: number
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const contribution = await env.DB.prepare(
+    `SELECT c.*, i.title AS item_title
+     FROM contributions c
+     JOIN items i ON c.item_id = i.id
+     WHERE c.id=? AND i.event_id=? AND c.deleted_at IS NULL`
+  ).bind(id, event.id).first<Contribution>();
+  if (!contribution) {
+    return jsonResponse({ error: "Not found" }, 404, origin);
+  }
+  // Soft delete (it can be restored from the trash). Matching on the
+  // status we read keeps a concurrent guest cancel from being subtracted
+  // twice; the audit entry and the subtraction follow only if it matched.
+  const stmts = [
+    env.DB.prepare(
+      "UPDATE contributions SET deleted_at = datetime('now') WHERE id=? AND status=? AND deleted_at IS NULL"
+    ).bind(id, contribution.status),
+    auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+      action: "contribution.delete",
+      entityId: id,
+      before: contribution,
+    }, { ifChanged: true }),
   ];
+  // A cancelled contribution was already subtracted when it was cancelled
+  if (contribution.status !== "cancelled") {
+    stmts.push(subtractContributionStmt(env, contribution.amount, contribution.item_id));
+  }
+  const [result] = await env.DB.batch(stmts);
+  if (!result.meta.changes) {
+    return jsonResponse({ error: "Not found" }, 404, origin);
+  }
+  await publishItem(env, event, contribution.item_id);
+  await publish(env, event, { type: "contributions" }, "admin");
+  // Deleting a live pledge takes it off the item's total, like a cancel
+  if (contribution.status !== "cancelled") {
+    await queueNotification(env.DB, env, ctx, event.id, {
+      kind: "contribution.cancelled",
+      event: { slug: event.slug, name: event.name },
+      contributor_name: contribution.contributor_name,
+      item_title: contribution.item_title ?? "",
+      amount: contribution.amount,
+      message: contribution.message,
+      reference: contribution.reference,
+    });
+  }
+  return jsonResponse({ success: true }, 200, origin);
+}
 
-  const extractorResponse = await env.AI.run(
-    "@cf/meta/llama-3-8b-instruct" as Parameters<typeof env.AI.run>[0],
-    { messages: extractorMessages, max_tokens: 100 }
-  );
+// --- Trash ("Lixo"): soft-deleted items and contributions ---
 
-  const extractorRaw =
-    (extractorResponse as { response?: string }).response ?? "null";
+async function handleGetTrash(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  // Contributions deleted along with an item are listed under the item;
+  // the contributions list only has the ones deleted on their own
+  const [{ results: items }, { results: contributions }] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT items.*,
+              (SELECT COUNT(*) FROM contributions c
+               WHERE c.item_id = items.id AND c.deleted_with_item = 1 AND c.status != 'cancelled')
+                AS contribution_count,
+              (SELECT COALESCE(SUM(c.amount), 0) FROM contributions c
+               WHERE c.item_id = items.id AND c.deleted_with_item = 1 AND c.status != 'cancelled')
+                AS contribution_total
+       FROM items
+       WHERE event_id = ? AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, id DESC`
+    ).bind(event.id),
+    env.DB.prepare(
+      `SELECT c.*, i.title AS item_title
+       FROM contributions c
+       JOIN items i ON c.item_id = i.id
+       WHERE i.event_id = ? AND c.deleted_at IS NOT NULL AND c.deleted_with_item = 0
+       ORDER BY c.deleted_at DESC, c.id DESC`
+    ).bind(event.id),
+  ]);
+  return jsonResponse({ items, contributions }, 200, origin);
+}
 
-  let contributionPending: {
-    item_id: number;
-    item_title: string;
-    name: string;
-    amount: number;
-    message: string;
-  } | null = null;
+async function handleRestoreItem(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  id: number
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const item = await env.DB.prepare("SELECT * FROM items WHERE id=? AND event_id=? AND deleted_at IS NOT NULL")
+    .bind(id, event.id)
+    .first<Item>();
+  if (!item) return jsonResponse({ error: "Not found" }, 404, origin);
 
-  let cancellationPending: {
-    contribution_id: number;
-    item_title: string;
-    amount: number;
-  } | null = null;
+  // Bring back the contributions deleted with the item and re-derive
+  // price_raised / is_funded from them
+  const batch = await env.DB.batch([
+    env.DB.prepare(
+      "UPDATE contributions SET deleted_at = NULL, deleted_with_item = 0 WHERE item_id = ? AND deleted_with_item = 1"
+    ).bind(id),
+    env.DB.prepare("UPDATE items SET deleted_at = NULL WHERE id = ?").bind(id),
+    recomputeItemStmt(env, id),
+    env.DB.prepare("SELECT * FROM items WHERE id = ?").bind(id),
+  ]);
+  const restored = (batch[3].results as Item[])[0];
+  await auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+    action: "item.restore",
+    entityId: id,
+    before: item,
+    after: restored,
+  }).run();
+  await publish(env, event, { type: "items" });
+  await publish(env, event, { type: "contributions" }, "admin");
+  return jsonResponse(
+    { success: true, item: restored, restored_contributions: batch[0].meta.changes },
+    200,
+    origin
+  );
+}
 
-  try {
-    const jsonMatch = extractorRaw.match(/\{[\s\S]*?\}/);
-    if (jsonMatch) {
-      const data = JSON.parse(jsonMatch[0]) as {
-        action?: string;
-        item_id?: number;
-        name?: string;
-        amount?: number;
-        message?: string;
-        contribution_id?: number;
-        item_title?: string;
-      };
-
-      if (data.action === "contribute") {
-        const item = items.find((i) => i.id === Number(data.item_id));
-        if (item && data.name && Number(data.amount) > 0 && !item.is_funded) {
-          contributionPending = {
-            item_id: item.id,
-            item_title: item.title,
-            name: String(data.name),
-            amount: Number(data.amount),
-            message: String(data.message ?? ""),
-          };
-        }
-      } else if (data.action === "cancel") {
-        const existing = myContributions.find((c) => c.id === Number(data.contribution_id));
-        if (existing) {
-          cancellationPending = {
-            contribution_id: existing.id,
-            item_title: existing.item_title ?? String(data.item_title ?? ""),
-            amount: existing.amount,
-          };
-        }
-      }
-    }
-  } catch {
-    // ignore parse errors
+async function handleRestoreContribution(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  id: number
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const contribution = await env.DB.prepare(
+    `SELECT c.*, i.title AS item_title, i.deleted_at AS item_deleted_at
+     FROM contributions c
+     JOIN items i ON c.item_id = i.id
+     WHERE c.id = ? AND i.event_id = ? AND c.deleted_at IS NOT NULL`
+  ).bind(id, event.id).first<Contribution & { item_deleted_at: string | null }>();
+  if (!contribution) return jsonResponse({ error: "Not found" }, 404, origin);
+  if (contribution.item_deleted_at) {
+    return jsonResponse({ error: "The item is in the trash; restore the item first" }, 409, origin);
   }
 
-  return jsonResponse({ reply, contribution_pending: contributionPending, cancellation_pending: cancellationPending }, 200, origin);
+  const { item_deleted_at: _, ...before } = contribution;
+  const batch = await env.DB.batch([
+    env.DB.prepare("UPDATE contributions SET deleted_at = NULL WHERE id = ?").bind(id),
+    recomputeItemStmt(env, contribution.item_id),
+    env.DB.prepare("SELECT * FROM items WHERE id = ?").bind(contribution.item_id),
+  ]);
+  const item = (batch[2].results as Item[])[0];
+  await auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+    action: "contribution.restore",
+    entityId: id,
+    before,
+    after: { ...before, deleted_at: null },
+  }).run();
+  await publishItem(env, event, contribution.item_id);
+  await publish(env, event, { type: "contributions" }, "admin");
+  // Restoring can take an item past its target; the admin panel warns about it
+  return jsonResponse({ success: true, item }, 200, origin);
 }
 
-async function handleAdminDeleteContribution(
+/** Delete an item in the trash for good, with all of its contributions. */
+async function handlePurgeItem(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  id: number
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const item = await env.DB.prepare("SELECT * FROM items WHERE id=? AND event_id=? AND deleted_at IS NOT NULL")
+    .bind(id, event.id)
+    .first<Item>();
+  if (!item) return jsonResponse({ error: "Not found" }, 404, origin);
+  const { results: contributions } = await env.DB.prepare(
+    "SELECT * FROM contributions WHERE item_id=? ORDER BY id"
+  ).bind(id).all<Contribution>();
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM items WHERE id=? AND deleted_at IS NOT NULL").bind(id),
+    auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+      action: "item.purge",
+      entityId: id,
+      before: { ...item, contributions },
+    }),
+  ]);
+  return jsonResponse({ success: true }, 200, origin);
+}
+
+/** Delete a contribution in the trash for good. */
+async function handlePurgeContribution(
   request: Request,
   env: Env,
   origin: string,
+  event: EventRow,
   id: number
 ): Promise<Response> {
-  if (!isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
   const contribution = await env.DB.prepare(
-    "SELECT id, item_id, amount FROM contributions WHERE id=?"
-  ).bind(id).first<{ id: number; item_id: number; amount: number }>();
-  if (!contribution) {
+    `SELECT c.*, i.title AS item_title
+     FROM contributions c
+     JOIN items i ON c.item_id = i.id
+     WHERE c.id = ? AND i.event_id = ? AND c.deleted_at IS NOT NULL`
+  ).bind(id, event.id).first<Contribution>();
+  if (!contribution) return jsonResponse({ error: "Not found" }, 404, origin);
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM contributions WHERE id=? AND deleted_at IS NOT NULL").bind(id),
+    auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+      action: "contribution.purge",
+      entityId: id,
+      before: contribution,
+    }),
+  ]);
+  return jsonResponse({ success: true }, 200, origin);
+}
+
+async function handleSetContributionStatus(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  id: number
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const parsed = await parseBody(request, CONTRIBUTION_STATUS_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const body = parsed.values;
+  const existing = await env.DB.prepare(
+    `SELECT c.*, i.title AS item_title
+     FROM contributions c
+     JOIN items i ON c.item_id = i.id
+     WHERE c.id = ? AND i.event_id = ? AND c.status != 'cancelled' AND c.deleted_at IS NULL`
+  ).bind(id, event.id).first<Contribution>();
+  if (!existing) {
     return jsonResponse({ error: "Not found" }, 404, origin);
   }
-  await env.DB.batch([
-    env.DB.prepare("DELETE FROM contributions WHERE id=?").bind(id),
+  const [result] = await env.DB.batch([
     env.DB.prepare(
-      `UPDATE items SET price_raised = MAX(0, price_raised - ?), is_funded = 0 WHERE id=?`
-    ).bind(contribution.amount, contribution.item_id),
+      `UPDATE contributions SET
+         status = ?,
+         paid_at = CASE WHEN ? = 'paid' THEN COALESCE(paid_at, datetime('now')) ELSE NULL END
+       WHERE id = ? AND status != 'cancelled' AND deleted_at IS NULL`
+    ).bind(body.status, body.status, id),
+    auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+      action: "contribution.status",
+      entityId: id,
+      before: existing,
+      after: { ...existing, status: body.status },
+    }, { ifChanged: true }),
   ]);
-  return jsonResponse({ success: true }, 200, origin);
+  if (!result.meta.changes) {
+    return jsonResponse({ error: "Not found" }, 404, origin);
+  }
+  // price_confirmed (the "pago" part of the progress bar) follows the status
+  await publishItem(env, event, existing.item_id);
+  await publish(env, event, { type: "contributions" }, "admin");
+  return jsonResponse({ success: true, status: body.status }, 200, origin);
+}
+
+async function handleGetSettings(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  return jsonResponse(await getSettings(env.DB, event.id), 200, origin);
+}
+
+async function handleUpdateSettings(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  // Settings are checked against the SETTINGS table rather than a schema
+  const json = await readJson(request);
+  if ("errors" in json) return validationResponse(json.errors, origin);
+  if (!json.body || typeof json.body !== "object" || Array.isArray(json.body)) {
+    return validationResponse({ body: "body must be an object" }, origin);
+  }
+  const parsed = parseSettings(json.body as Record<string, unknown>);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+
+  await saveSettings(env.DB, event.id, parsed.values);
+  return jsonResponse(await getSettings(env.DB, event.id), 200, origin);
+}
+
+/** Public event details (date, venue, family) for the guest page. */
+async function handleGetEvent(env: Env, origin: string, event: EventRow): Promise<Response> {
+  const settings = await getSettings(env.DB, event.id);
+  const calendar = calendarEvent(event.name, settings);
+  return jsonResponse({
+    slug: event.slug,
+    name: event.name,
+    ...publicSettings(settings),
+    google_calendar_url: calendar ? googleCalendarUrl(calendar) : null,
+  }, 200, origin);
+}
+
+/** The event as a calendar file for the hero's "Adicionar ao calendário" button. */
+async function handleGetEventIcs(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  const calendar = calendarEvent(event.name, await getSettings(env.DB, event.id));
+  if (!calendar) return jsonResponse({ error: "A data do evento ainda não foi definida." }, 404, origin);
+  const uid = `event-${event.id}@${new URL(request.url).hostname}`;
+  return new Response(toIcs(calendar, uid), {
+    status: 200,
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${event.slug}.ics"`,
+      "Access-Control-Expose-Headers": "Content-Disposition",
+      ...corsHeaders(origin),
+    },
+  });
 }
 
 async function handleAdminAuth(
   request: Request,
   env: Env,
-  origin: string
+  origin: string,
+  event: EventRow
 ): Promise<Response> {
-  const ip = request.headers.get("CF-Connecting-IP") ?? "unknown";
-  const day = new Date().toISOString().slice(0, 10);
-  const row = await env.DB.prepare(
-    "SELECT count FROM chat_rate_limit WHERE ip=? AND day=?"
-  ).bind(`admin:${ip}`, day).first<{ count: number }>();
-  const attempts = row?.count ?? 0;
-  if (attempts >= 10) {
-    return jsonResponse({ error: "Too many attempts. Try again tomorrow." }, 429, origin);
-  }
-  const body = (await request.json()) as { password?: string };
-  if (body.password === env.ADMIN_PASSWORD) {
-    // Reset counter on success
-    await env.DB.prepare(
-      "DELETE FROM chat_rate_limit WHERE ip=? AND day=?"
-    ).bind(`admin:${ip}`, day).run();
-    return jsonResponse({ success: true }, 200, origin);
+  // Every attempt is counted before the password is checked, so parallel
+  // guesses can't slip past the limit together; signing in forgives
+  // them. They are counted across events: the owner's password works on
+  // every one
+  const limits = rateLimitRules(await getSettings(env.DB, event.id), "admin-auth", { guestKey: null, ip: getIP(request) });
+  const retryAfter = await takeRateLimit(env.DB, ALL_EVENTS, limits);
+  if (retryAfter !== null) {
+    return rateLimitedResponse("Too many attempts. Try again later.", retryAfter, origin);
+  }
+  const parsed = await parseBody(request, PASSWORD_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const password = parsed.values.password ?? "";
+  // The ADMIN_PASSWORD secret signs in the deployment owner (every
+  // event); an event's own admin password only grants that event
+  let evt: number | null | undefined;
+  if (env.ADMIN_PASSWORD && (await safeEqual(password, env.ADMIN_PASSWORD))) {
+    evt = null;
+  } else if (event.admin_password_hash && (await verifyPassword(password, event.admin_password_hash))) {
+    evt = event.id;
+  }
+  if (evt !== undefined) {
+    await clearRateLimits(env.DB, ALL_EVENTS, { scope: "admin-auth", subject: limits[0].subject });
+    return jsonResponse({ success: true, ...(await issueAdminTokens(env, evt)) }, 200, origin);
   }
-  // Increment failed attempt counter
-  await env.DB.prepare(
-    "INSERT INTO chat_rate_limit (ip, day, count) VALUES (?, ?, 1) ON CONFLICT(ip, day) DO UPDATE SET count = count + 1"
-  ).bind(`admin:${ip}`, day).run();
   return jsonResponse({ error: "Incorrect password" }, 401, origin);
 }
 
-async function handleReorderItems(
+async function handleRecomputeTotals(
   request: Request,
   env: Env,
-  origin: string
+  origin: string,
+  event: EventRow
 ): Promise<Response> {
-  if (!isAdmin(request, env)) {
+  if (!(await isAdmin(request, env, event))) {
     return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
-  const body = (await request.json()) as { order: { id: number; sort_order: number }[] };
-  if (!Array.isArray(body?.order)) {
-    return jsonResponse({ error: "Invalid payload" }, 400, origin);
+  const { results } = await env.DB.prepare(
+    `SELECT id, title, price_total, price_raised, is_funded, ${CONTRIBUTED_SUM_SQL} AS contributed
+     FROM items WHERE event_id = ? AND deleted_at IS NULL`
+  ).bind(event.id).all<Pick<Item, "id" | "title" | "price_total" | "price_raised" | "is_funded"> & { contributed: number }>();
+
+  // Only touch items that drifted, so manual "funded" flags on the rest survive
+  const drifted = results.filter(
+    (item) => Math.abs(item.price_raised - item.contributed) > AMOUNT_EPSILON
+  );
+  if (drifted.length > 0) {
+    await env.DB.batch(drifted.map((item) => recomputeItemStmt(env, item.id)));
+    await publish(env, event, { type: "items" });
   }
-  const stmts = body.order.map(({ id, sort_order }) =>
-    env.DB.prepare("UPDATE items SET sort_order = ? WHERE id = ?").bind(sort_order, id)
+
+  return jsonResponse(
+    {
+      success: true,
+      checked: results.length,
+      repaired: drifted.map((item) => ({
+        id: item.id,
+        title: item.title,
+        price_raised_before: item.price_raised,
+        price_raised_after: roundCents(item.contributed),
+      })),
+    },
+    200,
+    origin
   );
-  if (stmts.length > 0) await env.DB.batch(stmts);
+}
+
+async function handleAdminSchema(
+  request: Request,
+  env: Env,
+  origin: string
+): Promise<Response> {
+  // Signature-only check: the revocation table may not exist yet when
+  // the database is behind, which is exactly when this route matters.
+  const token = bearerToken(request);
+  const claims = token ? await verifySession(env.SESSION_SECRET, token) : null;
+  if (claims?.role !== "admin" || claims.typ !== "access") {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const status = await checkSchema(env.DB);
+  return jsonResponse(status, status.ok ? 200 : 503, origin);
+}
+
+async function handleReorderItems(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const parsed = await parseBody(request, REORDER_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const order = parsed.values.order;
+  if (order.length === 0) return jsonResponse({ ok: true }, 200, origin);
+  const { results: before } = await env.DB.prepare(
+    "SELECT id, title, sort_order FROM items WHERE event_id = ? AND deleted_at IS NULL ORDER BY sort_order, id"
+  ).bind(event.id).all<Pick<Item, "id" | "title" | "sort_order">>();
+  await env.DB.batch([
+    ...order.map(({ id, sort_order }) =>
+      env.DB.prepare("UPDATE items SET sort_order = ? WHERE id = ? AND event_id = ?").bind(sort_order, id, event.id)
+    ),
+    auditStmt(env.DB, event.id, await auditActor(request, env, event), {
+      action: "item.reorder",
+      entityId: null,
+      before,
+      after: order,
+    }),
+  ]);
+  await publish(env, event, { type: "items" });
   return jsonResponse({ ok: true }, 200, origin);
 }
 
+/**
+ * Read a body up to maxBytes, counting the bytes as they arrive rather
+ * than trusting Content-Length (chunked responses have none). Stops and
+ * cancels the stream once past the cap; `overflow` says whether it was.
+ */
+async function readLimited(
+  body: ReadableStream<Uint8Array> | null,
+  maxBytes: number
+): Promise<{ bytes: Uint8Array; overflow: boolean }> {
+  if (!body) return { bytes: new Uint8Array(0), overflow: false };
+  const reader = body.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  while (size <= maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  await reader.cancel().catch(() => {});
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return { bytes: bytes.subarray(0, maxBytes), overflow: size > maxBytes };
+}
+
+/** Read at most maxBytes of a response body as text. */
+async function readTextLimited(res: Response, maxBytes: number): Promise<string> {
+  const { bytes } = await readLimited(res.body, maxBytes);
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Fetch a shop's product page and return a draft item for the admin's
+ * item modal (see product-metadata.ts). Nothing is saved.
+ */
+async function handleProductMetadata(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const parsed = await parseBody(request, PRODUCT_METADATA_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const pageUrl = parsed.values.url;
+
+  let res: Response;
+  try {
+    res = await fetch(pageUrl, {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (compatible; BabyShowerRegistry/1.0)",
+        "Accept": "text/html,application/xhtml+xml",
+        "Accept-Language": "pt-PT,pt;q=0.9,en;q=0.8",
+      },
+      redirect: "follow",
+      signal: AbortSignal.timeout(PRODUCT_FETCH_TIMEOUT),
+    });
+  } catch (err) {
+    console.error("Product fetch error:", err);
+    return jsonResponse({ error: "Could not reach the product page" }, 502, origin);
+  }
+  if (!res.ok) {
+    return jsonResponse({ error: `The product page returned HTTP ${res.status}` }, 502, origin);
+  }
+  if (!/html/i.test(res.headers.get("Content-Type") ?? "")) {
+    return jsonResponse({ error: "The link is not a web page" }, 422, origin);
+  }
+
+  const metadata = parseProductMetadata(await readTextLimited(res, MAX_PRODUCT_PAGE_BYTES), res.url || pageUrl);
+  return jsonResponse(
+    {
+      draft: {
+        title: sanitise(metadata.title, MAX_GENERIC_STRING),
+        description: sanitise(metadata.description, MAX_GENERIC_STRING),
+        image_url: sanitise(metadata.image_url, MAX_GENERIC_STRING),
+        product_url: sanitise(metadata.product_url, MAX_GENERIC_STRING),
+        price_total: metadata.price,
+      },
+      currency: metadata.currency,
+    },
+    200,
+    origin
+  );
+}
+
+/** Store an uploaded image in R2; the returned url can be used as an item's image_url. */
+async function handleUploadImage(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const contentType = (request.headers.get("Content-Type") ?? "").split(";")[0].trim().toLowerCase();
+  if (!IMAGE_TYPES[contentType]) {
+    return jsonResponse({ error: "Only JPEG, PNG, WebP and GIF images can be uploaded" }, 415, origin);
+  }
+  if (Number(request.headers.get("Content-Length") ?? 0) > MAX_UPLOAD_BYTES) {
+    return jsonResponse({ error: "Image too large (at most 5 MB)" }, 413, origin);
+  }
+  const { bytes: data, overflow } = await readLimited(request.body, MAX_UPLOAD_BYTES);
+  if (data.byteLength === 0) return jsonResponse({ error: "Empty upload" }, 400, origin);
+  if (overflow) {
+    return jsonResponse({ error: "Image too large (at most 5 MB)" }, 413, origin);
+  }
+
+  const key = newImageKey(event.id, contentType);
+  await env.IMAGES.put(key, data, {
+    httpMetadata: { contentType, cacheControl: UPLOADED_IMAGE_CACHE },
+  });
+  const url = `${new URL(request.url).origin}/api/images/${key}`;
+  return jsonResponse({ key, url }, 201, origin);
+}
+
+/** Serve an uploaded image from R2 (public, cached for good). */
+async function handleGetImage(request: Request, env: Env, origin: string, key: string): Promise<Response> {
+  const object = await env.IMAGES.get(key);
+  if (!object) return jsonResponse({ error: "Image not found" }, 404, origin);
+
+  const headers = new Headers(corsHeaders(origin));
+  object.writeHttpMetadata(headers);
+  headers.set("ETag", object.httpEtag);
+  headers.set("Cache-Control", UPLOADED_IMAGE_CACHE);
+  if (request.headers.get("If-None-Match") === object.httpEtag) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(object.body, { headers });
+}
+
+/**
+ * An item's image, resized to ?w= and cached at the edge. Uploaded
+ * images come straight from R2; retailer images are fetched through
+ * Cloudflare's image resizing (where the zone has it enabled — without
+ * it the original is passed through) and cached for a day, keyed on
+ * the image URL so editing an item's image takes effect at once.
+ */
+async function handleItemImage(
+  request: Request,
+  env: Env,
+  ctx: ExecutionContext,
+  origin: string,
+  event: EventRow,
+  id: number,
+  requestedWidth: string | null
+): Promise<Response> {
+  if (isNaN(id)) return jsonResponse({ error: "Invalid ID" }, 400, origin);
+  const item = await env.DB.prepare("SELECT image_url FROM items WHERE id=? AND event_id=? AND deleted_at IS NULL")
+    .bind(id, event.id)
+    .first<Pick<Item, "image_url">>();
+  if (!item?.image_url) return jsonResponse({ error: "Image not found" }, 404, origin);
+
+  const key = uploadedImageKey(item.image_url);
+  if (key) return handleGetImage(request, env, origin, key);
+  if (!/^https?:\/\//i.test(item.image_url)) {
+    return jsonResponse({ error: "Image not found" }, 404, origin);
+  }
+
+  const width = snapWidth(requestedWidth);
+  const cacheKey = new Request(
+    `${new URL(request.url).origin}/api/image-cache/${event.id}/${id}?w=${width}&src=${encodeURIComponent(item.image_url)}`
+  );
+  const cache = caches.default;
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  let upstream: Response;
+  try {
+    upstream = await fetch(item.image_url, {
+      headers: { Accept: "image/avif,image/webp,image/*;q=0.8" },
+      cf: { image: { width, fit: "scale-down" }, cacheTtl: 86400 },
+      signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT),
+    });
+  } catch (err) {
+    console.error("Image fetch error:", err);
+    return jsonResponse({ error: "Could not fetch the image" }, 502, origin);
+  }
+  const contentType = upstream.headers.get("Content-Type") ?? "";
+  if (!upstream.ok || !contentType.startsWith("image/")) {
+    return jsonResponse({ error: "Could not fetch the image" }, 502, origin);
+  }
+  if (Number(upstream.headers.get("Content-Length") ?? 0) > MAX_PROXIED_BYTES) {
+    await upstream.body?.cancel();
+    return jsonResponse({ error: "Image too large" }, 502, origin);
+  }
+  const { bytes, overflow } = await readLimited(upstream.body, MAX_PROXIED_BYTES);
+  if (overflow) return jsonResponse({ error: "Image too large" }, 502, origin);
+
+  const response = new Response(bytes, {
+    headers: {
+      "Content-Type": contentType,
+      "Cache-Control": PROXIED_IMAGE_CACHE,
+      ...corsHeaders(origin),
+    },
+  });
+  ctx.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
+
+/**
+ * The shared guest password of an event: its own hashed password, or
+ * for the default event the GUEST_PASSWORD secret.
+ */
+async function isGuestPassword(env: Env, event: EventRow, password: string): Promise<boolean> {
+  if (event.guest_password_hash) return verifyPassword(password, event.guest_password_hash);
+  if (event.id === DEFAULT_EVENT_ID && env.GUEST_PASSWORD) {
+    return safeEqual(password, env.GUEST_PASSWORD);
+  }
+  return false;
+}
+
 async function handleGuestAuth(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  // Every attempt is counted before it is checked, so parallel guesses
+  // can't slip past the limit together; signing in forgives them
+  const limits = rateLimitRules(await getSettings(env.DB, event.id), "guest-auth", { guestKey: null, ip: getIP(request) });
+  const retryAfter = await takeRateLimit(env.DB, event.id, limits);
+  if (retryAfter !== null) {
+    return rateLimitedResponse(`Demasiadas tentativas. ${retryLater(retryAfter)}`, retryAfter, origin);
+  }
+  const parsed = await parseBody(request, GUEST_AUTH_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const body = parsed.values;
+
+  // Personal invite link
+  if (body.invite) {
+    const invite = await findInvite(env, event.id, body.invite);
+    if (invite) {
+      await clearRateLimits(env.DB, event.id, { scope: "guest-auth", subject: limits[0].subject });
+      await env.DB.prepare(
+        `UPDATE invites SET
+           first_seen_at = COALESCE(first_seen_at, datetime('now')),
+           last_seen_at = datetime('now')
+         WHERE id=?`
+      ).bind(invite.id).run();
+      return jsonResponse(
+        { success: true, label: invite.label, ...(await issueGuestToken(env, event, { inviteId: invite.id })) },
+        200,
+        origin
+      );
+    }
+    return jsonResponse({ error: "Convite inválido ou revogado" }, 401, origin);
+  }
+
+  if (await isGuestPassword(env, event, body.password ?? "")) {
+    await clearRateLimits(env.DB, event.id, { scope: "guest-auth", subject: limits[0].subject });
+    return jsonResponse(
+      { success: true, ...(await issueGuestToken(env, event, { deviceKey: deviceKey(body.guest_key) })) },
+      200,
+      origin
+    );
+  }
+  return jsonResponse({ error: "Palavra-passe incorreta" }, 401, origin);
+}
+
+async function handleAdminRefresh(
   request: Request,
   env: Env,
   origin: string
 ): Promise<Response> {
-  const ip = request.headers.get("CF-Connecting-IP") ?? "unknown";
-  const day = new Date().toISOString().slice(0, 10);
-  const row = await env.DB.prepare(
-    "SELECT count FROM chat_rate_limit WHERE ip=? AND day=?"
-  ).bind(`guest:${ip}`, day).first<{ count: number }>();
-  const attempts = row?.count ?? 0;
-  if (attempts >= 10) {
-    return jsonResponse({ error: "Too many attempts. Try again tomorrow." }, 429, origin);
-  }
-  const body = (await request.json()) as { password?: string };
-  if (body.password === env.GUEST_PASSWORD) {
-    await env.DB.prepare(
-      "DELETE FROM chat_rate_limit WHERE ip=? AND day=?"
-    ).bind(`guest:${ip}`, day).run();
-    return jsonResponse({ success: true }, 200, origin);
+  const parsed = await parseBody(request, REFRESH_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const body = parsed.values;
+  const claims = body.refresh_token
+    ? await verifySession(env.SESSION_SECRET, body.refresh_token)
+    : null;
+  if (
+    !claims ||
+    claims.role !== "admin" ||
+    claims.typ !== "refresh" ||
+    (await isSessionRevoked(env, claims.jti))
+  ) {
+    return jsonResponse({ error: "Sessão expirada" }, 401, origin);
+  }
+  // Rotate: each refresh token can only be used once
+  await revokeSession(env, claims);
+  // (refresh tokens without an event predate multi-event support and belong to the owner)
+  return jsonResponse({ success: true, ...(await issueAdminTokens(env, claims.evt ?? null)) }, 200, origin);
+}
+
+async function handleLogout(
+  request: Request,
+  env: Env,
+  origin: string
+): Promise<Response> {
+  const session = await getSession(request, env);
+  if (session) await revokeSession(env, session);
+
+  // Admins also hand in their refresh token so a reload can't resurrect the session
+  // (a missing or malformed body still logs the access token out)
+  const parsed = await parseBody(request, REFRESH_SCHEMA);
+  const refreshToken = "errors" in parsed ? undefined : parsed.values.refresh_token;
+  if (refreshToken) {
+    const refresh = await verifySession(env.SESSION_SECRET, refreshToken);
+    if (refresh?.typ === "refresh") await revokeSession(env, refresh);
+  }
+  return jsonResponse({ success: true }, 200, origin);
+}
+
+async function handleGetInvites(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const { results } = await env.DB.prepare(
+    `SELECT inv.*,
+            COUNT(c.id) AS contribution_count,
+            COALESCE(SUM(c.amount), 0) AS contribution_total
+     FROM invites inv
+     LEFT JOIN contributions c ON c.invite_id = inv.id AND c.deleted_at IS NULL
+     WHERE inv.event_id = ?
+     GROUP BY inv.id
+     ORDER BY inv.revoked_at IS NOT NULL, inv.created_at DESC`
+  ).bind(event.id).all<Invite & { contribution_count: number; contribution_total: number }>();
+  return jsonResponse(results, 200, origin);
+}
+
+async function handleCreateInvite(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const parsed = await parseBody(request, INVITE_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const label = parsed.values.label;
+  const token = randomId();
+  const result = await env.DB.prepare(
+    "INSERT INTO invites (event_id, token, label) VALUES (?, ?, ?)"
+  ).bind(event.id, token, label).run();
+  return jsonResponse({ id: result.meta.last_row_id, token, label }, 201, origin);
+}
+
+async function handleRevokeInvite(
+  request: Request,
+  env: Env,
+  origin: string,
+  event: EventRow,
+  id: number
+): Promise<Response> {
+  if (!(await isAdmin(request, env, event))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  if (isNaN(id)) return jsonResponse({ error: "Invalid ID" }, 400, origin);
+  const result = await env.DB.prepare(
+    "UPDATE invites SET revoked_at = datetime('now') WHERE id=? AND event_id=? AND revoked_at IS NULL"
+  ).bind(id, event.id).run();
+  if (!result.meta.changes) {
+    return jsonResponse({ error: "Invite not found" }, 404, origin);
+  }
+  return jsonResponse({ success: true }, 200, origin);
+}
+
+async function handleGetEvents(
+  request: Request,
+  env: Env,
+  origin: string
+): Promise<Response> {
+  if (!(await isOwner(request, env))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM events ORDER BY id ASC"
+  ).all<EventRow>();
+  return jsonResponse(results.map(eventSummary), 200, origin);
+}
+
+/**
+ * The password hash to store for a validated body field: undefined
+ * leaves it unchanged, null or "" removes it.
+ */
+async function passwordHash(value: string | null | undefined): Promise<string | null | undefined> {
+  if (value === undefined) return undefined;
+  return value ? hashPassword(value) : null;
+}
+
+async function handleCreateEvent(
+  request: Request,
+  env: Env,
+  origin: string
+): Promise<Response> {
+  if (!(await isOwner(request, env))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
+  }
+  const parsed = await parseBody(request, EVENT_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const { slug, name } = parsed.values;
+
+  const existing = await findEventBySlug(env.DB, slug);
+  if (existing) return jsonResponse({ error: "An event with this slug already exists" }, 409, origin);
+
+  const result = await env.DB.prepare(
+    "INSERT INTO events (slug, name, admin_password_hash, guest_password_hash) VALUES (?, ?, ?, ?)"
+  ).bind(
+    slug,
+    name,
+    (await passwordHash(parsed.values.admin_password)) ?? null,
+    (await passwordHash(parsed.values.guest_password)) ?? null
+  ).run();
+  const event = await findEventById(env.DB, Number(result.meta.last_row_id));
+  return jsonResponse(eventSummary(event!), 201, origin);
+}
+
+async function handleUpdateEvent(
+  request: Request,
+  env: Env,
+  origin: string,
+  slug: string
+): Promise<Response> {
+  if (!(await isOwner(request, env))) {
+    return jsonResponse({ error: "Unauthorized" }, 401, origin);
   }
+  const event = await findEventBySlug(env.DB, slug);
+  if (!event) return jsonResponse({ error: "Event not found" }, 404, origin);
+
+  const parsed = await parseBody(request, EVENT_UPDATE_SCHEMA);
+  if ("errors" in parsed) return validationResponse(parsed.errors, origin);
+  const body = parsed.values;
+  if (body.name === "") return validationResponse({ name: "name is required" }, origin);
+  const adminHash = await passwordHash(body.admin_password);
+  const guestHash = await passwordHash(body.guest_password);
+
   await env.DB.prepare(
-    "INSERT INTO chat_rate_limit (ip, day, count) VALUES (?, ?, 1) ON CONFLICT(ip, day) DO UPDATE SET count = count + 1"
-  ).bind(`guest:${ip}`, day).run();
-  return jsonResponse({ error: "Palavra-passe incorreta" }, 401, origin);
+    "UPDATE events SET name=?, admin_password_hash=?, guest_password_hash=? WHERE id=?"
+  ).bind(
+    body.name ?? event.name,
+    adminHash !== undefined ? adminHash : event.admin_password_hash,
+    guestHash !== undefined ? guestHash : event.guest_password_hash,
+    event.id
+  ).run();
+  return jsonResponse(eventSummary((await findEventById(env.DB, event.id))!), 200, origin);
 }
 
 // =============================================================
 // Main fetch handler
 // =============================================================
 
+// Durable Object classes must be exported from the main module
+export { RegistryHub } from "./live";
+
 export default {
-  async fetch(request: Request, env: Env): Promise<Response> {
+  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
     const url = new URL(request.url);
     const { pathname } = url;
     const method = request.method.toUpperCase();
@@ -770,51 +2788,219 @@ export default {
     }
 
     try {
+      // --- Schema status (admin, works even when the DB is behind) ---
+      if (method === "GET" && pathname === "/api/admin/schema") {
+        return await handleAdminSchema(request, env, origin);
+      }
+
+      // Refuse to serve against a database that is missing migrations
+      const schema = await ensureSchema(env.DB);
+      if (schema) {
+        return jsonResponse(
+          {
+            error: schema.pending.length > 0
+              ? "Database schema is out of date. Run the pending migrations."
+              : "Database schema is missing columns. See the README on upgrading from schema.sql.",
+            pending: schema.pending,
+            missing_columns: schema.missing_columns,
+          },
+          503,
+          origin
+        );
+      }
+
+      // --- Uploaded images (public; keys are unguessable) ---
+      const imageMatch = pathname.match(/^\/api\/images\/(.+)$/);
+      if (method === "GET" && imageMatch && IMAGE_KEY_PATTERN.test(imageMatch[1])) {
+        return await handleGetImage(request, env, origin, imageMatch[1]);
+      }
+
+      // --- Events (deployment owner) ---
+      if (method === "GET" && pathname === "/api/admin/events") {
+        return await handleGetEvents(request, env, origin);
+      }
+      if (method === "POST" && pathname === "/api/admin/events") {
+        return await handleCreateEvent(request, env, origin);
+      }
+      const eventAdminMatch = pathname.match(/^\/api\/admin\/events\/([^/]+)$/);
+      if (method === "PUT" && eventAdminMatch) {
+        return await handleUpdateEvent(request, env, origin, decodePathSegment(eventAdminMatch[1]));
+      }
+
+      // Everything below belongs to one event: /api/events/:slug/...,
+      // or the default event for the original /api/... routes
+      const { slug, path } = parseEventPath(pathname);
+      const event = slug
+        ? await findEventBySlug(env.DB, slug)
+        : await findEventById(env.DB, DEFAULT_EVENT_ID);
+      if (!event) return jsonResponse({ error: "Event not found" }, 404, origin);
+
+      // --- Live updates (WebSocket) ---
+      if (method === "GET" && path === "/api/live") {
+        return await handleLive(request, env, origin, event);
+      }
+
       // --- Items (public read, admin write) ---
-      if (method === "GET" && pathname === "/api/items") {
-        return await handleGetItems(env, origin);
+      if (method === "GET" && path === "/api/items") {
+        return await handleGetItems(env, origin, event);
+      }
+      if (method === "POST" && path === "/api/items") {
+        return await handleCreateItem(request, env, origin, event);
       }
-      if (method === "POST" && pathname === "/api/items") {
-        return await handleCreateItem(request, env, origin);
+      if (method === "PUT" && /^\/api\/items\/\d+$/.test(path)) {
+        return await handleUpdateItem(request, env, origin, event, extractId(path));
       }
-      if (method === "PUT" && /^\/api\/items\/\d+$/.test(pathname)) {
-        return await handleUpdateItem(request, env, origin, extractId(pathname));
+      if (method === "DELETE" && /^\/api\/items\/\d+$/.test(path)) {
+        return await handleDeleteItem(request, env, origin, event, extractId(path));
       }
-      if (method === "DELETE" && /^\/api\/items\/\d+$/.test(pathname)) {
-        return await handleDeleteItem(request, env, origin, extractId(pathname));
+      if (method === "POST" && path === "/api/items/import") {
+        const dryRun = ["1", "true"].includes(url.searchParams.get("dry_run") ?? "");
+        return await handleImportItems(request, env, origin, event, dryRun);
       }
-      if (method === "PATCH" && pathname === "/api/items/reorder") {
-        return await handleReorderItems(request, env, origin);
+      if (method === "PATCH" && path === "/api/items/reorder") {
+        return await handleReorderItems(request, env, origin, event);
+      }
+      if (method === "GET" && /^\/api\/items\/\d+\/image$/.test(path)) {
+        const id = extractId(path.replace(/\/image$/, ""));
+        return await handleItemImage(request, env, ctx, origin, event, id, url.searchParams.get("w"));
+      }
+      if (method === "POST" && path === "/api/admin/images") {
+        return await handleUploadImage(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/admin/product-metadata") {
+        return await handleProductMetadata(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/admin/recompute-totals") {
+        return await handleRecomputeTotals(request, env, origin, event);
       }
 
       // --- Contributions (guest/admin write, admin read) ---
-      if (method === "GET" && pathname === "/api/contributions") {
-        return await handleGetContributions(request, env, origin);
+      if (method === "GET" && path === "/api/contributions") {
+        return await handleGetContributions(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/contributions") {
+        return await handleCreateContribution(request, env, ctx, origin, event);
+      }
+      if (method === "DELETE" && /^\/api\/contributions\/\d+$/.test(path)) {
+        return await handleAdminDeleteContribution(request, env, ctx, origin, event, extractId(path));
+      }
+      if (method === "PATCH" && /^\/api\/contributions\/\d+\/status$/.test(path)) {
+        return await handleSetContributionStatus(request, env, origin, event, extractId(path.replace(/\/status$/, "")));
       }
-      if (method === "POST" && pathname === "/api/contributions") {
-        return await handleCreateContribution(request, env, origin);
+      if (method === "GET" && path === "/api/admin/trash") {
+        return await handleGetTrash(request, env, origin, event);
       }
-      if (method === "DELETE" && /^\/api\/contributions\/\d+$/.test(pathname)) {
-        return await handleAdminDeleteContribution(request, env, origin, extractId(pathname));
+      const trashMatch = path.match(/^\/api\/admin\/trash\/(items|contributions)\/(\d+)(\/restore)?$/);
+      if (trashMatch && method === "POST" && trashMatch[3]) {
+        const id = Number(trashMatch[2]);
+        return trashMatch[1] === "items"
+          ? await handleRestoreItem(request, env, origin, event, id)
+          : await handleRestoreContribution(request, env, origin, event, id);
       }
-      if (method === "GET" && pathname === "/api/my-contributions") {
-        return await handleGetMyContributions(request, env, origin);
+      if (trashMatch && method === "DELETE" && !trashMatch[3]) {
+        const id = Number(trashMatch[2]);
+        return trashMatch[1] === "items"
+          ? await handlePurgeItem(request, env, origin, event, id)
+          : await handlePurgeContribution(request, env, origin, event, id);
       }
-      if (method === "DELETE" && /^\/api\/my-contributions\/\d+$/.test(pathname)) {
-        return await handleDeleteMyContribution(request, env, origin, extractId(pathname));
+      if (method === "GET" && path === "/api/admin/export") {
+        return await handleExport(request, env, origin, event, url.searchParams);
+      }
+      if (method === "GET" && path === "/api/admin/audit") {
+        return await handleGetAudit(request, env, origin, event, url.searchParams);
+      }
+      if (method === "GET" && path === "/api/my-contributions") {
+        return await handleGetMyContributions(request, env, origin, event);
+      }
+      if (method === "GET" && path === "/api/my-contributions/claim") {
+        return await handleGetUnclaimedContributions(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/my-contributions/claim") {
+        return await handleClaimContributions(request, env, origin, event);
+      }
+      if (method === "DELETE" && /^\/api\/my-contributions\/\d+$/.test(path)) {
+        return await handleDeleteMyContribution(request, env, ctx, origin, event, extractId(path));
+      }
+
+      // --- RSVP (guest; admin list) ---
+      if (method === "GET" && path === "/api/rsvp") {
+        return await handleGetRsvp(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/rsvp") {
+        return await handleSaveRsvp(request, env, origin, event);
+      }
+      if (method === "GET" && path === "/api/admin/rsvps") {
+        return await handleGetRsvps(request, env, origin, event);
+      }
+
+      // --- Thank-you notes (admin) ---
+      if (method === "GET" && path === "/api/admin/thanks") {
+        return await handleGetThankYous(request, env, origin, event, url.searchParams);
+      }
+      const thanksMatch = path.match(/^\/api\/admin\/thanks\/([^/]+)(\/draft)?$/);
+      if (thanksMatch && method === "PUT" && !thanksMatch[2]) {
+        return await handleUpdateThankYou(request, env, origin, event, decodePathSegment(thanksMatch[1]));
+      }
+      if (thanksMatch && method === "POST" && thanksMatch[2]) {
+        return await handleDraftThankYou(request, env, origin, event, decodePathSegment(thanksMatch[1]));
       }
 
       // --- Chat (guest/admin only, rate limited) ---
-      if (method === "POST" && pathname === "/api/chat") {
-        return await handleChat(request, env, origin);
+      if (method === "POST" && path === "/api/chat") {
+        return await handleChat(request, env, ctx, origin, event);
+      }
+      const chatSessionMatch = path.match(/^\/api\/chat\/sessions\/([A-Za-z0-9_-]+)$/);
+      if (method === "GET" && chatSessionMatch) {
+        return await handleGetChatSession(request, env, origin, event, chatSessionMatch[1]);
+      }
+      if (method === "GET" && path === "/api/admin/chats") {
+        return await handleGetChatSessions(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/admin/rate-limits/reset") {
+        return await handleResetRateLimits(request, env, origin, event);
+      }
+      const chatTranscriptMatch = path.match(/^\/api\/admin\/chats\/([A-Za-z0-9_-]+)$/);
+      if (method === "GET" && chatTranscriptMatch) {
+        return await handleGetChatTranscript(request, env, origin, event, chatTranscriptMatch[1]);
       }
 
       // --- Auth ---
-      if (method === "POST" && pathname === "/api/admin/auth") {
-        return await handleAdminAuth(request, env, origin);
+      if (method === "POST" && path === "/api/admin/auth") {
+        return await handleAdminAuth(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/admin/refresh") {
+        return await handleAdminRefresh(request, env, origin);
+      }
+      if (method === "POST" && path === "/api/guest/auth") {
+        return await handleGuestAuth(request, env, origin, event);
       }
-      if (method === "POST" && pathname === "/api/guest/auth") {
-        return await handleGuestAuth(request, env, origin);
+      if (method === "POST" && path === "/api/auth/logout") {
+        return await handleLogout(request, env, origin);
+      }
+
+      // --- Event details (public) and settings (admin) ---
+      if (method === "GET" && path === "/api/event") {
+        return await handleGetEvent(env, origin, event);
+      }
+      if (method === "GET" && path === "/api/event.ics") {
+        return await handleGetEventIcs(request, env, origin, event);
+      }
+      if (method === "GET" && path === "/api/admin/settings") {
+        return await handleGetSettings(request, env, origin, event);
+      }
+      if (method === "PUT" && path === "/api/admin/settings") {
+        return await handleUpdateSettings(request, env, origin, event);
+      }
+
+      // --- Invites (admin) ---
+      if (method === "GET" && path === "/api/admin/invites") {
+        return await handleGetInvites(request, env, origin, event);
+      }
+      if (method === "POST" && path === "/api/admin/invites") {
+        return await handleCreateInvite(request, env, origin, event);
+      }
+      if (method === "DELETE" && /^\/api\/admin\/invites\/\d+$/.test(path)) {
+        return await handleRevokeInvite(request, env, origin, event, extractId(path));
       }
 
       return jsonResponse({ error: "Not Found" }, 404, origin);
@@ -823,4 +3009,11 @@ export default {
       return jsonResponse({ error: "Internal Server Error" }, 500, origin);
     }
   },
+
+  // Cron trigger (see wrangler.toml): retry failed notifications and
+  // drop rate-limit windows that no longer count
+  async scheduled(_controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    ctx.waitUntil(retryNotifications(env.DB, env));
+    ctx.waitUntil(cleanupRateLimits(env.DB));
+  },
 };
@@ -0,0 +1,88 @@
+// =============================================================
+// Live updates
+// One RegistryHub Durable Object per event holds the open WebSockets
+// of everyone looking at that event's pages (GET /api/live). The
+// Worker calls broadcast() after every change to items or
+// contributions; guests get item progress, admins also get the
+// contribution rows. Sockets use the hibernation API, so an idle hub
+// costs nothing between messages.
+// =============================================================
+
+import { DurableObject } from "cloudflare:workers";
+
+/** Who a socket belongs to: "admin" sockets also receive contribution rows. */
+export type Audience = "public" | "admin";
+
+export type LiveMessage =
+  | { type: "item"; item: unknown }           // progress of one item changed
+  | { type: "items" }                         // the list itself changed: reload it
+  | { type: "contribution"; contribution: unknown }  // new pledge (admin only)
+  | { type: "contributions" }                 // other contribution changes (admin only)
+  | { type: "rsvps" };                        // an RSVP was saved (admin only)
+
+export class RegistryHub extends DurableObject {
+  /** Accept a WebSocket upgrade forwarded by the Worker (already authorised). */
+  async fetch(request: Request): Promise<Response> {
+    if (request.headers.get("Upgrade")?.toLowerCase() !== "websocket") {
+      return new Response("Expected a WebSocket upgrade", { status: 426 });
+    }
+    const audience: Audience = new URL(request.url).searchParams.get("audience") === "admin" ? "admin" : "public";
+    const { 0: client, 1: server } = new WebSocketPair();
+    // Keep-alive pings are answered without waking the object
+    this.ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair("ping", "pong"));
+    this.ctx.acceptWebSocket(server, [audience]);
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  /** Send a message to every socket of the audience (admin sockets get public messages too). */
+  async broadcast(message: LiveMessage, audience: Audience): Promise<void> {
+    const data = JSON.stringify(message);
+    const sockets = audience === "admin" ? this.ctx.getWebSockets("admin") : this.ctx.getWebSockets();
+    for (const ws of sockets) {
+      try {
+        ws.send(data);
+      } catch {
+        // Already closing; webSocketClose() tidies up
+      }
+    }
+  }
+
+  async webSocketMessage(): Promise<void> {
+    // Clients only listen (pings are auto-answered)
+  }
+
+  async webSocketClose(ws: WebSocket, code: number): Promise<void> {
+    // 1005/1006 are reserved and can't be echoed back
+    ws.close(code === 1005 || code === 1006 ? 1000 : code, "closing");
+  }
+}
+
+/**
+ * Push a message to an event's hub. Failures are logged and swallowed:
+ * live updates are a convenience and must never fail the change that
+ * triggered them.
+ */
+export async function broadcast(
+  hubs: DurableObjectNamespace<RegistryHub>,
+  eventId: number,
+  message: LiveMessage,
+  audience: Audience = "public"
+): Promise<void> {
+  try {
+    await hubs.get(hubs.idFromName(String(eventId))).broadcast(message, audience);
+  } catch (err) {
+    console.error("Live broadcast failed:", err);
+  }
+}
+
+/** Forward a WebSocket upgrade to an event's hub. */
+export function connect(
+  hubs: DurableObjectNamespace<RegistryHub>,
+  eventId: number,
+  request: Request,
+  audience: Audience
+): Promise<Response> {
+  const url = new URL(request.url);
+  url.search = `?audience=${audience}`;
+  return hubs.get(hubs.idFromName(String(eventId))).fetch(new Request(url.toString(), request));
+}
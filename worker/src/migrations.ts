@@ -0,0 +1,88 @@
+// =============================================================
+// Schema version check
+// The SQL files in worker/migrations/ are applied by wrangler
+// (`npm run db:migrate`), which records each one in the
+// schema_migrations table. The Worker refuses to serve until every
+// migration it was built against has been applied, and every column
+// below exists.
+// =============================================================
+
+/**
+ * Every migration this build of the Worker expects, in order.
+ * Append the file name here whenever a new file is added to migrations/.
+ */
+export const MIGRATIONS: readonly string[] = [
+  "0001_initial.sql",
+  "0002_invites.sql",
+  "0003_sessions.sql",
+  "0004_contribution_owner.sql",
+  "0005_contribution_status.sql",
+  "0006_payment_references.sql",
+  "0007_event_settings.sql",
+  "0008_events.sql",
+  "0009_audit_log.sql",
+  "0010_soft_delete.sql",
+  "0011_notifications.sql",
+  "0012_rsvps.sql",
+  "0013_thank_yous.sql",
+  "0014_chat_sessions.sql",
+  "0015_rate_limits.sql",
+  "0016_chat_session_ip.sql",
+];
+
+/**
+ * Columns that 0001_initial.sql's CREATE TABLE IF NOT EXISTS cannot
+ * add to a table adopted from the old schema.sql. Later migrations add
+ * theirs with ALTER TABLE, so only these can be missing.
+ */
+const ADOPTED_COLUMNS: Record<string, string[]> = {
+  contributions: ["contributor_ip"],
+};
+
+export interface SchemaStatus {
+  ok: boolean;
+  applied: string[];
+  pending: string[];
+  /** "table.column" for each adopted column that is not there. */
+  missing_columns: string[];
+}
+
+async function missingColumns(db: D1Database): Promise<string[]> {
+  const tables = Object.keys(ADOPTED_COLUMNS);
+  const results = await db.batch(tables.map((table) =>
+    db.prepare("SELECT name FROM pragma_table_info(?)").bind(table)
+  )) as D1Result<{ name: string }>[];
+  return tables.flatMap((table, i) => {
+    const present = new Set(results[i].results.map((row) => row.name));
+    return ADOPTED_COLUMNS[table].filter((column) => !present.has(column)).map((column) => `${table}.${column}`);
+  });
+}
+
+/** Compare the applied migrations in D1 with the ones this build expects. */
+export async function checkSchema(db: D1Database): Promise<SchemaStatus> {
+  let applied: string[] = [];
+  try {
+    const { results } = await db
+      .prepare("SELECT name FROM schema_migrations ORDER BY id ASC")
+      .all<{ name: string }>();
+    applied = results.map((r) => r.name);
+  } catch {
+    // schema_migrations does not exist yet — nothing has been applied
+  }
+  const pending = MIGRATIONS.filter((name) => !applied.includes(name));
+  // Before 0001 the tables may not exist at all; that is a pending migration
+  const missing = applied.includes(MIGRATIONS[0]) ? await missingColumns(db) : [];
+  return { ok: pending.length === 0 && missing.length === 0, applied, pending, missing_columns: missing };
+}
+
+// Once the schema is known to be current it stays current for the
+// lifetime of this isolate (a deploy is needed to expect a newer one).
+let schemaVerified = false;
+
+/** Cached variant of checkSchema() for the request hot path. */
+export async function ensureSchema(db: D1Database): Promise<SchemaStatus | null> {
+  if (schemaVerified) return null;
+  const status = await checkSchema(db);
+  if (status.ok) schemaVerified = true;
+  return status.ok ? null : status;
+}
@@ -0,0 +1,227 @@
+// =============================================================
+// Notifications
+// Tell the parents when a contribution is pledged or cancelled. The
+// NOTIFIER variable picks the adapter (webhook, email, telegram or
+// mock); leaving it unset turns notifications off. Each notification
+// is written to the notifications table first, with that channel, and
+// sent in the background; failed sends stay pending and the cron
+// trigger (retryNotifications) tries them again with backoff, through
+// the channel they were queued for even if NOTIFIER has changed since.
+// =============================================================
+
+export interface NotifyEnv {
+  NOTIFIER?: string;
+  // webhook: JSON POST of the notification
+  NOTIFY_WEBHOOK_URL?: string;
+  // email: an HTTP email API taking { from, to, subject, text } with a bearer key (Resend by default)
+  NOTIFY_EMAIL_API_URL?: string;
+  NOTIFY_EMAIL_API_KEY?: string;
+  NOTIFY_EMAIL_FROM?: string;
+  NOTIFY_EMAIL_TO?: string;  // comma-separated
+  // telegram: a bot and the chat (or group) it posts to
+  NOTIFY_TELEGRAM_BOT_TOKEN?: string;
+  NOTIFY_TELEGRAM_CHAT_ID?: string;
+  // mock: "1" makes every send fail, to exercise the retries
+  NOTIFY_MOCK_FAIL?: string;
+}
+
+export type NotificationKind = "contribution.created" | "contribution.cancelled";
+
+export interface Notification {
+  kind: NotificationKind;
+  event: { slug: string; name: string };
+  contributor_name: string;
+  item_title: string;
+  amount: number;
+  message: string;
+  reference: string | null;
+}
+
+interface NotificationRow {
+  id: number;
+  channel: string;
+  attempts: number;
+  payload_json: string;
+}
+
+interface Adapter {
+  send(notification: Notification): Promise<void>;
+}
+
+const DEFAULT_EMAIL_API_URL = "https://api.resend.com/emails";
+// Minutes to wait after the 1st, 2nd, … failed attempt; after the last one the row is marked failed
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 360];
+const RETRY_BATCH_SIZE = 20;
+const KEEP_DAYS = 30;  // sent and failed rows are deleted after this
+const MAX_ERROR_LENGTH = 500;
+
+/** Messages the mock adapter has "sent" in this isolate, oldest first. */
+export const mockOutbox: Notification[] = [];
+
+// -------------------------------------------------------------
+// Adapters
+// -------------------------------------------------------------
+
+function setting(env: NotifyEnv, name: keyof NotifyEnv): string {
+  const value = env[name]?.trim();
+  if (!value) throw new Error(`${name} is not set`);
+  return value;
+}
+
+async function expectOk(res: Response, service: string): Promise<void> {
+  if (res.ok) return;
+  const body = await res.text().catch(() => "");
+  throw new Error(`${service} responded ${res.status}: ${body.slice(0, 200)}`);
+}
+
+const ADAPTERS: Record<string, (env: NotifyEnv) => Adapter> = {
+  webhook: (env) => ({
+    async send(notification) {
+      const res = await fetch(setting(env, "NOTIFY_WEBHOOK_URL"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...notification, text: notificationText(notification).text }),
+      });
+      await expectOk(res, "Webhook");
+    },
+  }),
+
+  email: (env) => ({
+    async send(notification) {
+      const { subject, text } = notificationText(notification);
+      const res = await fetch(env.NOTIFY_EMAIL_API_URL?.trim() || DEFAULT_EMAIL_API_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${setting(env, "NOTIFY_EMAIL_API_KEY")}`,
+        },
+        body: JSON.stringify({
+          from: setting(env, "NOTIFY_EMAIL_FROM"),
+          to: setting(env, "NOTIFY_EMAIL_TO").split(",").map((to) => to.trim()).filter(Boolean),
+          subject,
+          text,
+        }),
+      });
+      await expectOk(res, "Email API");
+    },
+  }),
+
+  telegram: (env) => ({
+    async send(notification) {
+      // The token is part of the URL, so errors only quote the response
+      const token = setting(env, "NOTIFY_TELEGRAM_BOT_TOKEN");
+      const res = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          chat_id: setting(env, "NOTIFY_TELEGRAM_CHAT_ID"),
+          text: notificationText(notification).text,
+        }),
+      });
+      await expectOk(res, "Telegram");
+    },
+  }),
+
+  mock: (env) => ({
+    async send(notification) {
+      if (env.NOTIFY_MOCK_FAIL === "1") throw new Error("Mock notifier set to fail (NOTIFY_MOCK_FAIL)");
+      mockOutbox.push(notification);
+      console.log("[notify:mock]", notificationText(notification).text);
+    },
+  }),
+};
+
+function adapterFor(env: NotifyEnv, channel: string): Adapter {
+  const create = ADAPTERS[channel];
+  if (!create) throw new Error(`Unknown NOTIFIER "${channel}" (expected ${Object.keys(ADAPTERS).join(", ")})`);
+  return create(env);
+}
+
+/** Subject and plain-text body, in Portuguese for the parents. */
+export function notificationText(notification: Notification): { subject: string; text: string } {
+  const amount = `€${notification.amount.toFixed(2)}`;
+  const created = notification.kind === "contribution.created";
+  const subject = created
+    ? `Nova contribuição: ${amount} para ${notification.item_title}`
+    : `Contribuição cancelada: ${amount} para ${notification.item_title}`;
+  const lines = [
+    created
+      ? `${notification.contributor_name} prometeu ${amount} para «${notification.item_title}».`
+      : `A contribuição de ${amount} de ${notification.contributor_name} para «${notification.item_title}» foi cancelada.`,
+    notification.message && `Mensagem: "${notification.message}"`,
+    notification.reference && `Referência: ${notification.reference}`,
+    `Evento: ${notification.event.name}`,
+  ];
+  return { subject, text: lines.filter(Boolean).join("\n") };
+}
+
+// -------------------------------------------------------------
+// Outbox
+// -------------------------------------------------------------
+
+/**
+ * Store a notification and send it in the background. Does nothing
+ * when NOTIFIER is unset; errors are logged, never thrown, so the
+ * contribution that triggered it always goes through.
+ */
+export async function queueNotification(
+  db: D1Database,
+  env: NotifyEnv,
+  ctx: ExecutionContext,
+  eventId: number,
+  notification: Notification
+): Promise<void> {
+  const channel = env.NOTIFIER?.trim();
+  if (!channel) return;
+  try {
+    // The first retry is due a minute out, so the cron can't pick the
+    // row up while the immediate attempt below is still running
+    const row = await db.prepare(
+      `INSERT INTO notifications (event_id, channel, kind, payload_json, next_attempt_at)
+       VALUES (?, ?, ?, ?, datetime('now', '+1 minutes'))
+       RETURNING id, channel, attempts, payload_json`
+    ).bind(eventId, channel, notification.kind, JSON.stringify(notification)).first<NotificationRow>();
+    if (row) ctx.waitUntil(deliver(db, env, row));
+  } catch (err) {
+    console.error("Queueing notification failed:", err);
+  }
+}
+
+/** One send attempt; records success, or the error and when to try again. */
+async function deliver(db: D1Database, env: NotifyEnv, row: NotificationRow): Promise<void> {
+  const attempts = row.attempts + 1;
+  try {
+    await adapterFor(env, row.channel).send(JSON.parse(row.payload_json) as Notification);
+    await db.prepare(
+      "UPDATE notifications SET status='sent', attempts=?, last_error=NULL, sent_at=datetime('now') WHERE id=?"
+    ).bind(attempts, row.id).run();
+  } catch (err) {
+    const delay = RETRY_DELAYS_MINUTES[attempts - 1];
+    console.error(`Notification ${row.id} attempt ${attempts} failed:`, err);
+    await db.prepare(
+      `UPDATE notifications SET status=?, attempts=?, last_error=?, next_attempt_at=datetime('now', ?)
+       WHERE id=?`
+    ).bind(
+      delay === undefined ? "failed" : "pending",
+      attempts,
+      String(err).slice(0, MAX_ERROR_LENGTH),
+      `+${delay ?? 0} minutes`,
+      row.id
+    ).run();
+  }
+}
+
+/** Cron trigger: retry the notifications that are due and forget old ones. */
+export async function retryNotifications(db: D1Database, env: NotifyEnv): Promise<void> {
+  const { results } = await db.prepare(
+    `SELECT id, channel, attempts, payload_json FROM notifications
+     WHERE status='pending' AND next_attempt_at <= datetime('now')
+     ORDER BY next_attempt_at LIMIT ?`
+  ).bind(RETRY_BATCH_SIZE).all<NotificationRow>();
+  for (const row of results) {
+    await deliver(db, env, row);
+  }
+  await db.prepare(
+    "DELETE FROM notifications WHERE status != 'pending' AND created_at < datetime('now', ?)"
+  ).bind(`-${KEEP_DAYS} days`).run();
+}
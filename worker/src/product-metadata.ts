@@ -0,0 +1,209 @@
+// =============================================================
+// Product metadata
+// Pulls a gift's name, image, description and price out of a shop's
+// product page, from JSON-LD `Product` data first, schema.org
+// microdata second and Open Graph / standard meta tags last. Pure
+// string parsing with no DOM and no network, so it runs the same in
+// the Worker and against the saved pages in fixtures/product-pages.
+// =============================================================
+
+export interface ProductMetadata {
+  title: string | null;
+  description: string | null;
+  image_url: string | null;
+  product_url: string;       // canonical URL when the page declares one
+  price: number | null;
+  currency: string | null;   // ISO 4217, e.g. "EUR"
+}
+
+type Json = Record<string, unknown>;
+
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  euro: "€", eacute: "é", aacute: "á", iacute: "í", oacute: "ó", uacute: "ú",
+  atilde: "ã", otilde: "õ", ccedil: "ç", acirc: "â", ecirc: "ê", ocirc: "ô", agrave: "à",
+};
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code: string) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/** Collapse whitespace; empty strings become null. */
+function clean(value: unknown): string | null {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const text = decodeEntities(String(value)).replace(/\s+/g, " ").trim();
+  return text || null;
+}
+
+/** Resolve a possibly relative URL against the page; only http(s) is kept. */
+function absoluteUrl(value: unknown, base: string): string | null {
+  const text = clean(value);
+  if (!text) return null;
+  try {
+    const url = new URL(text, base);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseAmount(text: string): number | null {
+  const digits = text.replace(/[^\d.,]/g, "");
+  if (!/\d/.test(digits)) return null;
+  const decimal = digits.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? digits.slice(0, decimal.index) : digits).replace(/[.,]/g, "");
+  const amount = Number(decimal ? `${whole}.${decimal[1]}` : whole);
+  return isFinite(amount) ? amount : null;
+}
+
+/**
+ * Read a price written either way round: "1299.99", "1.299,99",
+ * "1,299.99" or "63,9 €". The last separator is the decimal one when
+ * one or two digits follow it; otherwise it groups thousands. A range
+ * ("€19,99 – €29,99", "19,99 a 29,99") gives its lower bound, as
+ * AggregateOffer's lowPrice does.
+ */
+export function parsePrice(value: unknown): number | null {
+  if (typeof value === "number") return isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== "string") return null;
+  const amounts = value
+    .split(/\s*[–—-]\s*|\s+(?:to|a|até)\s+/i)
+    .map(parseAmount)
+    .filter((amount): amount is number => amount !== null);
+  return amounts.length > 0 ? Math.min(...amounts) : null;
+}
+
+/** Attributes of one tag, e.g. `<meta property="og:title" content="…">`. */
+function tagAttributes(tag: string): Record<string, string> {
+  const attrs: Record<string, string> = {};
+  for (const match of tag.matchAll(/([a-zA-Z_:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attrs[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5] ?? "";
+  }
+  return attrs;
+}
+
+/** <meta> values keyed by lower-case property/name (first occurrence wins). */
+function metaTags(html: string): Map<string, string> {
+  const tags = new Map<string, string>();
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = tagAttributes(tag);
+    const key = (attrs.property ?? attrs.name)?.toLowerCase();
+    if (key && attrs.content !== undefined && !tags.has(key)) tags.set(key, attrs.content);
+  }
+  return tags;
+}
+
+/**
+ * itemprop values from the page's schema.org Product onwards, keyed
+ * by lower-case name (first occurrence wins). A value is the tag's
+ * content, src or href, or else its text when it has no child tags.
+ */
+function microdata(html: string): Map<string, string> {
+  const props = new Map<string, string>();
+  const start = html.search(/itemtype\s*=\s*["']?https?:\/\/schema\.org\/Product\b/i);
+  if (start < 0) return props;
+  const scope = html.slice(html.lastIndexOf("<", start));
+  for (const match of scope.matchAll(/<([a-z][a-z0-9]*)\b([^>]*\bitemprop\s*=[^>]*)>(?:([^<]*)<\/\1>)?/gi)) {
+    const attrs = tagAttributes(match[2]);
+    const key = attrs.itemprop?.toLowerCase();
+    const value = attrs.content ?? attrs.src ?? attrs.href ?? match[3];
+    if (key && value?.trim() && !props.has(key)) props.set(key, value);
+  }
+  return props;
+}
+
+function canonicalLink(html: string): string | null {
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const attrs = tagAttributes(tag);
+    if (attrs.rel?.toLowerCase().split(/\s+/).includes("canonical")) return attrs.href ?? null;
+  }
+  return null;
+}
+
+/** Every JSON-LD node on the page, flattening arrays and @graph. */
+function jsonLdNodes(html: string): Json[] {
+  const nodes: Json[] = [];
+  const visit = (value: unknown) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== "object") return;
+    nodes.push(value as Json);
+    visit((value as Json)["@graph"]);
+  };
+  const scripts = html.matchAll(/<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi);
+  for (const [, body] of scripts) {
+    try {
+      visit(JSON.parse(body.trim()));
+    } catch {
+      // Shops do ship broken JSON-LD; the meta tags may still do
+    }
+  }
+  return nodes;
+}
+
+function isProduct(node: Json): boolean {
+  const type = node["@type"];
+  return Array.isArray(type) ? type.includes("Product") : type === "Product";
+}
+
+/** image may be a URL, a list of URLs or an ImageObject. */
+function firstImage(value: unknown): unknown {
+  if (Array.isArray(value)) return firstImage(value[0]);
+  if (value && typeof value === "object") return (value as Json).url ?? (value as Json).contentUrl;
+  return value;
+}
+
+/** Price and currency from a Product's offers (Offer, AggregateOffer or a list). */
+function offerPrice(offers: unknown): { price: number | null; currency: string | null } {
+  const list = Array.isArray(offers) ? offers : [offers];
+  for (const offer of list) {
+    if (!offer || typeof offer !== "object") continue;
+    const o = offer as Json;
+    const spec = (Array.isArray(o.priceSpecification) ? o.priceSpecification[0] : o.priceSpecification) as Json | undefined;
+    const price = parsePrice(o.price ?? o.lowPrice ?? spec?.price);
+    if (price !== null) {
+      return { price, currency: clean(o.priceCurrency ?? spec?.priceCurrency)?.toUpperCase() ?? null };
+    }
+  }
+  return { price: null, currency: null };
+}
+
+/** Extract what the item modal needs from a product page's HTML. */
+export function parseProductMetadata(html: string, pageUrl: string): ProductMetadata {
+  const product = jsonLdNodes(html).find(isProduct);
+  const item = microdata(html);
+  const meta = metaTags(html);
+  const titleTag = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const offer = offerPrice(product?.offers);
+
+  const price =
+    offer.price ??
+    parsePrice(item.get("price") ?? item.get("lowprice")) ??
+    parsePrice(meta.get("product:price:amount") ?? meta.get("og:price:amount"));
+  const currency =
+    offer.currency ??
+    clean(item.get("pricecurrency") ?? meta.get("product:price:currency") ?? meta.get("og:price:currency"))?.toUpperCase() ??
+    null;
+
+  return {
+    title:
+      clean(product?.name) ?? clean(item.get("name")) ?? clean(meta.get("og:title")) ??
+      clean(meta.get("twitter:title")) ?? clean(titleTag),
+    description:
+      clean(product?.description) ?? clean(item.get("description")) ??
+      clean(meta.get("og:description")) ?? clean(meta.get("description")),
+    image_url:
+      absoluteUrl(firstImage(product?.image), pageUrl) ??
+      absoluteUrl(item.get("image"), pageUrl) ??
+      absoluteUrl(meta.get("og:image"), pageUrl) ??
+      absoluteUrl(meta.get("twitter:image"), pageUrl),
+    product_url: absoluteUrl(canonicalLink(html) ?? meta.get("og:url"), pageUrl) ?? pageUrl,
+    price,
+    currency,
+  };
+}
@@ -0,0 +1,223 @@
+// =============================================================
+// Rate limiting
+// Sliding-window limits for chat messages, new contributions and
+// failed sign-ins, counted in the D1 chat_rate_limit table. Each
+// rule counts one subject (a guest, an IP address) in one scope;
+// the limits come from the event's settings ("30/1h"), falling back
+// to RATE_LIMIT_DEFAULTS. Admin sign-ins are the exception: the
+// owner's password works on every event, so they are counted across
+// events (under ALL_EVENTS) at the default limit. Windows are
+// approximated the usual way: the previous fixed window's count,
+// weighted by how much of it still overlaps, plus the current one's.
+// Old rows are deleted by the cron trigger (cleanupRateLimits).
+// =============================================================
+
+import type { Settings } from "./settings";
+
+export type RateLimitScope = "chat" | "contribution" | "guest-auth" | "admin-auth";
+
+/** At most `limit` hits in any `window` seconds. */
+export interface RateLimit {
+  limit: number;
+  window: number;
+}
+
+export interface RateLimitRule {
+  scope: RateLimitScope;
+  /** The guest's key, or "ip:1.2.3.4". */
+  subject: string;
+  rate: RateLimit;
+}
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 } as const;
+const MAX_LIMIT = 100_000;
+const MAX_WINDOW = 7 * 86400;
+
+// Used while a setting is empty. Sign-ins have no identity yet, so
+// attempts are counted per IP (and forgiven on success).
+export const RATE_LIMIT_DEFAULTS = {
+  rate_limit_chat: "30/1h",
+  rate_limit_chat_ip: "60/1h",
+  rate_limit_contribution: "10/1h",
+  rate_limit_contribution_ip: "20/1h",
+  rate_limit_auth_ip: "10/1d",
+} as const;
+
+type RateLimitSetting = keyof typeof RATE_LIMIT_DEFAULTS;
+
+/** The event_id of counts shared by every event (admin sign-ins). */
+export const ALL_EVENTS = 0;
+
+/** "30/1h" → 30 hits per 3600 s; null when malformed or out of range. */
+export function parseRateLimit(value: string): RateLimit | null {
+  const match = value.replace(/\s+/g, "").toLowerCase().match(/^(\d+)\/(\d*)([smhd])$/);
+  if (!match) return null;
+  const limit = Number(match[1]);
+  const window = Number(match[2] || 1) * UNIT_SECONDS[match[3] as keyof typeof UNIT_SECONDS];
+  if (limit < 1 || limit > MAX_LIMIT || window < 1 || window > MAX_WINDOW) return null;
+  return { limit, window };
+}
+
+/** Settings normaliser: the canonical "30/1h" spelling, or null. */
+export function normaliseRateLimit(value: string): string | null {
+  const compact = value.replace(/\s+/g, "").toLowerCase();
+  if (!parseRateLimit(compact)) return null;
+  return compact.replace(/\/([smhd])$/, "/1$1");
+}
+
+function setting(settings: Settings, key: RateLimitSetting): RateLimit {
+  return parseRateLimit(settings[key]) ?? (parseRateLimit(RATE_LIMIT_DEFAULTS[key]) as RateLimit);
+}
+
+/**
+ * The rules for one request: per guest and per IP for chat and
+ * contributions (the admin is not limited), per IP for sign-ins.
+ * Admin sign-ins ignore the event's settings, which that event's own
+ * admin could loosen to guess the owner's password.
+ */
+export function rateLimitRules(
+  settings: Settings,
+  scope: RateLimitScope,
+  caller: { guestKey: string | null; ip: string }
+): RateLimitRule[] {
+  const ip = `ip:${caller.ip}`;
+  switch (scope) {
+    case "chat":
+    case "contribution":
+      if (!caller.guestKey) return [];
+      return [
+        { scope, subject: caller.guestKey, rate: setting(settings, `rate_limit_${scope}`) },
+        { scope, subject: ip, rate: setting(settings, `rate_limit_${scope}_ip`) },
+      ];
+    case "guest-auth":
+      return [{ scope, subject: ip, rate: setting(settings, "rate_limit_auth_ip") }];
+    case "admin-auth":
+      return [{ scope, subject: ip, rate: parseRateLimit(RATE_LIMIT_DEFAULTS.rate_limit_auth_ip) as RateLimit }];
+  }
+}
+
+// -------------------------------------------------------------
+// Counting
+// -------------------------------------------------------------
+
+interface Window {
+  start: number;     // unix seconds, a multiple of the window length
+  elapsed: number;   // seconds into the current window
+}
+
+function currentWindow(rate: RateLimit, now: number): Window {
+  const seconds = Math.floor(now / 1000);
+  const start = seconds - (seconds % rate.window);
+  return { start, elapsed: seconds - start };
+}
+
+/** Seconds until one more hit fits under the rule, or 0 if it fits now. */
+function waitFor(rate: RateLimit, { elapsed }: Window, previous: number, current: number): number {
+  const { limit, window } = rate;
+  if (previous * (window - elapsed) / window + current < limit) return 0;
+  if (current >= limit) {
+    // Into the next window, until this one's weight has dropped far enough
+    return window - elapsed + Math.max(0, window * (1 - limit / current));
+  }
+  return window * (1 - (limit - current) / previous) - elapsed;
+}
+
+function hitStatement(db: D1Database, eventId: number, rule: RateLimitRule, { start }: Window): D1PreparedStatement {
+  return db.prepare(
+    `INSERT INTO chat_rate_limit (event_id, scope, subject, window_start, count, expires_at)
+     VALUES (?, ?, ?, ?, 1, ?)
+     ON CONFLICT(event_id, scope, subject, window_start) DO UPDATE SET count = count + 1`
+  ).bind(eventId, rule.scope, rule.subject, start, start + 2 * rule.rate.window);
+}
+
+function countStatement(db: D1Database, eventId: number, rule: RateLimitRule, { start }: Window): D1PreparedStatement {
+  return db.prepare(
+    `SELECT window_start, count FROM chat_rate_limit
+     WHERE event_id = ? AND scope = ? AND subject = ? AND window_start IN (?, ?)`
+  ).bind(eventId, rule.scope, rule.subject, start, start - rule.rate.window);
+}
+
+/**
+ * Count one hit against every rule, unless that takes any of them
+ * over its limit. Returns how long the caller must wait, in seconds
+ * (for Retry-After), or null when the hit was counted. The hits are
+ * recorded and then counted in one batch (a transaction), so
+ * concurrent requests each see the others' and can't all slip in
+ * under the limit; a refused hit is taken back afterwards.
+ */
+export async function takeRateLimit(
+  db: D1Database,
+  eventId: number,
+  rules: RateLimitRule[],
+  now = Date.now()
+): Promise<number | null> {
+  if (rules.length === 0) return null;
+  const windows = rules.map((rule) => currentWindow(rule.rate, now));
+  const results = await db.batch([
+    ...rules.map((rule, i) => hitStatement(db, eventId, rule, windows[i])),
+    ...rules.map((rule, i) => countStatement(db, eventId, rule, windows[i])),
+  ]) as D1Result<{ window_start: number; count: number }>[];
+
+  let wait = 0;
+  rules.forEach((rule, i) => {
+    const counts = results[rules.length + i].results;
+    // Whether this hit fitted: the counts as they were before it
+    const current = (counts.find((row) => row.window_start === windows[i].start)?.count ?? 1) - 1;
+    const previous = counts.find((row) => row.window_start !== windows[i].start)?.count ?? 0;
+    wait = Math.max(wait, waitFor(rule.rate, windows[i], previous, current));
+  });
+  if (wait === 0) return null;
+
+  await db.batch(rules.map((rule, i) =>
+    db.prepare(
+      `UPDATE chat_rate_limit SET count = count - 1
+       WHERE event_id = ? AND scope = ? AND subject = ? AND window_start = ? AND count > 0`
+    ).bind(eventId, rule.scope, rule.subject, windows[i].start)
+  ));
+  return Math.max(1, Math.ceil(wait));
+}
+
+/**
+ * Forget the counts of one subject (a guest's key, "ip:…"), in one
+ * scope or all of them; with no subject, the whole event's.
+ */
+export async function clearRateLimits(
+  db: D1Database,
+  eventId: number,
+  filter: { subject?: string; scope?: RateLimitScope } = {}
+): Promise<number> {
+  const result = await db.prepare(
+    `DELETE FROM chat_rate_limit
+     WHERE event_id = ?1 AND (?2 IS NULL OR subject = ?2) AND (?3 IS NULL OR scope = ?3)`
+  ).bind(eventId, filter.subject ?? null, filter.scope ?? null).run();
+  return result.meta.changes;
+}
+
+/**
+ * Forget what is holding one guest back: their own counts, and the
+ * chat and contribution counts of the IP addresses they use (which
+ * other guests on those addresses share).
+ */
+export async function clearGuestRateLimits(
+  db: D1Database,
+  eventId: number,
+  guestKey: string,
+  ips: string[]
+): Promise<number> {
+  const subjects = ips.map((ip) => `ip:${ip}`);
+  const result = await db.prepare(
+    `DELETE FROM chat_rate_limit
+     WHERE event_id = ?1 AND (subject = ?2 OR (
+       scope IN ('chat', 'contribution') AND subject IN (SELECT value FROM json_each(?3))
+     ))`
+  ).bind(eventId, guestKey, JSON.stringify(subjects)).run();
+  return result.meta.changes;
+}
+
+/** Delete windows too old to count any more; run from the cron trigger. */
+export async function cleanupRateLimits(db: D1Database, now = Date.now()): Promise<number> {
+  const result = await db.prepare("DELETE FROM chat_rate_limit WHERE expires_at <= ?")
+    .bind(Math.floor(now / 1000))
+    .run();
+  return result.meta.changes;
+}
@@ -0,0 +1,165 @@
+// =============================================================
+// RSVPs
+// Whether a guest is coming, with how many people (children among
+// them) and any dietary restrictions. Each guest has one answer per
+// event, saved again whenever they change it, from the RSVP form on
+// the guest page or a confirmation card in the chat. The admin
+// "Presenças" tab lists them with the headcount.
+// =============================================================
+
+import { flag, number, parse, required, text, type FieldErrors, type Infer } from "./validation";
+
+export const MAX_PARTY_SIZE = 20;
+const MAX_NAME_LENGTH = 100;
+const MAX_DIETARY_LENGTH = 300;
+
+export interface Rsvp {
+  id: number;
+  event_id: number;
+  guest_key: string;
+  invite_id: number | null;
+  name: string;
+  attending: number;
+  party_size: number;
+  children: number;
+  dietary: string;
+  created_at: string;
+  updated_at: string;
+  invite_label?: string | null;
+}
+
+export interface RsvpTotals {
+  responses: number;
+  attending: number;       // answers saying yes
+  not_attending: number;
+  people: number;          // headcount: everyone coming, children included
+  adults: number;
+  children: number;
+  dietary: number;         // answers with dietary notes
+  invites_pending: number; // active invites that haven't answered yet
+}
+
+const RSVP_SCHEMA = {
+  name: required(text({ max: MAX_NAME_LENGTH }), "Indica o teu nome."),
+  attending: required(flag({ message: "Diz-nos se vens ou não." }), "Diz-nos se vens ou não."),
+  party_size: number({
+    integer: true,
+    min: 1,
+    max: MAX_PARTY_SIZE,
+    message: `Indica quantas pessoas vêm, contigo incluído (1 a ${MAX_PARTY_SIZE}).`,
+  }),
+  children: number({
+    integer: true,
+    min: 0,
+    max: MAX_PARTY_SIZE,
+    message: "Indica quantas crianças vêm (0 se nenhuma).",
+  }),
+  dietary: text({ max: MAX_DIETARY_LENGTH, multiline: true }),
+};
+
+export type RsvpInput = Omit<Infer<typeof RSVP_SCHEMA>, "party_size" | "children"> & {
+  party_size: number;
+  children: number;
+};
+
+/**
+ * Check an answer. Someone who is coming is at least a party of one;
+ * someone who isn't is stored as a party of zero with no notes.
+ */
+export function parseRsvp(body: unknown): { values: RsvpInput } | { errors: FieldErrors } {
+  const parsed = parse(RSVP_SCHEMA, body);
+  if ("errors" in parsed) return parsed;
+  const { name, attending, dietary } = parsed.values;
+  if (!attending) return { values: { name, attending, party_size: 0, children: 0, dietary: "" } };
+  const partySize = parsed.values.party_size ?? 1;
+  const children = parsed.values.children ?? 0;
+  if (children > partySize) {
+    return { errors: { children: "Não podem vir mais crianças do que pessoas no total." } };
+  }
+  return { values: { name, attending, party_size: partySize, children, dietary: dietary ?? "" } };
+}
+
+export function getRsvp(db: D1Database, eventId: number, guestKey: string): Promise<Rsvp | null> {
+  return db.prepare("SELECT * FROM rsvps WHERE event_id = ? AND guest_key = ?")
+    .bind(eventId, guestKey)
+    .first<Rsvp>();
+}
+
+/** Create or replace a guest's answer. */
+export async function saveRsvp(
+  db: D1Database,
+  eventId: number,
+  guest: { key: string; inviteId: number | null },
+  rsvp: RsvpInput
+): Promise<Rsvp> {
+  const saved = await db.prepare(
+    `INSERT INTO rsvps (event_id, guest_key, invite_id, name, attending, party_size, children, dietary)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(event_id, guest_key) DO UPDATE SET
+       invite_id = excluded.invite_id,
+       name = excluded.name,
+       attending = excluded.attending,
+       party_size = excluded.party_size,
+       children = excluded.children,
+       dietary = excluded.dietary,
+       updated_at = datetime('now')
+     RETURNING *`
+  ).bind(
+    eventId,
+    guest.key,
+    guest.inviteId,
+    rsvp.name,
+    rsvp.attending,
+    rsvp.party_size,
+    rsvp.children,
+    rsvp.dietary
+  ).first<Rsvp>();
+  if (!saved) throw new Error("RSVP upsert returned no row");
+  return saved;
+}
+
+/** Every answer for an event (coming first, then by name) and the headcount. */
+export async function listRsvps(
+  db: D1Database,
+  eventId: number
+): Promise<{ rsvps: Rsvp[]; totals: RsvpTotals }> {
+  const [{ results: rsvps }, pending] = await db.batch([
+    db.prepare(
+      `SELECT r.*, inv.label AS invite_label
+       FROM rsvps r
+       LEFT JOIN invites inv ON r.invite_id = inv.id
+       WHERE r.event_id = ?
+       ORDER BY r.attending DESC, r.name COLLATE NOCASE`
+    ).bind(eventId),
+    db.prepare(
+      `SELECT COUNT(*) AS count FROM invites
+       WHERE event_id = ? AND revoked_at IS NULL
+         AND id NOT IN (SELECT invite_id FROM rsvps WHERE event_id = ? AND invite_id IS NOT NULL)`
+    ).bind(eventId, eventId),
+  ]) as [D1Result<Rsvp>, D1Result<{ count: number }>];
+
+  const coming = rsvps.filter((r) => r.attending);
+  const people = coming.reduce((sum, r) => sum + r.party_size, 0);
+  const children = coming.reduce((sum, r) => sum + r.children, 0);
+  return {
+    rsvps,
+    totals: {
+      responses: rsvps.length,
+      attending: coming.length,
+      not_attending: rsvps.length - coming.length,
+      people,
+      adults: people - children,
+      children,
+      dietary: coming.filter((r) => r.dietary).length,
+      invites_pending: pending.results[0]?.count ?? 0,
+    },
+  };
+}
+
+/** One line describing an answer, for the chat prompt. */
+export function describeRsvp(rsvp: Rsvp): string {
+  if (!rsvp.attending) return `${rsvp.name}: not coming`;
+  const children = rsvp.children > 0 ? ` (${rsvp.children} ${rsvp.children === 1 ? "child" : "children"})` : "";
+  const dietary = rsvp.dietary ? ` — dietary: ${rsvp.dietary.replace(/\n/g, "; ")}` : "";
+  return `${rsvp.name}: coming, party of ${rsvp.party_size}${children}${dietary}`;
+}
@@ -0,0 +1,190 @@
+// =============================================================
+// Settings
+// Admin-editable key/value pairs stored per event in the D1
+// settings table: the event details shown on the page and given to
+// the chatbot, the payment details shown to guests after they
+// pledge, and the rate limits (see ratelimit.ts). Only the keys
+// defined in SETTINGS are read or written; a key that has never
+// been saved reads as "".
+// =============================================================
+
+import { normaliseRateLimit } from "./ratelimit";
+import { text, type FieldErrors } from "./validation";
+
+interface SettingDef {
+  /** Exposed without auth by GET /api/event. */
+  public: boolean;
+  maxLength: number;
+  multiline?: boolean;
+  /** Returns the value to store, or null when it is invalid. */
+  normalise?: (value: string) => string | null;
+  /** Error shown when normalise() rejects a value. */
+  invalid?: string;
+}
+
+const RATE_LIMIT_INVALID = "must be a count per period, e.g. 30/1h (s, m, h or d, up to 7d)";
+
+const isoDate = (value: string) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? value : null;
+
+export const SETTINGS = {
+  // --- Event (public) ---
+  baby_name: { public: true, maxLength: 100 },
+  baby_gender: { public: true, maxLength: 50 },
+  parents_names: { public: true, maxLength: 200 },
+  due_date: { public: true, maxLength: 10, normalise: isoDate, invalid: "must be a date (YYYY-MM-DD)" },
+  event_date: { public: true, maxLength: 10, normalise: isoDate, invalid: "must be a date (YYYY-MM-DD)" },
+  event_time: {
+    public: true,
+    maxLength: 5,
+    normalise: (v) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(v) ? v : null),
+    invalid: "must be a time (HH:MM)",
+  },
+  hero_subtitle: { public: true, maxLength: 500, multiline: true },
+  venue_name: { public: true, maxLength: 200 },
+  venue_address: { public: true, maxLength: 300, multiline: true },
+  venue_maps_url: {
+    public: true,
+    maxLength: 500,
+    normalise: (v) => (/^https?:\/\/\S+$/.test(v) ? v : null),
+    invalid: "must be an http(s) URL",
+  },
+  event_details: { public: true, maxLength: 1000, multiline: true },  // parking, food, …
+  nursery_theme: { public: true, maxLength: 100 },
+  nursery_colours: { public: true, maxLength: 200 },
+  generic_fund_estimate: {
+    public: true,
+    maxLength: 12,
+    normalise: (v) => {
+      const amount = Number(v.replace(",", "."));
+      return isFinite(amount) && amount >= 0 ? String(amount) : null;
+    },
+    invalid: "must be an amount in euros",
+  },
+
+  // --- Payment (admin; shared with guests only alongside their pledges) ---
+  payment_mbway_phone: {
+    public: false,
+    maxLength: 20,
+    normalise: (v) => (/^\+?[\d ]{9,16}$/.test(v) ? v : null),
+    invalid: "must be a phone number",
+  },
+  payment_iban: {
+    public: false,
+    maxLength: 50,
+    normalise: (v) => {
+      const iban = v.replace(/\s+/g, "").toUpperCase();
+      if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return null;
+      // Group in fours, the way IBANs are printed
+      return iban.replace(/(.{4})(?=.)/g, "$1 ");
+    },
+    invalid: "is not a valid IBAN",
+  },
+  payment_holder: { public: false, maxLength: 100 },
+
+  // --- Rate limits (admin; "" uses RATE_LIMIT_DEFAULTS) ---
+  rate_limit_chat: { public: false, maxLength: 20, normalise: normaliseRateLimit, invalid: RATE_LIMIT_INVALID },
+  rate_limit_chat_ip: { public: false, maxLength: 20, normalise: normaliseRateLimit, invalid: RATE_LIMIT_INVALID },
+  rate_limit_contribution: { public: false, maxLength: 20, normalise: normaliseRateLimit, invalid: RATE_LIMIT_INVALID },
+  rate_limit_contribution_ip: { public: false, maxLength: 20, normalise: normaliseRateLimit, invalid: RATE_LIMIT_INVALID },
+  rate_limit_auth_ip: { public: false, maxLength: 20, normalise: normaliseRateLimit, invalid: RATE_LIMIT_INVALID },
+} satisfies Record<string, SettingDef>;
+
+export type SettingKey = keyof typeof SETTINGS;
+export type Settings = Record<SettingKey, string>;
+
+export const SETTING_KEYS = Object.keys(SETTINGS) as SettingKey[];
+
+export function isSettingKey(key: string): key is SettingKey {
+  return Object.prototype.hasOwnProperty.call(SETTINGS, key);
+}
+
+/** Every known setting of an event, with "" for the ones that were never saved. */
+export async function getSettings(db: D1Database, eventId: number): Promise<Settings> {
+  const settings = Object.fromEntries(SETTING_KEYS.map((key) => [key, ""])) as Settings;
+  const { results } = await db
+    .prepare("SELECT key, value FROM settings WHERE event_id=?")
+    .bind(eventId)
+    .all<{ key: string; value: string }>();
+  for (const row of results) {
+    if (isSettingKey(row.key)) settings[row.key] = row.value;
+  }
+  return settings;
+}
+
+/** The settings GET /api/event may show to anyone. */
+export function publicSettings(settings: Settings): Partial<Settings> {
+  return Object.fromEntries(
+    SETTING_KEYS.filter((key) => SETTINGS[key].public).map((key) => [key, settings[key]])
+  );
+}
+
+/**
+ * Validate a PUT /api/admin/settings body. Empty strings (or null)
+ * clear a setting; anything else must pass the key's normaliser.
+ * Every bad key is reported, as validation.ts does for other bodies.
+ */
+export function parseSettings(
+  body: Record<string, unknown>
+): { values: Partial<Settings> } | { errors: FieldErrors } {
+  const values: Partial<Settings> = {};
+  const errors: FieldErrors = {};
+  for (const [key, raw] of Object.entries(body)) {
+    if (!isSettingKey(key)) {
+      errors[key] = `${key} is not a setting`;
+      continue;
+    }
+    const def: SettingDef = SETTINGS[key];
+    const value = text({ max: def.maxLength, multiline: def.multiline })(raw ?? "", key, errors) ?? "";
+    if (value && def.normalise) {
+      const normalised = def.normalise(value);
+      if (normalised === null) errors[key] = `${key} ${def.invalid}`;
+      else values[key] = normalised;
+    } else {
+      values[key] = value;
+    }
+  }
+  return Object.keys(errors).length > 0 ? { errors } : { values };
+}
+
+/** Upsert the given settings of an event in one batch. */
+export async function saveSettings(
+  db: D1Database,
+  eventId: number,
+  values: Partial<Settings>
+): Promise<void> {
+  const stmts = Object.entries(values).map(([key, value]) =>
+    db.prepare(
+      `INSERT INTO settings (event_id, key, value, updated_at) VALUES (?, ?, ?, datetime('now'))
+       ON CONFLICT(event_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+    ).bind(eventId, key, value ?? "")
+  );
+  if (stmts.length > 0) await db.batch(stmts);
+}
+
+// =============================================================
+// Payment instructions
+// =============================================================
+
+export interface PaymentInstructions {
+  reference: string;
+  amount: number;
+  mbway_phone: string | null;
+  iban: string | null;
+  holder: string | null;
+}
+
+/** What a guest needs to pay one contribution, built from the settings. */
+export function paymentInstructions(
+  settings: Settings,
+  reference: string,
+  amount: number
+): PaymentInstructions {
+  return {
+    reference,
+    amount,
+    mbway_phone: settings.payment_mbway_phone || null,
+    iban: settings.payment_iban || null,
+    holder: settings.payment_holder || null,
+  };
+}
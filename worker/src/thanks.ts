@@ -0,0 +1,239 @@
+// =============================================================
+// Thank-you notes
+// After the shower the parents write to everyone who contributed.
+// The admin "Agradecimentos" tab lists each contributor once, with
+// their contributions across items, a draft note (from a template,
+// or written by Workers AI on request, which the parents can edit)
+// and whether they have been thanked. The list also prints as a
+// plain HTML page.
+// =============================================================
+
+import type { Settings } from "./settings";
+
+const AI_MODEL = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+export const MAX_NOTE_LENGTH = 2000;
+
+export interface ThankYouContribution {
+  id: number;
+  item_title: string;
+  amount: number;
+  message: string;
+  status: string;
+  created_at: string;
+}
+
+export interface ThankYou {
+  key: string;
+  name: string;
+  contributions: ThankYouContribution[];
+  total: number;
+  note: string;
+  note_source: "template" | "saved";
+  thanked_at: string | null;
+}
+
+interface ThankYouRow {
+  contributor_key: string;
+  name: string;
+  note: string | null;
+  thanked_at: string | null;
+}
+
+/** "Ana Sofia " and "ana  sofia" are the same person; so are "Inês" and "Ines". */
+export function contributorKey(name: string): string {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/** «A», «B» e «C» */
+function giftList(contributions: ThankYouContribution[]): string {
+  const titles = [...new Set(contributions.map((c) => `«${c.item_title}»`))];
+  return titles.length > 1 ? `${titles.slice(0, -1).join(", ")} e ${titles[titles.length - 1]}` : titles[0];
+}
+
+/** The default note, in European Portuguese, signed by the parents. */
+export function templateNote(person: Pick<ThankYou, "name" | "contributions">, settings: Settings): string {
+  const firstName = person.name.trim().split(/\s+/)[0];
+  const plural = person.contributions.length > 1;
+  const leftMessage = person.contributions.some((c) => c.message.trim());
+  return [
+    `Olá ${firstName},`,
+    "",
+    [
+      `Muito obrigado ${plural ? "pelas contribuições" : "pela contribuição"} para ${giftList(person.contributions)}!`,
+      leftMessage ? "Adorámos as palavras que nos deixaste." : "",
+      `Vai ser muito especial para ${settings.baby_name || "o nosso bebé"}.`,
+    ].filter(Boolean).join(" "),
+    "",
+    "Com um grande abraço,",
+    settings.parents_names || "Os pais",
+  ].join("\n");
+}
+
+/**
+ * Everyone with a pledged or paid contribution, most recent first,
+ * with their saved note (or the template) and thanked status.
+ */
+export async function listThankYous(
+  db: D1Database,
+  eventId: number,
+  settings: Settings
+): Promise<ThankYou[]> {
+  const [{ results: contributions }, { results: rows }] = await db.batch([
+    db.prepare(
+      `SELECT c.id, c.contributor_name, c.amount, c.message, c.status, c.created_at, i.title AS item_title
+       FROM contributions c
+       JOIN items i ON c.item_id = i.id
+       WHERE i.event_id = ? AND c.status != 'cancelled'
+         AND c.deleted_at IS NULL AND i.deleted_at IS NULL
+       ORDER BY c.created_at DESC, c.id DESC`
+    ).bind(eventId),
+    db.prepare(
+      "SELECT contributor_key, name, note, thanked_at FROM thank_yous WHERE event_id = ?"
+    ).bind(eventId),
+  ]) as [D1Result<ThankYouContribution & { contributor_name: string }>, D1Result<ThankYouRow>];
+
+  const saved = new Map(rows.map((row) => [row.contributor_key, row]));
+  const people = new Map<string, ThankYou>();
+  for (const { contributor_name, ...contribution } of contributions) {
+    const key = contributorKey(contributor_name);
+    let person = people.get(key);
+    if (!person) {
+      // Rows are newest first, so the name is spelled as on the latest contribution
+      const row = saved.get(key);
+      person = {
+        key,
+        name: contributor_name.trim(),
+        contributions: [],
+        total: 0,
+        note: row?.note ?? "",
+        note_source: row?.note ? "saved" : "template",
+        thanked_at: row?.thanked_at ?? null,
+      };
+      people.set(key, person);
+    }
+    person.contributions.push(contribution);
+    person.total += contribution.amount;
+  }
+  for (const person of people.values()) {
+    if (person.note_source === "template") person.note = templateNote(person, settings);
+  }
+  return [...people.values()];
+}
+
+/**
+ * Save a contributor's note and thanked status. A null note goes
+ * back to the template.
+ */
+export async function saveThankYou(
+  db: D1Database,
+  eventId: number,
+  person: { key: string; name: string },
+  values: { note: string | null; thanked: boolean }
+): Promise<void> {
+  await db.prepare(
+    `INSERT INTO thank_yous (event_id, contributor_key, name, note, thanked_at)
+     VALUES (?, ?, ?, ?, CASE WHEN ? THEN datetime('now') END)
+     ON CONFLICT(event_id, contributor_key) DO UPDATE SET
+       name = excluded.name,
+       note = excluded.note,
+       thanked_at = CASE WHEN ? THEN COALESCE(thank_yous.thanked_at, datetime('now')) END,
+       updated_at = datetime('now')`
+  ).bind(eventId, person.key, person.name, values.note, values.thanked ? 1 : 0, values.thanked ? 1 : 0).run();
+}
+
+/** A personal note written by Workers AI from the contributions and their messages. */
+export async function draftNoteWithAi(ai: Ai, person: ThankYou, settings: Settings): Promise<string> {
+  const contributions = person.contributions.map((c) =>
+    `- €${c.amount.toFixed(2)} towards "${c.item_title}"${c.message.trim() ? `, with the message: "${c.message.trim()}"` : ""}`
+  ).join("\n");
+  const prompt = `Write a short, warm thank-you note from new parents to a guest who contributed to their baby shower gift registry.
+
+Guest: ${person.name}
+Baby: ${settings.baby_name || "(name not given)"}
+Parents (sign the note with these names): ${settings.parents_names || "(not given; sign as \"Os pais\")"}
+Contributions:
+${contributions}
+
+Rules:
+- Write in European Portuguese (Portugal), addressing the guest informally ("tu").
+- Greet the guest by first name, thank them for the specific gifts, and if they left a message, respond to it warmly.
+- 3 to 5 sentences, then a sign-off line with the parents' names.
+- Do not mention amounts of money.
+- Reply with the note only: no title, no quotes, no explanations.`;
+
+  const response = await ai.run(AI_MODEL as Parameters<Ai["run"]>[0], {
+    messages: [{ role: "user", content: prompt }],
+    max_tokens: 400,
+  });
+  const note = ((response as { response?: string }).response ?? "").trim();
+  if (!note) throw new Error("Workers AI returned an empty note");
+  return note.slice(0, MAX_NOTE_LENGTH);
+}
+
+// -------------------------------------------------------------
+// Printable page
+// -------------------------------------------------------------
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatDay(sqlDate: string): string {
+  return new Date(`${sqlDate.replace(" ", "T")}Z`).toLocaleDateString("pt-PT", { timeZone: "Europe/Lisbon" });
+}
+
+/** A self-contained page with every note, one contributor per block, for printing. */
+export function thankYousHtml(eventName: string, people: ThankYou[]): string {
+  const thanked = people.filter((p) => p.thanked_at).length;
+  const blocks = people.map((person) => {
+    const gifts = person.contributions
+      .map((c) => `<li>${escapeHtml(c.item_title)} — €${c.amount.toFixed(2)}</li>`)
+      .join("");
+    const status = person.thanked_at
+      ? `<span class="done">✓ Agradecido a ${formatDay(person.thanked_at)}</span>`
+      : `<span class="todo">Por agradecer</span>`;
+    return `<section class="person">
+  <h2>${escapeHtml(person.name)} ${status}</h2>
+  <ul>${gifts}</ul>
+  <blockquote>${escapeHtml(person.note)}</blockquote>
+</section>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="pt-PT">
+<head>
+<meta charset="utf-8">
+<title>Agradecimentos — ${escapeHtml(eventName)}</title>
+<style>
+  body { font-family: Georgia, serif; color: #333; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-weight: normal; margin-bottom: 0.25rem; }
+  .summary { color: #777; margin-top: 0; }
+  .person { border-top: 1px solid #ddd; padding: 1rem 0; break-inside: avoid; }
+  h2 { font-size: 1.15rem; margin: 0 0 0.5rem; }
+  h2 span { font-size: 0.8rem; font-weight: normal; margin-left: 0.5rem; }
+  .done { color: #2e7d32; }
+  .todo { color: #b26a00; }
+  ul { margin: 0 0 0.75rem; padding-left: 1.25rem; color: #555; font-size: 0.9rem; }
+  blockquote { margin: 0; padding: 0.75rem 1rem; background: #faf7f2; border-left: 3px solid #d8c3a5; white-space: pre-wrap; }
+  button { font: inherit; padding: 0.4rem 1rem; cursor: pointer; }
+  @media print { button { display: none; } body { margin: 0; } blockquote { background: none; } }
+</style>
+</head>
+<body>
+<h1>Agradecimentos — ${escapeHtml(eventName)}</h1>
+<p class="summary">${people.length} ${people.length === 1 ? "pessoa" : "pessoas"} · ${thanked} já ${thanked === 1 ? "agradecida" : "agradecidas"}</p>
+<button type="button" onclick="window.print()">Imprimir</button>
+${blocks || "<p>Ainda não há contribuições.</p>"}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,240 @@
+// =============================================================
+// Validation
+// Small schema checks for request bodies. A schema maps each field
+// to a check; parseBody() runs them all and either returns the
+// cleaned values or every field's problem at once, which the Worker
+// sends back as a 400 with a `fields` map for the forms to show
+// inline.
+//
+// Messages read "<field> <problem>" ("price_total must be >= 0").
+// Guest-facing fields pass their own Portuguese message instead,
+// which is used as is.
+// =============================================================
+
+/** Problems keyed by field path, e.g. { title: "title is required", "order[2].id": ... }. */
+export type FieldErrors = Record<string, string>;
+
+/**
+ * Cleans one value or records why it can't. Missing (undefined) values
+ * pass through as undefined unless wrapped in required().
+ */
+export type Check<T> = (value: unknown, path: string, errors: FieldErrors) => T;
+
+export type Schema = Record<string, Check<unknown>>;
+export type Infer<S extends Schema> = { [K in keyof S]: ReturnType<S[K]> };
+
+interface Options {
+  /** Replaces the default message for every problem with this field. */
+  message?: string;
+}
+
+const CONTROL_CHARS = /[\x00-\x1F\x7F]/g;
+
+/** Record a problem (the first one per field wins). The returned value is never used. */
+function fail(errors: FieldErrors, path: string, problem: string, message?: string): never {
+  const field = path || "body";
+  errors[field] ??= message ?? `${field} ${problem}`;
+  return undefined as never;
+}
+
+// -------------------------------------------------------------
+// Checks
+// -------------------------------------------------------------
+
+/**
+ * Free text: control characters become spaces (newlines survive when
+ * multiline), surrounding whitespace is trimmed and the result is
+ * capped at max characters, as the forms' maxlength does. A pattern,
+ * if given, applies to non-empty values.
+ */
+export function text(
+  opts: Options & { max: number; multiline?: boolean; pattern?: RegExp }
+): Check<string | undefined> {
+  return (value, path, errors) => {
+    if (value === undefined) return undefined;
+    if (typeof value !== "string" && typeof value !== "number") {
+      return fail(errors, path, "must be text", opts.message);
+    }
+    const raw = String(value).replace(/\r\n?/g, "\n");
+    const cleaned = opts.multiline
+      ? raw.split("\n").map((line) => line.replace(CONTROL_CHARS, " ").trim()).join("\n")
+      : raw.replace(CONTROL_CHARS, " ");
+    const result = cleaned.trim().slice(0, opts.max);
+    if (result && opts.pattern && !opts.pattern.test(result)) {
+      return fail(errors, path, "is not in the expected format", opts.message);
+    }
+    return result;
+  };
+}
+
+/**
+ * A password or token: taken exactly as sent, never trimmed. min only
+ * applies to non-empty values, so "" can still mean "none".
+ */
+export function secret(opts: Options & { max: number; min?: number }): Check<string | undefined> {
+  return (value, path, errors) => {
+    if (value === undefined) return undefined;
+    if (typeof value !== "string") return fail(errors, path, "must be text", opts.message);
+    if (value && opts.min !== undefined && value.length < opts.min) {
+      return fail(errors, path, `must be at least ${opts.min} characters`, opts.message);
+    }
+    if (value.length > opts.max) return fail(errors, path, `must be at most ${opts.max} characters`, opts.message);
+    return value;
+  };
+}
+
+/** An http(s) URL, or "" to leave it empty. */
+export function url(opts: Options & { max: number }): Check<string | undefined> {
+  const clean = text(opts);
+  return (value, path, errors) => {
+    const link = clean(value, path, errors);
+    if (!link) return link;
+    let valid = /^https?:\/\/\S+$/i.test(link);
+    try {
+      new URL(link);
+    } catch {
+      valid = false;
+    }
+    return valid ? link : fail(errors, path, "must be an http(s) URL", opts.message);
+  };
+}
+
+/** A calendar date written YYYY-MM-DD. */
+export function date(opts: Options = {}): Check<string | undefined> {
+  const clean = text({ max: 10, message: opts.message });
+  return (value, path, errors) => {
+    const day = clean(value, path, errors);
+    if (!day) return day;
+    const valid = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(day) && !isNaN(Date.parse(day));
+    return valid ? day : fail(errors, path, "must be a date (YYYY-MM-DD)", opts.message);
+  };
+}
+
+/** A finite number (numeric strings are accepted; "" counts as missing). */
+export function number(
+  opts: Options & { min?: number; greaterThan?: number; max?: number; integer?: boolean } = {}
+): Check<number | undefined> {
+  return (value, path, errors) => {
+    if (value === undefined || value === "") return undefined;
+    const n = typeof value === "number" ? value : typeof value === "string" ? Number(value.trim()) : NaN;
+    if (!isFinite(n)) return fail(errors, path, "must be a number", opts.message);
+    if (opts.integer && !Number.isInteger(n)) return fail(errors, path, "must be a whole number", opts.message);
+    if (opts.min !== undefined && n < opts.min) return fail(errors, path, `must be >= ${opts.min}`, opts.message);
+    if (opts.greaterThan !== undefined && n <= opts.greaterThan) {
+      return fail(errors, path, `must be > ${opts.greaterThan}`, opts.message);
+    }
+    if (opts.max !== undefined && n > opts.max) return fail(errors, path, `must be <= ${opts.max}`, opts.message);
+    return n;
+  };
+}
+
+/** A database id: a positive whole number. */
+export function id(opts: Options = {}): Check<number | undefined> {
+  return number({ integer: true, greaterThan: 0, message: opts.message });
+}
+
+/** 0/1 flags as stored in D1 (true/false and "0"/"1" accepted too). */
+export function flag(opts: Options = {}): Check<0 | 1 | undefined> {
+  return (value, path, errors) => {
+    if (value === undefined) return undefined;
+    if (value === true || value === 1 || value === "1") return 1;
+    if (value === false || value === 0 || value === "0") return 0;
+    return fail(errors, path, "must be 0 or 1", opts.message);
+  };
+}
+
+export function oneOf<T extends string>(values: readonly T[], opts: Options = {}): Check<T | undefined> {
+  return (value, path, errors) => {
+    if (value === undefined) return undefined;
+    if (typeof value === "string" && (values as readonly string[]).includes(value)) return value as T;
+    return fail(errors, path, `must be one of: ${values.join(", ")}`, opts.message);
+  };
+}
+
+/** An array whose entries all pass `entry` (reported as "path[i]"). */
+export function list<T>(entry: Check<T>, opts: Options & { max: number }): Check<T[] | undefined> {
+  return (value, path, errors) => {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value)) return fail(errors, path, "must be a list", opts.message);
+    if (value.length > opts.max) {
+      return fail(errors, path, `must have at most ${opts.max} entries`, opts.message);
+    }
+    return value.map((item, i) => entry(item, `${path}[${i}]`, errors));
+  };
+}
+
+/** A nested object checked field by field (reported as "path.field"). */
+export function object<S extends Schema>(schema: S): Check<Infer<S> | undefined> {
+  return (value, path, errors) => {
+    if (value === undefined) return undefined;
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return fail(errors, path, "must be an object");
+    }
+    const body = value as Record<string, unknown>;
+    const values: Record<string, unknown> = {};
+    for (const [key, check] of Object.entries(schema)) {
+      values[key] = check(body[key], path ? `${path}.${key}` : key, errors);
+    }
+    return values as Infer<S>;
+  };
+}
+
+/** Fail when the value is missing or cleans down to "". */
+export function required<T>(check: Check<T | undefined>, message?: string): Check<T> {
+  return (value, path, errors) => {
+    if (value === undefined || value === null) return fail(errors, path, "is required", message);
+    const cleaned = check(value, path, errors);
+    if (cleaned === undefined || cleaned === "") return fail(errors, path, "is required", message);
+    return cleaned;
+  };
+}
+
+/** Let null through as null (e.g. "remove this password"). */
+export function nullable<T>(check: Check<T>): Check<T | null> {
+  return (value, path, errors) => (value === null ? null : check(value, path, errors));
+}
+
+// -------------------------------------------------------------
+// Running a schema
+// -------------------------------------------------------------
+
+/** Check a parsed body against a schema. Unknown fields are ignored. */
+export function parse<S extends Schema>(
+  schema: S,
+  body: unknown
+): { values: Infer<S> } | { errors: FieldErrors } {
+  const errors: FieldErrors = {};
+  const values = object(schema)(body ?? {}, "", errors);
+  return Object.keys(errors).length > 0 ? { errors } : { values: values as Infer<S> };
+}
+
+/** Read a JSON request body (empty counts as {}); malformed JSON is an error on "body". */
+export async function readJson(request: Request): Promise<{ body: unknown } | { errors: FieldErrors }> {
+  try {
+    const raw = await request.text();
+    return { body: raw.trim() ? JSON.parse(raw) : {} };
+  } catch {
+    return { errors: { body: "body must be valid JSON" } };
+  }
+}
+
+/** Read a JSON request body and check it against a schema. */
+export async function parseBody<S extends Schema>(
+  request: Request,
+  schema: S
+): Promise<{ values: Infer<S> } | { errors: FieldErrors }> {
+  const json = await readJson(request);
+  return "errors" in json ? json : parse(schema, json.body);
+}
+
+/**
+ * All problems as one line, for clients that only show `error`. Full
+ * sentences (the Portuguese messages) are joined with a space, the
+ * rest with "; ".
+ */
+export function describeErrors(errors: FieldErrors): string {
+  return Object.values(errors).reduce(
+    (line, message) => (line ? `${line}${/[.!?]$/.test(line) ? " " : "; "}${message}` : message),
+    ""
+  );
+}
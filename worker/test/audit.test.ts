@@ -0,0 +1,62 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { auditStmt, type AuditActor } from "../src/audit";
+import { migratedDb } from "./d1";
+
+const admin: AuditActor = { type: "admin", key: null, ip: "203.0.113.7" };
+
+let db: D1Database;
+let dispose: () => Promise<void>;
+
+beforeEach(async () => {
+  ({ db, dispose } = await migratedDb());
+  await db.batch([
+    db.prepare("INSERT INTO items (id, title, price_total, price_raised, event_id) VALUES (1, 'Berço', 200, 50, 1)"),
+    db.prepare("INSERT INTO contributions (id, item_id, contributor_name, amount, status) VALUES (1, 1, 'Ana', 50, 'pledged')"),
+  ]);
+});
+
+afterEach(() => dispose());
+
+/** The guest cancel's batch: the guarded UPDATE, then what depends on it. */
+function cancel(id: number, ifChanged = true) {
+  return db.batch([
+    db.prepare(
+      "UPDATE contributions SET status='cancelled' WHERE id=? AND status='pledged' AND deleted_at IS NULL"
+    ).bind(id),
+    auditStmt(db, 1, admin, { action: "contribution.cancel", entityId: id }, { ifChanged }),
+    db.prepare("UPDATE items SET price_raised = price_raised - 50 WHERE id = 1 AND changes() = 1"),
+  ]);
+}
+
+async function auditCount(): Promise<number> {
+  return (await db.prepare("SELECT COUNT(*) AS n FROM audit_log").first<number>("n")) ?? 0;
+}
+
+describe("auditStmt", () => {
+  it("records the change it follows", async () => {
+    const [result] = await cancel(1);
+    expect(result.meta.changes).toBe(1);
+    expect(await db.prepare("SELECT action, entity_type, entity_id, ip FROM audit_log").first()).toEqual({
+      action: "contribution.cancel",
+      entity_type: "contribution",
+      entity_id: 1,
+      ip: "203.0.113.7",
+    });
+    // And the subtraction behind it still sees the change
+    expect(await db.prepare("SELECT price_raised FROM items WHERE id = 1").first("price_raised")).toBe(0);
+  });
+
+  it("with ifChanged, records nothing when the guarded update matched no row", async () => {
+    await cancel(1);
+    // A second cancel racing the first: the UPDATE finds nothing to change
+    const [result] = await cancel(1);
+    expect(result.meta.changes).toBe(0);
+    expect(await auditCount()).toBe(1);
+    expect(await db.prepare("SELECT price_raised FROM items WHERE id = 1").first("price_raised")).toBe(0);
+  });
+
+  it("without ifChanged, always records", async () => {
+    await cancel(99, false);
+    expect(await auditCount()).toBe(1);
+  });
+});
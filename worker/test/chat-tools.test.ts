@@ -0,0 +1,179 @@
+import { describe, expect, it } from "vitest";
+import {
+  completeWith,
+  mergeToolCallDeltas,
+  runChatTurn,
+  toolCalls,
+  type ChatMessage,
+  type ChatToolContext,
+  type ToolCallingAi,
+} from "../src/chat-tools";
+
+const context: ChatToolContext = {
+  items: [
+    {
+      id: 1,
+      title: "Carrinho de bebé",
+      description: "Carrinho 3 em 1",
+      price_total: 450,
+      price_raised: 150,
+      is_funded: 0,
+      is_generic: 0,
+    },
+    {
+      id: 2,
+      title: "Banheira",
+      description: "Banheira com suporte",
+      price_total: 60,
+      price_raised: 60,
+      is_funded: 1,
+      is_generic: 0,
+    },
+  ],
+  myContributions: [{ id: 7, amount: 25, item_title: "Banheira" }],
+};
+
+const messages: ChatMessage[] = [
+  { role: "system", content: "Registry assistant" },
+  { role: "user", content: "Quero oferecer 50€ para o carrinho, sou a Ana Silva" },
+];
+
+/** Plays back canned Workers AI responses and keeps what it was sent. */
+function fakeAi(...responses: unknown[]): ToolCallingAi & { calls: { messages: ChatMessage[]; tools: unknown[] }[] } {
+  const calls: { messages: ChatMessage[]; tools: unknown[] }[] = [];
+  return {
+    calls,
+    async run(_model, inputs) {
+      calls.push({ messages: [...inputs.messages], tools: inputs.tools });
+      return responses[calls.length - 1] ?? { response: "" };
+    },
+  };
+}
+
+function turn(ai: ToolCallingAi) {
+  return runChatTurn(completeWith(ai, "test-model", 100), messages, context);
+}
+
+describe("runChatTurn", () => {
+  it("gives the tools to the chat call and turns a valid proposal into a card", async () => {
+    const ai = fakeAi({
+      response: "Obrigada, Ana! Vai aparecer um cartão para confirmares.",
+      tool_calls: [{ name: "propose_contribution", arguments: { item_id: 1, name: "Ana Silva", amount: 50 } }],
+    });
+    const { reply, actions } = await turn(ai);
+
+    expect(ai.calls).toHaveLength(1);
+    expect(ai.calls[0].tools).toContainEqual(
+      expect.objectContaining({ function: expect.objectContaining({ name: "propose_contribution" }) })
+    );
+    expect(reply).toBe("Obrigada, Ana! Vai aparecer um cartão para confirmares.");
+    expect(actions).toEqual({
+      contribution_pending: { item_id: 1, item_title: "Carrinho de bebé", name: "Ana Silva", amount: 50, message: "" },
+      cancellation_pending: null,
+      rsvp_pending: null,
+    });
+  });
+
+  it("makes one call and no card when the model calls no tool", async () => {
+    const ai = fakeAi({ response: "O carrinho ainda precisa de 300€." });
+    const { reply, actions } = await turn(ai);
+    expect(ai.calls).toHaveLength(1);
+    expect(reply).toBe("O carrinho ainda precisa de 300€.");
+    expect(Object.values(actions).every((action) => action === null)).toBe(true);
+  });
+
+  it("reports an invalid call back to the model and takes its correction", async () => {
+    const ai = fakeAi(
+      { response: "", tool_calls: [{ name: "propose_contribution", arguments: { item_id: 2, name: "Ana Silva", amount: -5 } }] },
+      { response: "", tool_calls: [{ name: "propose_contribution", arguments: { item_id: 2, name: "Ana Silva", amount: 50 } }] },
+      {
+        response: "A banheira já está oferecida; queres contribuir para o carrinho?",
+        tool_calls: [{ name: "propose_contribution", arguments: { item_id: 1, name: "Ana Silva", amount: 50 } }],
+      }
+    );
+    const { reply, actions } = await turn(ai);
+
+    expect(ai.calls).toHaveLength(3);
+    const [invalid] = ai.calls[1].messages.slice(-1);
+    expect(invalid).toMatchObject({ role: "tool", name: "propose_contribution" });
+    expect(invalid.content).toMatch(/^Invalid arguments: amount/);
+    const [refused] = ai.calls[2].messages.slice(-1);
+    expect(refused.content).toBe('"Banheira" is already fully funded');
+    expect(reply).toBe("A banheira já está oferecida; queres contribuir para o carrinho?");
+    expect(actions.contribution_pending?.item_id).toBe(1);
+  });
+
+  it("refuses more than the gift still needs, and says how much that is", async () => {
+    const ai = fakeAi(
+      { response: "", tool_calls: [{ name: "propose_contribution", arguments: { item_id: 1, name: "Ana Silva", amount: 500 } }] },
+      { response: "", tool_calls: [{ name: "propose_contribution", arguments: { item_id: 1, name: "Ana Silva", amount: 300 } }] }
+    );
+    const { actions } = await turn(ai);
+
+    expect(ai.calls).toHaveLength(2);
+    const [refused] = ai.calls[1].messages.slice(-1);
+    expect(refused.content).toBe('"Carrinho de bebé" only needs €300.00 more');
+    expect(actions.contribution_pending?.amount).toBe(300);
+  });
+
+  it("puts each round's text on its own line", async () => {
+    const ai = fakeAi(
+      { response: "Vou procurar.", tool_calls: [{ name: "lookup_item", arguments: { query: "carrinho" } }] },
+      { response: "Faltam 300€ para o carrinho." }
+    );
+    const { reply } = await turn(ai);
+    expect(reply).toBe("Vou procurar.\nFaltam 300€ para o carrinho.");
+  });
+
+  it("gives up without a card after the last round", async () => {
+    const bad = { response: "", tool_calls: [{ name: "propose_cancellation", arguments: { contribution_id: 99 } }] };
+    const ai = fakeAi(bad, bad, bad, bad);
+    const { actions } = await turn(ai);
+    expect(ai.calls).toHaveLength(3);
+    expect(actions.cancellation_pending).toBeNull();
+  });
+
+  it("answers a lookup and lets the model propose with the result", async () => {
+    const ai = fakeAi(
+      { response: "", tool_calls: [{ function: { name: "lookup_item", arguments: '{"query":"carrinho"}' } }] },
+      {
+        response: "Faltam 300€ para o carrinho.",
+        tool_calls: [{ name: "propose_contribution", arguments: { item_id: 1, name: "Ana Silva", amount: 300 } }],
+      }
+    );
+    const { reply, actions } = await turn(ai);
+
+    expect(ai.calls).toHaveLength(2);
+    const [assistant, result] = ai.calls[1].messages.slice(-2);
+    expect(assistant.role).toBe("assistant");
+    expect(JSON.parse(result.content)).toEqual([
+      expect.objectContaining({ id: 1, title: "Carrinho de bebé", still_needed: 300 }),
+    ]);
+    expect(reply).toBe("Faltam 300€ para o carrinho.");
+    expect(actions.contribution_pending?.amount).toBe(300);
+  });
+
+  it("only offers cancelling the guest's own contributions", async () => {
+    const ai = fakeAi({ response: "", tool_calls: [{ name: "propose_cancellation", arguments: { contribution_id: 7 } }] });
+    const { actions } = await turn(ai);
+    expect(actions.cancellation_pending).toEqual({ contribution_id: 7, item_title: "Banheira", amount: 25 });
+  });
+});
+
+describe("streamed tool calls", () => {
+  it("joins OpenAI-style argument deltas by index", () => {
+    const calls: unknown[] = [];
+    mergeToolCallDeltas(calls, [{ index: 0, function: { name: "propose_rsvp", arguments: '{"name":"Ana",' } }]);
+    mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: '"attending":true}' } }]);
+    mergeToolCallDeltas(calls, undefined);
+    expect(toolCalls({ tool_calls: calls })).toEqual([
+      { name: "propose_rsvp", arguments: { name: "Ana", attending: true } },
+    ]);
+  });
+
+  it("keeps whole calls as they come", () => {
+    const calls: unknown[] = [];
+    mergeToolCallDeltas(calls, [{ name: "lookup_item", arguments: { query: "banheira" } }]);
+    expect(toolCalls({ tool_calls: calls })).toEqual([{ name: "lookup_item", arguments: { query: "banheira" } }]);
+  });
+});
@@ -0,0 +1,22 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { Miniflare } from "miniflare";
+
+const MIGRATIONS = new URL("../migrations/", import.meta.url);
+
+/**
+ * A fresh local D1 database (Miniflare's, the one `wrangler dev` uses)
+ * with every migration applied. Call dispose() when done with it.
+ */
+export async function migratedDb(): Promise<{ db: D1Database; dispose: () => Promise<void> }> {
+  const mf = new Miniflare({ modules: true, script: "export default {}", d1Databases: ["DB"] });
+  const db = (await mf.getD1Database("DB")) as unknown as D1Database;
+  for (const file of readdirSync(MIGRATIONS).filter((name) => name.endsWith(".sql")).sort()) {
+    const statements = readFileSync(new URL(file, MIGRATIONS), "utf8")
+      .replace(/--.*$/gm, "")
+      .split(";")
+      .map((sql) => sql.trim())
+      .filter(Boolean);
+    await db.batch(statements.map((sql) => db.prepare(sql)));
+  }
+  return { db, dispose: () => mf.dispose() };
+}
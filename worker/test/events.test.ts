@@ -0,0 +1,13 @@
+import { describe, expect, it } from "vitest";
+import { parseEventPath } from "../src/events";
+
+describe("parseEventPath", () => {
+  it("splits the slug from the route inside the event", () => {
+    expect(parseEventPath("/api/events/batizado/items")).toEqual({ slug: "batizado", path: "/api/items" });
+    expect(parseEventPath("/api/items")).toEqual({ slug: null, path: "/api/items" });
+  });
+
+  it("keeps a malformed escape as it is instead of throwing", () => {
+    expect(parseEventPath("/api/events/%E0/items")).toEqual({ slug: "%E0", path: "/api/items" });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { exportStream } from "../src/export";
+
+const columns = ["id", "title", "price_total", "description"];
+
+async function* pages(...rows: Record<string, string | number | null>[][]) {
+  yield* rows;
+}
+
+/** The bytes as text, BOM included (Response.text() would drop it). */
+async function read(stream: ReadableStream<Uint8Array>): Promise<string> {
+  return new TextDecoder("utf-8", { ignoreBOM: true }).decode(await new Response(stream).arrayBuffer());
+}
+
+describe("exportStream", () => {
+  it("writes CSV the way Excel reads it in Portugal", async () => {
+    const csv = await read(exportStream("csv", columns, pages(
+      [{ id: 1, title: "Berço", price_total: 199.5, description: "Madeira; branco" }],
+      [{ id: 2, title: "=1+1", price_total: 60, description: null }]
+    )));
+    expect(csv).toBe(
+      "\uFEFFid;title;price_total;description\r\n" +
+        '1;Berço;199,5;"Madeira; branco"\r\n' +
+        "2;'=1+1;60;\r\n"
+    );
+  });
+
+  it("writes the header alone when there are no rows", async () => {
+    expect(await read(exportStream("csv", columns, pages()))).toBe("\uFEFFid;title;price_total;description\r\n");
+  });
+
+  it("writes JSON as one array across the pages", async () => {
+    const json = await read(exportStream("json", columns, pages([{ id: 1, title: "Berço" }], [{ id: 2, title: "Banheira" }])));
+    expect(JSON.parse(json)).toEqual([{ id: 1, title: "Berço" }, { id: 2, title: "Banheira" }]);
+    expect(JSON.parse(await read(exportStream("json", columns, pages())))).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  mockOutbox,
+  notificationText,
+  queueNotification,
+  retryNotifications,
+  type Notification,
+  type NotifyEnv,
+} from "../src/notify";
+import { migratedDb } from "./d1";
+
+const pledge: Notification = {
+  kind: "contribution.created",
+  event: { slug: "default", name: "Baby Shower" },
+  contributor_name: "Ana Silva",
+  item_title: "Berço",
+  amount: 50,
+  message: "Parabéns!",
+  reference: "K7M2QX",
+};
+
+let db: D1Database;
+let dispose: () => Promise<void>;
+let pending: Promise<unknown>[];
+const ctx = {
+  waitUntil: (promise: Promise<unknown>) => pending.push(promise),
+  passThroughOnException: () => {},
+} as unknown as ExecutionContext;
+
+async function queue(env: NotifyEnv, notification = pledge): Promise<void> {
+  await queueNotification(db, env, ctx, 1, notification);
+  await Promise.all(pending);
+  pending = [];
+}
+
+function row() {
+  return db.prepare(
+    `SELECT channel, kind, status, attempts, last_error, payload_json,
+            ROUND((julianday(next_attempt_at) - julianday('now')) * 1440) AS due_in_minutes
+     FROM notifications ORDER BY id DESC LIMIT 1`
+  ).first<{
+    channel: string;
+    kind: string;
+    status: string;
+    attempts: number;
+    last_error: string | null;
+    payload_json: string;
+    due_in_minutes: number;
+  }>();
+}
+
+/** Make the pending row due and run the cron's retry. */
+async function retry(env: NotifyEnv): Promise<void> {
+  await db.prepare("UPDATE notifications SET next_attempt_at = datetime('now', '-1 minutes')").run();
+  await retryNotifications(db, env);
+}
+
+describe("queueNotification", () => {
+  beforeEach(async () => {
+    ({ db, dispose } = await migratedDb());
+    pending = [];
+    mockOutbox.length = 0;
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await dispose();
+  });
+
+  it("stores the notification and sends it through the mock adapter", async () => {
+    await queue({ NOTIFIER: "mock" });
+    expect(mockOutbox).toEqual([pledge]);
+    const sent = await row();
+    expect(sent).toMatchObject({ channel: "mock", kind: "contribution.created", status: "sent", attempts: 1 });
+    expect(JSON.parse(sent!.payload_json)).toEqual(pledge);
+  });
+
+  it("does nothing while NOTIFIER is unset", async () => {
+    await queue({});
+    expect(mockOutbox).toEqual([]);
+    expect(await row()).toBeNull();
+  });
+
+  it("keeps a failed send pending and backs off until it gives up", async () => {
+    const failing = { NOTIFIER: "mock", NOTIFY_MOCK_FAIL: "1" };
+    await queue(failing);
+    expect(await row()).toMatchObject({ status: "pending", attempts: 1, due_in_minutes: 1 });
+    expect((await row())!.last_error).toContain("NOTIFY_MOCK_FAIL");
+
+    for (const [attempts, minutes] of [[2, 5], [3, 15], [4, 60], [5, 360]]) {
+      await retry(failing);
+      expect(await row()).toMatchObject({ status: "pending", attempts, due_in_minutes: minutes });
+    }
+    await retry(failing);
+    expect(await row()).toMatchObject({ status: "failed", attempts: 6 });
+    expect(mockOutbox).toEqual([]);
+  });
+
+  it("retries through the channel it was queued for, whatever NOTIFIER says now", async () => {
+    await queue({ NOTIFIER: "mock", NOTIFY_MOCK_FAIL: "1" });
+    // Switched to a webhook since, with no URL set: sending that way would fail
+    await retry({ NOTIFIER: "webhook" });
+    expect(await row()).toMatchObject({ channel: "mock", status: "sent", attempts: 2, last_error: null });
+    expect(mockOutbox).toEqual([pledge]);
+  });
+});
+
+describe("notificationText", () => {
+  it("has the guest, the gift, the amount, the message and the reference", () => {
+    expect(notificationText(pledge)).toEqual({
+      subject: "Nova contribuição: €50.00 para Berço",
+      text: [
+        "Ana Silva prometeu €50.00 para «Berço».",
+        'Mensagem: "Parabéns!"',
+        "Referência: K7M2QX",
+        "Evento: Baby Shower",
+      ].join("\n"),
+    });
+  });
+
+  it("describes a cancellation without the empty fields", () => {
+    const { subject, text } = notificationText({
+      ...pledge,
+      kind: "contribution.cancelled",
+      message: "",
+      reference: null,
+    });
+    expect(subject).toBe("Contribuição cancelada: €50.00 para Berço");
+    expect(text).toBe("A contribuição de €50.00 de Ana Silva para «Berço» foi cancelada.\nEvento: Baby Shower");
+  });
+});
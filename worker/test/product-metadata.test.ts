@@ -0,0 +1,81 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { parsePrice, parseProductMetadata } from "../src/product-metadata";
+
+function page(name: string): string {
+  return readFileSync(new URL(`../fixtures/product-pages/${name}`, import.meta.url), "utf8");
+}
+
+describe("parseProductMetadata", () => {
+  it("prefers JSON-LD Product data over the meta tags", () => {
+    const url = "https://www.cybex-online.com/pt/pt/p/10101236.html?gclid=abc";
+    expect(parseProductMetadata(page("jsonld-product.html"), url)).toEqual({
+      title: "Base Isofix para cadeira auto",
+      description: "Base Isofix com perna de apoio & indicador de instalação.",
+      image_url: "https://www.cybex-online.com/images/base-isofix.jpg",
+      product_url: "https://www.cybex-online.com/pt/pt/p/10101236.html",
+      price: 229.95,
+      currency: "EUR",
+    });
+  });
+
+  it("falls back to Open Graph tags when the JSON-LD is broken", () => {
+    const url = "https://www.amazon.es/dp/B0BZYJWCMS?ref=share";
+    expect(parseProductMetadata(page("opengraph.html"), url)).toEqual({
+      title: "Monitor para bebé con vídeo",
+      description: "Monitor con vídeo, audio bidireccional y visión nocturna.",
+      image_url: "https://m.media-amazon.com/images/I/61XEU3LtQVL._AC_SL1500_.jpg",
+      product_url: "https://www.amazon.es/dp/B0BZYJWCMS",
+      price: 63.99,
+      currency: "EUR",
+    });
+  });
+
+  it("reads schema.org microdata inside the Product only", () => {
+    const url = "https://loja.example.pt/banheira";
+    expect(parseProductMetadata(page("microdata.html"), url)).toEqual({
+      title: "Banheira Stokke com suporte",
+      description: "Banheira confortável e segura, com suporte dobrável.",
+      image_url: "https://loja.example.pt/media/banheira.jpg",
+      product_url: url,
+      price: 138,
+      currency: "EUR",
+    });
+  });
+
+  it("leaves the price empty when the page has none", () => {
+    const metadata = parseProductMetadata(page("no-price.html"), "https://loja.example.pt/ninho");
+    expect(metadata.price).toBeNull();
+    expect(metadata.currency).toBeNull();
+    expect(metadata.title).toBe("Ninho para bebé");
+    expect(metadata.image_url).toBe("https://cdn.example.com/ninho.jpg");
+  });
+
+  it("takes the lower bound of a price range", () => {
+    const metadata = parseProductMetadata(page("price-range.html"), "https://loja.example.pt/vestidos");
+    expect(metadata.price).toBe(19.99);
+    expect(metadata.currency).toBe("EUR");
+  });
+});
+
+describe("parsePrice", () => {
+  it.each([
+    ["1299.99", 1299.99],
+    ["1.299,99", 1299.99],
+    ["1,299.99", 1299.99],
+    ["1 299,99 €", 1299.99],
+    ["63,9 €", 63.9],
+    ["1.299", 1299],
+    ["€19,99 – €29,99", 19.99],
+    ["29,99-19,99", 19.99],
+    ["19,99 a 29,99 €", 19.99],
+    ["from 10 to 15", 10],
+    [42, 42],
+  ])("reads %j as %d", (value, expected) => {
+    expect(parsePrice(value)).toBe(expected);
+  });
+
+  it.each([["grátis"], [""], [-5], [null], [undefined]])("rejects %j", (value) => {
+    expect(parsePrice(value)).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import {
+  clearGuestRateLimits,
+  parseRateLimit,
+  rateLimitRules,
+  takeRateLimit,
+} from "../src/ratelimit";
+import { SETTING_KEYS, type Settings } from "../src/settings";
+import { migratedDb } from "./d1";
+
+const settings = {
+  ...Object.fromEntries(SETTING_KEYS.map((key) => [key, ""])),
+  rate_limit_chat: "5/1h",
+  rate_limit_chat_ip: "3/1h",
+} as Settings;
+
+const NOW = Date.UTC(2026, 9, 18, 12, 30);
+
+let db: D1Database;
+let dispose: () => Promise<void>;
+
+beforeEach(async () => {
+  ({ db, dispose } = await migratedDb());
+});
+
+afterEach(() => dispose());
+
+function chat(guestKey: string, ip: string): Promise<number | null> {
+  return takeRateLimit(db, 1, rateLimitRules(settings, "chat", { guestKey, ip }), NOW);
+}
+
+describe("parseRateLimit", () => {
+  it("reads a count per period", () => {
+    expect(parseRateLimit("30/1h")).toEqual({ limit: 30, window: 3600 });
+    expect(parseRateLimit("10 / d")).toEqual({ limit: 10, window: 86400 });
+    expect(parseRateLimit("0/1h")).toBeNull();
+    expect(parseRateLimit("30 per hour")).toBeNull();
+  });
+});
+
+describe("takeRateLimit", () => {
+  it("refuses the hit past a limit and does not count it", async () => {
+    for (let i = 0; i < 5; i++) expect(await chat("device:ana", `198.51.100.${i}`)).toBeNull();
+    expect(await chat("device:ana", "198.51.100.9")).toBeGreaterThan(0);
+    const count = await db.prepare("SELECT count FROM chat_rate_limit WHERE subject = 'device:ana'").first("count");
+    expect(count).toBe(5);
+  });
+});
+
+describe("clearGuestRateLimits", () => {
+  it("lets a guest held back by their IP address's window post again", async () => {
+    // Others on the same venue Wi-Fi use up the address's quota
+    expect(await chat("device:rui", "203.0.113.5")).toBeNull();
+    expect(await chat("device:eva", "203.0.113.5")).toBeNull();
+    expect(await chat("device:ana", "203.0.113.5")).toBeNull();
+    expect(await chat("device:ana", "203.0.113.5")).toBeGreaterThan(0);
+
+    await clearGuestRateLimits(db, 1, "device:ana", ["203.0.113.5"]);
+    expect(await chat("device:ana", "203.0.113.5")).toBeNull();
+  });
+
+  it("leaves the sign-in attempts from that address alone", async () => {
+    const signIn = rateLimitRules(settings, "guest-auth", { guestKey: null, ip: "203.0.113.5" });
+    await takeRateLimit(db, 1, signIn, NOW);
+    await chat("device:ana", "203.0.113.5");
+
+    await clearGuestRateLimits(db, 1, "device:ana", ["203.0.113.5"]);
+    const { results } = await db.prepare("SELECT scope, subject FROM chat_rate_limit").all();
+    expect(results).toEqual([{ scope: "guest-auth", subject: "ip:203.0.113.5" }]);
+  });
+});